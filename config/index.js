@@ -1,5 +1,6 @@
 const fs = require('node:fs')
 const path = require('node:path')
+const { loadConfigFile } = require('../lib/config-loader')
 
 /**
  * Server Monitoring Configuration
@@ -10,6 +11,14 @@ const defaultConfig = {
   // Refresh interval in milliseconds (default: 60000 = 1 minute)
   refreshInterval: 60000,
 
+  // Checks running at the same time and the random delay spreading checks that
+  // are due together (see README "Scheduling")
+  maxConcurrency: 10,
+  jitter: '2s',
+
+  // Reload the config when its files change (see README "Reloading the Config")
+  watchConfig: true,
+
   // Servers to monitor
   servers: [
     // PING
@@ -37,32 +46,112 @@ const defaultConfig = {
         checkInterval: 3600000
       }
     }
-  ]
+  ],
+
+  // Custom check types, file paths relative to the working directory or package names
+  // (see README "Custom Check Types")
+  plugins: [],
+
+  // Defaults for every server, overridden per server (see README "Retries & Flapping")
+  defaults: {
+    retries: 0,
+    retryDelay: 1000,
+    failuresBeforeDown: 1,
+    successesBeforeUp: 1,
+    flapThreshold: 0,
+    flapWindow: '10m'
+  },
+
+  // Check history for uptime/SLA figures (see README "History & SLA Reports")
+  history: {
+    enabled: true,
+    file: 'data/history.jsonl',
+    retention: '30d',
+    uptimeWindows: ['24h', '7d', '30d'],
+    slaTarget: 99.9
+  },
+
+  // Incidents opened at DOWN and closed on recovery (see README "Incidents")
+  incidents: {
+    enabled: true,
+    file: 'data/incidents.json',
+    retention: '90d',
+    openOn: 'DOWN'
+  },
+
+  // HTTP listener for JSON status and Prometheus metrics (see README "HTTP API & Metrics")
+  http: {
+    enabled: false,
+    host: '127.0.0.1',
+    port: 9100,
+    dashboard: true
+  },
+
+  // Planned downtime shown as MAINTENANCE without alerts (see README "Maintenance Windows")
+  maintenance: [],
+
+  // Notifications on status transitions (see README "Alerting")
+  alerts: {
+    channels: []
+  }
 };
 
-// Deep merge function
-function deepMerge(target, source) {
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]'
+}
+
+// Arrays of the defaults holding examples, replacing them is expected
+const EXAMPLE_ARRAYS = ['servers']
+
+// Deep merge function, plain objects are merged, everything else (arrays, RegExps) replaced.
+// Replaced non-empty arrays are reported in `merge.notices`, `merge.origins` holds the file of every array
+function deepMerge(target, source, merge = { notices: [], origins: new Map(), file: null }, keyPath = '') {
   for (const key of Object.keys(source)) {
-    if (
-      source[key] &&
-      typeof source[key] === 'object' &&
-      !Array.isArray(source[key])
-    ) {
-      target[key] = deepMerge(target[key] || {}, source[key]);
+    const fieldPath = keyPath ? `${keyPath}.${key}` : key
+    if (isPlainObject(source[key])) {
+      target[key] = deepMerge(isPlainObject(target[key]) ? target[key] : {}, source[key], merge, fieldPath);
     } else {
+      const origin = merge.origins.get(fieldPath)
+      const example = !origin && EXAMPLE_ARRAYS.includes(fieldPath)
+      if (Array.isArray(target[key]) && target[key].length && Array.isArray(source[key]) && !example) {
+        const entries = target[key].length === 1 ? 'the entry' : `the ${target[key].length} entries`
+        merge.notices.push(`${fieldPath} in ${merge.file} replaces ${entries} ${origin ? `of ${origin}` : 'of the defaults'} instead of adding to them`)
+      }
+      if (Array.isArray(source[key])) merge.origins.set(fieldPath, merge.file)
       target[key] = source[key];
     }
   }
   return target;
 }
 
-// Try loading local override
-const localPath = path.join(__dirname, 'env', 'local.js');
+// Local override, used when no config files are given
+const LOCAL_CONFIG = path.join(__dirname, 'env', 'local.js');
 
-if (fs.existsSync(localPath)) {
-  const localConfig = require(localPath);
-  deepMerge(defaultConfig, localConfig);
+// Path relative to the working directory when it is below it
+function displayPath(file) {
+  const relative = path.relative(process.cwd(), file)
+  return relative && !relative.startsWith('..') ? relative : file
 }
 
+/**
+ * The defaults merged with config files (.js, .json, .yaml) in the given order,
+ * config/env/local.js when no files are given
+ */
+function loadConfig(files = [], { env = process.env } = {}) {
+  files = files.map(file => path.resolve(file))
+  if (!files.length && fs.existsSync(LOCAL_CONFIG)) files = [LOCAL_CONFIG]
+
+  const config = structuredClone(defaultConfig)
+  const merge = { notices: [], origins: new Map(), file: null }
+  for (const file of files) {
+    merge.file = displayPath(file)
+    deepMerge(config, loadConfigFile(file, { env }), merge)
+  }
+
+  // Not enumerable, so they are not mistaken for options
+  Object.defineProperty(config, 'mergeNotices', { value: merge.notices })
+  Object.defineProperty(config, 'files', { value: files })
+  return config
+}
 
-module.exports = defaultConfig;
\ No newline at end of file
+module.exports = { defaultConfig, deepMerge, loadConfig, displayPath, LOCAL_CONFIG };
\ No newline at end of file
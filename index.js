@@ -0,0 +1,48 @@
+/**
+ * Library entry point: the monitor, the built-in check types and the formatters.
+ * The command line (server-monitor.js) is built on the same exports.
+ */
+
+const { ServerMonitor } = require('./lib/monitor');
+const { loadConfig, defaultConfig } = require('./config');
+const { validateConfig } = require('./lib/config-schema');
+const { CheckRegistry, createRegistry } = require('./lib/checks');
+const { STATUSES, UP_STATUSES, worstStatus, statusAtLeast, settledStatus } = require('./lib/status');
+const { FORMATS, summarize, formatJson, formatNdjsonLine, formatNdjsonGroup, formatJunit, formatMarkdown } = require('./lib/output');
+const { renderMetrics } = require('./lib/metrics');
+const { formatPostmortem } = require('./lib/incidents');
+
+// Built-in check types by name, each { name, schema, run(server, ctx), ... } (see lib/checks/index.js)
+const checks = {
+  ping: require('./lib/checks/ping'),
+  ssh: require('./lib/checks/ssh'),
+  api: require('./lib/checks/api'),
+  tcp: require('./lib/checks/tcp'),
+  dns: require('./lib/checks/dns'),
+  tls: require('./lib/checks/tls'),
+  all: require('./lib/checks/all'),
+};
+
+module.exports = {
+  ServerMonitor,
+  loadConfig,
+  defaultConfig,
+  validateConfig,
+  CheckRegistry,
+  createRegistry,
+  checks,
+  STATUSES,
+  UP_STATUSES,
+  worstStatus,
+  statusAtLeast,
+  settledStatus,
+  FORMATS,
+  summarize,
+  formatJson,
+  formatNdjsonLine,
+  formatNdjsonGroup,
+  formatJunit,
+  formatMarkdown,
+  renderMetrics,
+  formatPostmortem,
+};
@@ -0,0 +1,250 @@
+/**
+ * Alerting
+ * Compares each check result with the previous cycle and sends a notification
+ * on every status transition through the configured channels, and on a first
+ * result other than UP. Entering MAINTENANCE (e.g. a certificate about to expire)
+ * is its own event, recoveries to UP are only sent after an alert. Transitions
+ * of the aggregate group status go to channels with `groupAlerts: true`. Nothing is
+ * sent during maintenance windows and silences or while a dependency is down
+ * (UNREACHABLE), afterwards the status is compared with the one before
+ */
+
+const { exec } = require('node:child_process');
+const https = require('node:https');
+const http = require('node:http');
+
+const { sendMail } = require('./smtp');
+const { formatDuration } = require('./time');
+const { settledStatus } = require('./status');
+
+const DEFAULT_TEMPLATES = {
+  alert: '{{name}} is {{status}} (was {{previousStatus}}): {{details}}',
+  maintenance: '{{name}} entered MAINTENANCE (was {{previousStatus}}): {{details}}',
+  resolved: '{{name}} recovered: {{status}} (was {{previousStatus}} for {{duration}})',
+  alertSubject: '[{{status}}] {{name}}',
+  maintenanceSubject: '[MAINTENANCE] {{name}}',
+  resolvedSubject: '[RESOLVED] {{name}}',
+};
+
+/**
+ * Replace {{key}} / {{nested.key}} placeholders with event values
+ */
+function renderTemplate(template, event) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+    const value = key.split('.').reduce((current, prop) => current?.[prop], event);
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function postJson(url, payload, { method = 'POST', headers = {}, timeout = 10000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const body = JSON.stringify(payload);
+    const protocol = url.startsWith('https') ? https : http;
+    const request = protocol.request(url, {
+      method,
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers,
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(res.statusCode);
+        else reject(new Error(`HTTP ${res.statusCode}`));
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error('Timeout')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function eventKind(status) {
+  if (status === 'UP') return 'resolved';
+  return status === 'MAINTENANCE' ? 'maintenance' : 'alert';
+}
+
+class AlertManager {
+  constructor(config = {}, { formatDetails, groupStatus, exec: execProcess } = {}) {
+    this.config = config;
+    this.channels = (config.channels || [])
+      .map((channel, index) => ({ name: `${channel.type}#${index + 1}`, ...channel }))
+      .filter(channel => channel.enabled !== false);
+    this.formatDetails = formatDetails || (result => result.error || '-');
+    this.groupStatus = groupStatus || (() => null);  // aggregate status of a group by name
+    this.exec = execProcess || exec;  // runs command channels, the monitor tracks the processes
+    this.statusSince = {};  // Timestamp of the last transition per server
+    this.alerted = new Set();  // servers and groups with an alert and no recovery since
+    this.failures = {};     // Last delivery error per channel
+  }
+
+  /**
+   * Compare the new results with the previous cycle and notify about every status change
+   */
+  async processResults(previousResults, results, { groups = false } = {}) {
+    const previousByName = new Map(previousResults.map(result => [result.name, result]));
+    const deliveries = [];
+
+    for (const result of results) {
+      const previous = previousByName.get(result.name);
+      const previousStatus = previous && settledStatus(previous);
+      if (result.maintenance || result.dependency) continue;
+
+      if (previousStatus === result.status) continue;
+      // A first observation is only reported when it is not UP, e.g. DOWN at startup
+      if (!previousStatus) {
+        this.statusSince[result.name] = this.statusSince[result.name] || Date.now();
+        if (result.status === 'UP') continue;
+      }
+
+      const event = this.buildEvent(result, previousStatus || 'PENDING');
+      this.statusSince[result.name] = Date.now();
+      // only an alert or MAINTENANCE notification is followed by a recovery
+      if (event.event === 'resolved' && !this.alerted.delete(result.name)) continue;
+      if (event.event !== 'resolved') this.alerted.add(result.name);
+
+      for (const channel of this.channels) {
+        if (groups && !channel.groupAlerts) continue;
+        if (!this.matchesRoute(channel, result)) continue;
+        if (event.event === 'resolved' && channel.sendResolved === false) continue;
+        deliveries.push(this.deliver(channel, event));
+      }
+    }
+
+    await Promise.all(deliveries);
+  }
+
+  /**
+   * Notify about changes of the aggregate group statuses (see lib/groups.js),
+   * a group is first observed once all its members have a result
+   */
+  async processGroups(previousGroups, groups) {
+    // an unreachable group is left out like its members
+    const complete = list => list.filter(group => !group.pending && group.status !== 'UNREACHABLE').map(group => ({
+      name: group.name,
+      groupName: group.parent,
+      groupPath: group.path.slice(0, -1),
+      type: 'group',
+      target: `${group.total} members`,
+      status: group.status,
+      statusCode: `${group.up}/${group.total}`,
+      error: null,
+      details: { statusDetails: group.summary },
+    }));
+
+    await this.processResults(complete(previousGroups), complete(groups), { groups: true });
+  }
+
+  buildEvent(result, previousStatus) {
+    const since = this.statusSince[result.name];
+    const group = result.groupName ? this.groupStatus(result.groupName) : null;
+
+    return {
+      event: eventKind(result.status),
+      name: result.name,
+      groupName: result.groupName || null,
+      groupStatus: group?.status || null,
+      groupSummary: group?.summary || null,
+      type: result.type,
+      target: result.target,
+      status: result.status,
+      previousStatus,
+      statusCode: result.statusCode,
+      error: result.error || null,
+      details: this.formatDetails(result),
+      duration: since ? formatDuration(Date.now() - since) : 'unknown',
+      time: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * A channel without servers/groups receives everything, `groups` match
+   * members of nested groups and the groups themselves
+   */
+  matchesRoute(channel, result) {
+    if (!channel.servers && !channel.groups) return true;
+    if (result.type !== 'group' && channel.servers?.includes(result.name)) return true;
+
+    const groups = [...(result.groupPath || [result.groupName]), result.type === 'group' && result.name];
+    return groups.some(name => name && channel.groups?.includes(name));
+  }
+
+  renderMessage(channel, event, kind = event.event) {
+    const template = channel.templates?.[kind] || DEFAULT_TEMPLATES[kind];
+    return renderTemplate(template, event);
+  }
+
+  async deliver(channel, event) {
+    try {
+      await this.send(channel, event);
+      delete this.failures[channel.name];
+    } catch (error) {
+      this.failures[channel.name] = {
+        time: new Date(),
+        error: error.message,
+      };
+    }
+  }
+
+  send(channel, event) {
+    const message = this.renderMessage(channel, event);
+
+    switch (channel.type) {
+      case 'webhook':
+        return postJson(channel.url, { ...event, message }, channel);
+      case 'slack':
+        return postJson(channel.url, {
+          text: message,
+          ...(channel.channel && { channel: channel.channel }),
+          ...(channel.username && { username: channel.username }),
+          ...(channel.iconEmoji && { icon_emoji: channel.iconEmoji }),
+        }, channel);
+      case 'email':
+        return sendMail(channel.smtp, {
+          from: channel.from,
+          to: channel.to,
+          subject: this.renderMessage(channel, event, `${event.event}Subject`),
+          text: message,
+        });
+      case 'command':
+        return this.runCommand(channel, event, message);
+      default:
+        return Promise.reject(new Error(`Unknown alert channel type "${channel.type}"`));
+    }
+  }
+
+  /**
+   * Run a local command, the event is passed in MONITOR_* environment variables
+   * (never interpolated into the command line)
+   */
+  runCommand(channel, event, message) {
+    return new Promise((resolve, reject) => {
+      const env = {
+        ...process.env,
+        MONITOR_EVENT: event.event,
+        MONITOR_NAME: event.name,
+        MONITOR_GROUP: event.groupName || '',
+        MONITOR_GROUP_STATUS: event.groupStatus || '',
+        MONITOR_GROUP_SUMMARY: event.groupSummary || '',
+        MONITOR_TYPE: event.type,
+        MONITOR_TARGET: event.target,
+        MONITOR_STATUS: event.status,
+        MONITOR_PREVIOUS_STATUS: event.previousStatus,
+        MONITOR_ERROR: event.error || '',
+        MONITOR_DETAILS: event.details,
+        MONITOR_DURATION: event.duration,
+        MONITOR_MESSAGE: message,
+      };
+
+      this.exec(channel.command, { env, timeout: channel.timeout || 10000 }, (error) => {
+        if (error) reject(error);
+        else resolve();
+      });
+    });
+  }
+}
+
+module.exports = { AlertManager, renderTemplate };
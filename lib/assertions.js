@@ -0,0 +1,137 @@
+/**
+ * Response assertions for API checks
+ * Each assertion targets the JSON body (dot paths with "*" wildcards), a response
+ * header, the raw body text or the HTML title and compares it with an operator.
+ */
+
+// Numbers and numeric strings, Number() would read null, '' and booleans as 0 and 1
+const toNumber = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN);
+
+const OPERATORS = {
+  equals: (actual, expected) => actual === expected,
+  notEquals: (actual, expected) => actual !== expected,
+  contains: (actual, expected) => {
+    if (Array.isArray(actual)) return actual.includes(expected);
+    return typeof actual === 'string' && actual.includes(String(expected));
+  },
+  regex: (actual, expected) => actual !== undefined && actual !== null && new RegExp(expected).test(String(actual)),
+  gt: (actual, expected) => toNumber(actual) > toNumber(expected),
+  gte: (actual, expected) => toNumber(actual) >= toNumber(expected),
+  lt: (actual, expected) => toNumber(actual) < toNumber(expected),
+  lte: (actual, expected) => toNumber(actual) <= toNumber(expected),
+  exists: (actual, expected = true) => (actual !== undefined && actual !== null) === Boolean(expected),
+  type: (actual, expected) => (Array.isArray(actual) ? 'array' : actual === null ? 'null' : typeof actual) === expected,
+  length: (actual, expected) => actual !== undefined && actual !== null && actual.length === expected,
+  oneOf: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+};
+
+const SOURCES = ['json', 'header', 'body', 'title'];
+
+/**
+ * Accept the single { path, value } object as well as an array of assertions
+ */
+function normalizeAssertions(expectedResponse) {
+  if (!expectedResponse) return [];
+
+  const assertions = Array.isArray(expectedResponse) ? expectedResponse : [expectedResponse];
+  return assertions.map(assertion => ({
+    source: 'json',
+    operator: 'equals',
+    match: 'all',
+    ...assertion,
+  }));
+}
+
+/**
+ * Resolve a dot notation path, "*" expands arrays/objects and returns all matches
+ */
+function resolvePath(obj, path) {
+  let values = [obj];
+  let wildcard = false;
+
+  for (const prop of path.split('.')) {
+    if (prop === '*') {
+      wildcard = true;
+      values = values.flatMap(value => (value && typeof value === 'object' ? Object.values(value) : []));
+    } else {
+      values = values.map(value => value?.[prop]);
+    }
+  }
+
+  return { values, wildcard };
+}
+
+function extractTitle(body) {
+  const match = body.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (!match) return undefined;
+
+  return match[1]
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Evaluate all assertions against a response
+ */
+function evaluateAssertions(assertions, { body, headers }) {
+  let json;
+  let parseError = false;
+  if (assertions.some(assertion => assertion.source === 'json')) {
+    try {
+      json = JSON.parse(body);
+    } catch {
+      parseError = true;
+    }
+  }
+
+  const results = assertions.map((assertion) => {
+    const { source, path, operator, value: expected, match } = assertion;
+    const compare = OPERATORS[operator];
+    const result = { source, path: path ?? null, operator, expected, actual: null, match: false };
+
+    if (!SOURCES.includes(source)) return { ...result, error: `Unknown source "${source}"` };
+    if (!compare) return { ...result, error: `Unknown operator "${operator}"` };
+    if ((source === 'json' || source === 'header') && (path === undefined || path === null)) {
+      return { ...result, error: `A ${source} assertion needs a path` };
+    }
+
+    let values;
+    let wildcard = false;
+    if (source === 'json') {
+      if (parseError) return { ...result, parseError: true };
+      ({ values, wildcard } = resolvePath(json, path));
+    } else if (source === 'header') {
+      values = [headers[String(path).toLowerCase()]];
+    } else if (source === 'title') {
+      values = [extractTitle(body)];
+    } else {
+      values = [body];
+    }
+
+    try {
+      const matches = values.map(actual => compare(actual, expected));
+      result.match = values.length > 0 && (match === 'any' ? matches.some(Boolean) : matches.every(Boolean));
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.actual = wildcard ? values : values[0];
+    // keep results small, they end up in the API, history and alerts
+    if (source === 'body' && typeof result.actual === 'string' && result.actual.length > 200) {
+      result.actual = `${result.actual.slice(0, 200)}...`;
+    }
+
+    return result;
+  });
+
+  return {
+    ok: results.every(result => result.match),
+    results,
+  };
+}
+
+module.exports = { normalizeAssertions, evaluateAssertions, resolvePath, OPERATORS };
@@ -0,0 +1,232 @@
+/**
+ * Unified check: a composition of the ping and api checks with optional
+ * ssh, dns and tls legs, reported as a single line
+ */
+
+const { worstStatus } = require('../status');
+const { formatTime, applyLatencyThresholds, formatAssertion, requireUrl } = require('./common');
+const { REQUEST_SCHEMA } = require('./api');
+const { DNS_SCHEMA } = require('./dns');
+const { TLS_SCHEMA } = require('./tls');
+const { RESOURCES_SCHEMA } = require('./ssh-resources');
+const { DETECTOR_NAMES } = require('./ssh-updates');
+
+const NO_TIMINGS = { dns: null, connect: null, tls: null, ttfb: null, total: null };
+
+function target(server) {
+  return `${server.target} / ${server.apiTarget}`;
+}
+
+module.exports = {
+  name: 'all',
+  target,
+
+  schema: {
+    target: { type: 'string', required: true },
+    apiTarget: { type: 'string', required: true },
+    timeout: { type: 'number', required: true, min: 1 },
+    ...REQUEST_SCHEMA,
+    ssh: {
+      type: 'object',
+      schema: {
+        enabled: { type: 'boolean' },
+        host: { type: 'string' },
+        port: { type: 'number' },
+        username: { type: 'string' },
+        checkInterval: { type: 'number', min: 0 },
+        updateDetector: { type: 'string', values: ['auto', ...DETECTOR_NAMES] },
+        resources: { type: 'object', schema: RESOURCES_SCHEMA },
+      },
+    },
+    dns: {
+      type: 'object',
+      schema: { enabled: { type: 'boolean' }, name: { type: 'string' }, timeout: { type: 'number', min: 1 }, ...DNS_SCHEMA },
+    },
+    tls: {
+      type: 'object',
+      schema: { enabled: { type: 'boolean' }, host: { type: 'string' }, timeout: { type: 'number', min: 1 }, ...TLS_SCHEMA },
+    },
+  },
+
+  validate(server) {
+    return requireUrl(server, 'apiTarget');
+  },
+
+  async run(server, ctx) {
+    // Latency thresholds apply to the combined result, not to the legs
+    const { warnLatency, critLatency, ...options } = server;
+    const apiUrl = new URL(server.apiTarget);
+    const apiHost = apiUrl.hostname.replace(/^\[|\]$/g, '');
+
+    const [ping, api, ssh, dns, tls] = await Promise.all([
+      ctx.run('ping', options),
+      ctx.run('api', { ...options, target: server.apiTarget }),
+      server.ssh?.enabled ? ctx.run('ssh', {
+        name: server.name,
+        host: server.ssh.host || server.target,
+        port: server.ssh.port,
+        username: server.ssh.username,
+        sshCheckInterval: server.ssh.checkInterval,
+        updateDetector: server.ssh.updateDetector,
+        resources: server.ssh.resources,
+      }) : null,
+      // DNS defaults to the A record of the apiTarget host
+      server.dns?.enabled ? ctx.run('dns', {
+        timeout: server.timeout,
+        ...server.dns,
+        name: server.name,
+        target: server.dns.name || apiHost,
+      }) : null,
+      // TLS defaults to the host and port of apiTarget
+      server.tls?.enabled ? ctx.run('tls', {
+        timeout: server.timeout,
+        ...server.tls,
+        name: server.name,
+        target: server.tls.host || apiHost,
+        port: server.tls.port || Number(apiUrl.port) || 443,
+      }) : null,
+    ]);
+
+    const pingOk = ping.status === 'UP';
+    const rtt = ping.details?.pingLatency ?? null;
+    const apiResult = {
+      success: api.status === 'UP',
+      statusCode: api.statusCode,
+      statusOk: api.details?.statusOk ?? false,
+      responseOk: api.details?.responseOk ?? null,
+      timings: api.details?.timings || NO_TIMINGS,
+      error: api.error,
+    };
+    const sshResult = ssh?.sshInfo || null;
+
+    // Determine overall status based on checks
+    let status = 'UP';
+    let statusDetails = null;
+    let combinedError = null;
+
+    if (!pingOk && !apiResult.success) {
+      // Both failed
+      status = 'DOWN';
+      statusDetails = 'Ping failed + API unreachable';
+      combinedError = 'Both ping and API failed';
+    } else if (!pingOk) {
+      // Ping failed but API works
+      status = 'DEGRADED';
+      statusDetails = 'Ping failed but API responding';
+      combinedError = 'Network issue (ping failed)';
+    } else if (!apiResult.statusOk && apiResult.responseOk === null) {
+      // API unreachable but ping works
+      status = 'DEGRADED';
+      statusDetails = 'Ping OK but API unreachable';
+      combinedError = apiResult.error || `HTTP ${apiResult.statusCode || 'N/A'}`;
+    } else if (!apiResult.statusOk) {
+      // Status code wrong but ping works
+      status = 'DEGRADED';
+      statusDetails = `Ping OK, HTTP ${apiResult.statusCode} (expected ${server.expectedStatus})`;
+      combinedError = 'API returned wrong status';
+    } else if (apiResult.responseOk === false) {
+      // Status ok but response validation failed and ping works
+      status = 'UNHEALTHY';
+      statusDetails = 'Ping OK, health check failed';
+      combinedError = 'Health check failed';
+    }
+
+    // DNS problems are reported as their own reason next to the ping/API one
+    if (dns && dns.status !== 'UP') {
+      status = worstStatus(status, dns.status);
+      statusDetails = [dns.details?.statusDetails || `DNS: ${dns.error}`, statusDetails].filter(Boolean).join(' + ');
+      combinedError = combinedError || dns.error;
+    }
+
+    if (tls && worstStatus(status, tls.status) !== status) {
+      status = tls.status;
+      statusDetails = tls.details?.statusDetails || `TLS: ${tls.error}`;
+      combinedError = combinedError || tls.error;
+    }
+
+    // Check SSH status if available, ERROR (the ssh leg threw) counts as failed
+    if (ssh && ['DOWN', 'ERROR'].includes(ssh.status)) {
+      if (status === 'UP') {
+        status = 'DEGRADED';
+        statusDetails = 'SSH check failed';
+        combinedError = ssh.error;
+      }
+    } else if (ssh?.details?.resources?.length) {
+      // Resource thresholds apply to the whole server
+      status = worstStatus(status, ssh.status);
+    } else if (sshResult && (sshResult.rebootRequired || sshResult.updates)) {
+      if (status === 'UP') {
+        status = 'MAINTENANCE';
+        statusDetails = 'Updates/reboot pending';
+      }
+    }
+
+    const result = {
+      name: server.name,
+      type: server.type,
+      target: target(server),
+      status: status,
+      statusCode: pingOk ? '✓' : '✗',
+      lastCheck: formatTime(),
+      latency: apiResult.timings.total,
+      error: combinedError,
+      details: {
+        pingOk: pingOk,
+        pingLatency: rtt,
+        apiStatusOk: apiResult.statusOk,
+        responseOk: apiResult.responseOk,
+        responseCheckDetails: api.details?.responseCheckDetails ?? null,
+        statusDetails: statusDetails,
+        timings: apiResult.timings,
+        redirects: api.details?.redirects,
+        dns: dns?.details?.dns ?? null,
+        tls: tls?.details?.tls ?? null,
+        sshRebootRequired: sshResult?.rebootRequired,
+        sshUpdates: sshResult?.updates,
+        sshResources: ssh?.details?.resources,
+      },
+      sshInfo: sshResult
+    };
+    applyLatencyThresholds(result, server, [['ping', rtt], ['API', apiResult.timings.total]]);
+    return result;
+  },
+
+  formatDetails(result) {
+    const { responseOk, responseCheckDetails, statusDetails, latencyDetails, tls, sshRebootRequired, sshUpdates, sshResources } = result.details;
+    let details = [];
+
+    if (statusDetails) {
+      details.push(statusDetails);
+    }
+
+    if (responseOk === false && responseCheckDetails) {
+      responseCheckDetails
+        .filter(assertion => !assertion.match)
+        .forEach(assertion => details.push(formatAssertion(assertion)));
+    }
+
+    if (latencyDetails) {
+      details.push(latencyDetails);
+    }
+
+    // Certificate expiry of the optional TLS leg
+    if (tls?.success) {
+      details.push(`cert until ${tls.validTo.slice(0, 10)}`);
+    }
+
+    // Add SSH info if present
+    details.push(...(sshResources || []));
+    if (sshRebootRequired) {
+      details.push('⚠ Reboot required');
+    }
+    if (sshUpdates) {
+      details.push(sshUpdates);
+    }
+
+    if (result.error) {
+      details.push(result.error);
+    }
+
+    return details.length > 0 ? details.join(' | ') : '-';
+  },
+};
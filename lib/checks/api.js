@@ -0,0 +1,178 @@
+/**
+ * HTTP(S) API check: status code and response assertions
+ */
+
+const { normalizeAssertions, evaluateAssertions } = require('../assertions');
+const { httpRequest, DEFAULT_MAX_BODY_SIZE } = require('../http-client');
+const { formatTime, applyLatencyThresholds, formatAssertion, requireUrl } = require('./common');
+
+/**
+ * Request options of api checks and the API leg of unified checks
+ */
+const REQUEST_SCHEMA = {
+  expectedStatus: { type: 'number', default: 200 },
+  expectedResponse: { type: ['object', 'array'] },
+  method: { type: 'string' },
+  headers: { type: 'object' },
+  json: { type: 'any' },
+  form: { type: 'object' },
+  body: { type: 'string' },
+  auth: {
+    type: 'object',
+    schema: {
+      type: { type: 'string', values: ['basic', 'bearer'] },
+      token: { type: 'string' },
+      username: { type: 'string' },
+      password: { type: 'string' },
+    },
+  },
+  query: { type: 'object' },
+  followRedirects: { type: 'number', min: 0 },
+  ca: { type: ['string', 'array'] },
+  cert: { type: ['string', 'array'] },
+  key: { type: ['string', 'array'] },
+  passphrase: { type: 'string' },
+  rejectUnauthorized: { type: 'boolean' },
+  proxy: { type: 'string' },
+  maxBodySize: { type: 'number', min: 1 },
+};
+
+/**
+ * Request an API endpoint and validate status and response
+ */
+async function checkApi(target, options) {
+  const { expectedStatus, expectedResponse } = options;
+
+  try {
+    const response = await httpRequest(target, options);
+    const statusOk = response.statusCode === expectedStatus;
+    let responseOk = true;
+    let responseCheckDetails = null;
+
+    // Check response assertions if expectedResponse is defined
+    const assertions = normalizeAssertions(expectedResponse);
+    if (assertions.length && statusOk) {
+      if (response.truncated) {
+        responseOk = false;
+        responseCheckDetails = [{
+          source: 'body',
+          path: null,
+          operator: 'maxBodySize',
+          expected: options.maxBodySize || DEFAULT_MAX_BODY_SIZE,
+          actual: null,
+          match: false,
+          error: `larger than ${options.maxBodySize || DEFAULT_MAX_BODY_SIZE} bytes`,
+        }];
+      } else {
+        const evaluation = evaluateAssertions(assertions, { body: response.body, headers: response.headers });
+        responseOk = evaluation.ok;
+        responseCheckDetails = evaluation.results;
+      }
+    }
+
+    return {
+      success: statusOk && responseOk,
+      statusCode: response.statusCode,
+      statusOk,
+      responseOk,
+      responseCheckDetails: responseCheckDetails,
+      redirects: response.redirects,
+      timings: response.timings,
+      error: null
+    };
+  } catch (error) {
+    return {
+      success: false,
+      statusCode: null,
+      statusOk: false,
+      responseOk: null,
+      timings: error.timings || { dns: null, connect: null, tls: null, ttfb: null, total: null },
+      error: error.message
+    };
+  }
+}
+
+module.exports = {
+  name: 'api',
+
+  schema: {
+    target: { type: 'string', required: true },
+    ...REQUEST_SCHEMA,
+  },
+
+  validate(server) {
+    return requireUrl(server, 'target');
+  },
+
+  async run(server) {
+    const apiResult = await checkApi(server.target, server);
+
+    // Determine overall status
+    let status = 'UP';
+    let statusDetails = null;
+
+    if (!apiResult.statusOk && apiResult.responseOk === null) {
+      // Connection failed or status code wrong
+      status = 'DOWN';
+      statusDetails = `HTTP ${apiResult.statusCode || 'N/A'}`;
+    } else if (!apiResult.statusOk) {
+      // Status code mismatch
+      status = 'DOWN';
+      statusDetails = `HTTP ${apiResult.statusCode} (expected ${server.expectedStatus})`;
+    } else if (apiResult.responseOk === false) {
+      // Status ok but response validation failed
+      status = 'UNHEALTHY';
+      statusDetails = `Health check failed`;
+    }
+
+    const result = {
+      name: server.name,
+      type: server.type,
+      target: server.target,
+      status: apiResult.success ? 'UP' : status,
+      statusCode: apiResult.statusCode || 'N/A',
+      lastCheck: formatTime(),
+      latency: apiResult.timings.total,
+      error: apiResult.error,
+      details: {
+        statusOk: apiResult.statusOk,
+        responseOk: apiResult.responseOk,
+        responseCheckDetails: apiResult.responseCheckDetails,
+        statusDetails: statusDetails,
+        timings: apiResult.timings,
+        redirects: apiResult.redirects
+      },
+      sshInfo: null
+    };
+    applyLatencyThresholds(result, server, [['API', apiResult.timings.total]]);
+    return result;
+  },
+
+  formatDetails(result) {
+    const { statusOk, responseOk, responseCheckDetails, statusDetails, latencyDetails } = result.details;
+    let details = [];
+
+    if (!statusOk) {
+      details.push(statusDetails || `HTTP ${result.statusCode}`);
+    }
+
+    if (responseOk === false && responseCheckDetails) {
+      responseCheckDetails
+        .filter(assertion => !assertion.match)
+        .forEach(assertion => details.push(formatAssertion(assertion)));
+    }
+
+    if (latencyDetails) {
+      details.push(latencyDetails);
+    }
+
+    if (result.error) {
+      details.push(result.error);
+    }
+
+    return details.length > 0 ? details.join(' | ') : '-';
+  },
+
+  checkApi,
+  REQUEST_SCHEMA,
+};
@@ -0,0 +1,101 @@
+/**
+ * Helpers shared by the check types, also handed to plugins on `ctx`
+ */
+
+const { worstStatus } = require('../status');
+
+/**
+ * Options every server accepts, next to the `schema` of its check type (see lib/schema.js)
+ */
+const SERVER_SCHEMA = {
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  timeout: { type: 'number', min: 1 },
+  interval: { type: 'duration' },
+  retries: { type: 'number', min: 0 },
+  retryDelay: { type: 'duration' },
+  failuresBeforeDown: { type: 'number', min: 1 },
+  successesBeforeUp: { type: 'number', min: 1 },
+  flapThreshold: { type: 'number', min: 0 },
+  flapWindow: { type: 'duration' },
+  warnLatency: { type: 'number', min: 0 },
+  critLatency: { type: 'number', min: 0 },
+  groupName: { type: 'string' },
+  groupPath: { type: 'array', items: { type: 'string' } },
+  dependsOn: { type: 'array', items: { type: 'string' } },
+};
+
+/**
+ * Time of day as shown in the Last Check column
+ */
+function formatTime(date) {
+  return (date !== undefined ? new Date(date) : new Date()).toLocaleTimeString(undefined, { hour12: false });
+}
+
+/**
+ * Move a check to DEGRADED (warnLatency) or DOWN (critLatency) when one of its legs is too slow
+ */
+function applyLatencyThresholds(result, server, legs) {
+  const { warnLatency, critLatency } = server;
+  if (!warnLatency && !critLatency) return;
+
+  result.details = { ...result.details, latencyThresholds: { warn: warnLatency || null, crit: critLatency || null } };
+
+  let status = result.status;
+  const slowLegs = [];
+  for (const [label, latency] of legs) {
+    if (typeof latency !== 'number') continue;
+
+    if (critLatency && latency > critLatency) {
+      status = worstStatus(status, 'DOWN');
+      slowLegs.push(`${label} ${Math.round(latency)} ms > ${critLatency} ms`);
+    } else if (warnLatency && latency > warnLatency) {
+      status = worstStatus(status, 'DEGRADED');
+      slowLegs.push(`${label} ${Math.round(latency)} ms > ${warnLatency} ms`);
+    }
+  }
+
+  if (!slowLegs.length) return;
+  result.status = status;
+  result.details = { ...result.details, latencyDetails: `Slow: ${slowLegs.join(', ')}` };
+}
+
+/**
+ * Format a failed assertion, e.g. status: "degraded" (expected "ok")
+ */
+function formatAssertion({ source, path, operator, expected, actual, parseError, error }) {
+  const label = {
+    json: path,
+    header: `header ${path}`,
+    body: 'body',
+    title: 'title',
+    dns: `${path} records`,
+  }[source] || source;
+  if (parseError) return `${label}: invalid JSON`;
+  if (error) return `${label}: ${error}`;
+
+  const format = (value) => {
+    const text = typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+    return text && text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  };
+  let expectation = `${operator} ${format(expected)}`;
+  if (operator === 'equals') expectation = format(expected);
+  if (operator === 'exists') expectation = expected === false ? 'not exists' : 'exists';
+
+  return `${label}: ${format(actual)} (expected ${expectation})`;
+}
+
+/**
+ * Error for a property that is not a valid URL
+ */
+function requireUrl(server, field) {
+  if (server[field] === undefined) return [];
+  try {
+    new URL(server[field]);
+    return [];
+  } catch {
+    return [`${field} must be a URL`];
+  }
+}
+
+module.exports = { SERVER_SCHEMA, formatTime, applyLatencyThresholds, formatAssertion, requireUrl };
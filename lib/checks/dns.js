@@ -0,0 +1,78 @@
+/**
+ * DNS resolution check with expected-record assertions
+ */
+
+const { checkDns, RECORD_TYPES } = require('../dns-check');
+const { formatTime, applyLatencyThresholds, formatAssertion } = require('./common');
+
+const DNS_SCHEMA = {
+  recordType: { type: 'string' },
+  resolver: { type: ['string', 'array'] },
+  expectedRecords: { type: 'any' },
+};
+
+/**
+ * Status of a DNS lookup: DOWN when it fails, UNHEALTHY when the records are not as expected
+ */
+function evaluateDns(dnsResult) {
+  if (!dnsResult.success) {
+    return { status: 'DOWN', statusDetails: `DNS: ${dnsResult.error}` };
+  }
+  if (dnsResult.recordsOk === false) {
+    const failed = dnsResult.recordCheckDetails.filter(assertion => !assertion.match);
+    return { status: 'UNHEALTHY', statusDetails: `DNS: ${failed.map(formatAssertion).join(', ')}` };
+  }
+  return { status: 'UP', statusDetails: null };
+}
+
+function target(server) {
+  return `${server.target} ${String(server.recordType || 'A').toUpperCase()}`;
+}
+
+module.exports = {
+  name: 'dns',
+  target,
+
+  schema: {
+    target: { type: 'string', required: true },
+    ...DNS_SCHEMA,
+  },
+
+  validate(server) {
+    if (server.recordType && !RECORD_TYPES.includes(String(server.recordType).toUpperCase())) {
+      return [`recordType must be one of ${RECORD_TYPES.join(', ')}`];
+    }
+    return [];
+  },
+
+  async run(server) {
+    const dnsResult = await checkDns(server.target, server);
+    const { status, statusDetails } = evaluateDns(dnsResult);
+
+    const result = {
+      name: server.name,
+      type: server.type,
+      target: `${server.target} ${dnsResult.recordType}`,
+      status: status,
+      statusCode: dnsResult.success ? '✓' : '✗',
+      lastCheck: formatTime(),
+      latency: dnsResult.duration,
+      error: dnsResult.error,
+      details: {
+        dns: dnsResult,
+        statusDetails: statusDetails
+      },
+      sshInfo: null
+    };
+    applyLatencyThresholds(result, server, [['DNS', dnsResult.duration]]);
+    return result;
+  },
+
+  formatDetails(result) {
+    const { dns, statusDetails, latencyDetails } = result.details;
+    const records = dns.success && dns.recordsOk !== false ? dns.records.join(', ') : null;
+    return [statusDetails, latencyDetails, records].filter(Boolean).join(' | ') || '-';
+  },
+
+  DNS_SCHEMA,
+};
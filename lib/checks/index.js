@@ -0,0 +1,121 @@
+/**
+ * Check type registry
+ * A check type is a module exporting
+ *   name            - the `type` used in the server config
+ *   schema          - optional, options of the type (see lib/schema.js), unknown keys are flagged
+ *   validate(server) - optional, returns a list of config errors the schema cannot express
+ *   run(server, ctx) - async, returns a result { name, type, target, status, statusCode, ... }
+ *   target(server)  - optional, the target shown in its results, `server.target` without it
+ *   formatDetails(result, ctx) - optional, text of the Details column
+ * Plugins are loaded from file paths (relative to the working directory, like the
+ * history and incidents files) or package names.
+ */
+
+const path = require('node:path');
+const { validateObject, schemaDefaults } = require('../schema');
+const { SERVER_SCHEMA } = require('./common');
+
+const BUILT_IN = ['./ping', './ssh', './api', './tcp', './dns', './tls', './all'];
+const ROOT = path.resolve(__dirname, '..', '..');
+
+class CheckRegistry {
+  constructor() {
+    this.types = new Map();
+  }
+
+  register(plugin, source = plugin?.name) {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+      throw new Error(`Check plugin ${source} has no name`);
+    }
+    if (typeof plugin.run !== 'function') {
+      throw new Error(`Check plugin "${plugin.name}" has no run function`);
+    }
+    if (plugin.name === 'group') {
+      throw new Error('Check type "group" is reserved for server groups');
+    }
+    if (this.types.has(plugin.name)) {
+      throw new Error(`Check type "${plugin.name}" is already registered`);
+    }
+
+    this.types.set(plugin.name, plugin);
+  }
+
+  /**
+   * Load plugins from paths or package names, a module may export one plugin or an array
+   */
+  load(specifiers = []) {
+    for (const specifier of specifiers) {
+      const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+      const resolved = isPath
+        ? path.resolve(specifier)
+        : require.resolve(specifier, { paths: [process.cwd(), ROOT] });
+
+      const exported = require(resolved);
+      for (const plugin of Array.isArray(exported) ? exported : [exported]) {
+        this.register(plugin, specifier);
+      }
+    }
+  }
+
+  get(name) {
+    return this.types.get(name);
+  }
+
+  names() {
+    return [...this.types.keys()];
+  }
+
+  /**
+   * Schema of a server of this type, the shared options plus the options of the type
+   */
+  schema(name) {
+    return { ...SERVER_SCHEMA, ...this.get(name)?.schema };
+  }
+
+  /**
+   * Target of a server as its check type shows it, e.g. "db.internal:5432" for tcp
+   */
+  target(server) {
+    return this.get(server.type)?.target?.(server) ?? server.target ?? '-';
+  }
+
+  /**
+   * Documented defaults of a check type, e.g. expectedStatus: 200 for api checks
+   */
+  defaults(name) {
+    return schemaDefaults(this.get(name)?.schema || {});
+  }
+
+  /**
+   * Validate a server, returns { errors, warnings } with { path, message } issues
+   */
+  validate(server) {
+    const checkType = this.get(server.type);
+    if (!checkType) {
+      const message = server.type === undefined
+        ? 'is required'
+        : `"${server.type}" is not a known check type (${this.names().join(', ')})`;
+      return { errors: [{ path: 'type', message }], warnings: [] };
+    }
+
+    const report = validateObject(server, this.schema(server.type));
+    // without a schema every option of the type would be unknown
+    if (!checkType.schema) report.warnings = [];
+    for (const message of checkType.validate?.(server) || []) {
+      report.errors.push({ path: '', message });
+    }
+    return report;
+  }
+}
+
+/**
+ * Registry with the built-in check types and the configured plugins
+ */
+function createRegistry(plugins = []) {
+  const registry = new CheckRegistry();
+  BUILT_IN.forEach(file => registry.register(require(file)));
+  registry.load(plugins);
+  return registry;
+}
+
+module.exports = { CheckRegistry, createRegistry };
@@ -0,0 +1,67 @@
+/**
+ * ICMP ping check using the system ping command
+ */
+
+const { exec } = require('node:child_process');
+
+const { formatTime, applyLatencyThresholds } = require('./common');
+
+const isLinux = require('node:os').type() === 'Linux';
+const PING_IN_MILLISECONDS = isLinux ? 1000 : 1 // linux ping is in seconds
+
+/**
+ * Perform a ping to check server availability, returns the round trip time parsed from stdout.
+ * `execProcess` is ctx.exec when run by the monitor
+ */
+function ping(target, timeout, execProcess = exec) {
+  const command = `ping -c 1 -W ${Math.floor(timeout / PING_IN_MILLISECONDS)} ${target}`;
+  return new Promise((resolve) => {
+    execProcess(command, { timeout }, (error, stdout, stderr) => {
+      if (error) return resolve({ alive: false, rtt: null });
+
+      // Check if ping was successful
+      const alive = !stderr && (stdout.includes('1 packets transmitted, 1 received, 0% packet loss') || stdout.includes('1 packets received'));
+      const rttMatch = stdout.match(/time[=<]\s*([\d.]+)\s*ms/i);
+
+      resolve({
+        alive,
+        rtt: alive && rttMatch ? Number(rttMatch[1]) : null,
+      });
+    });
+  });
+}
+
+module.exports = {
+  name: 'ping',
+
+  schema: {
+    target: { type: 'string', required: true },
+    timeout: { type: 'number', required: true, min: 1 },
+  },
+
+  async run(server, ctx) {
+    const { alive: isAlive, rtt } = await ping(server.target, server.timeout, ctx?.exec);
+    const result = {
+      name: server.name,
+      type: server.type,
+      target: server.target,
+      status: isAlive ? 'UP' : 'DOWN',
+      statusCode: isAlive ? '✓' : '✗',
+      lastCheck: formatTime(),
+      latency: rtt,
+      error: null,
+      details: {
+        pingLatency: rtt
+      },
+      sshInfo: null
+    };
+    applyLatencyThresholds(result, server, [['ping', rtt]]);
+    return result;
+  },
+
+  formatDetails(result) {
+    return [result.details.latencyDetails, result.error].filter(Boolean).join(' | ') || '-';
+  },
+
+  ping,
+};
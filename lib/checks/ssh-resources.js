@@ -0,0 +1,229 @@
+/**
+ * Host resources collected over the SSH connection of ssh checks: disk usage per
+ * mount, memory and swap, load per CPU, failed systemd units and named services.
+ * Values at `warn` make the check DEGRADED, at `crit` UNHEALTHY.
+ */
+
+const { worstStatus } = require('../status');
+
+const LEVEL_STATUS = { warn: 'DEGRADED', crit: 'UNHEALTHY' };
+
+// Used when a resource is enabled with `true` or without thresholds
+const DEFAULT_THRESHOLDS = {
+  disk: { warn: 80, crit: 90 },
+  memory: { warn: 90, crit: 95 },
+  swap: { warn: 50, crit: 80 },
+  load: { warn: 1.5, crit: 3 },
+  failedUnits: { warn: 1 },
+};
+
+// Pseudo and read-only filesystems that are always full or irrelevant
+const IGNORED_FILESYSTEMS = /^(tmpfs|devtmpfs|udev|overlay|shm|none|squashfs|efivarfs)$/;
+const IGNORED_MOUNTS = /^\/(dev|run|sys|proc|snap)(\/|$)/;
+
+const thresholds = (extra = {}) => ({
+  type: ['boolean', 'object'],
+  schema: { warn: { type: 'number', min: 0 }, crit: { type: 'number', min: 0 }, ...extra },
+});
+
+const RESOURCES_SCHEMA = {
+  disk: thresholds({ mounts: { type: 'array', items: { type: 'string' } } }),
+  memory: thresholds(),
+  swap: thresholds(),
+  load: thresholds({ average: { type: 'number', values: [1, 5, 15] } }),
+  failedUnits: thresholds(),
+  services: { type: 'array', items: { type: 'string' } },
+};
+
+const quote = value => `'${String(value).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * Shell commands per output section for the configured resources
+ */
+function resourceCommands(resources = {}) {
+  const commands = {};
+  if (resources.disk) commands.disk = 'df -P -k';
+  if (resources.memory || resources.swap) commands.memory = 'cat /proc/meminfo';
+  if (resources.load) commands.load = 'cat /proc/loadavg; getconf _NPROCESSORS_ONLN 2>/dev/null || nproc';
+  if (resources.failedUnits) commands.failedUnits = 'systemctl list-units --state=failed --plain --no-legend --no-pager';
+  if (resources.services?.length) commands.services = `systemctl is-active ${resources.services.map(quote).join(' ')}`;
+  return commands;
+}
+
+/**
+ * `df -P -k` output as [{ filesystem, mount, size, used, available, usedPercent }] in KiB
+ */
+function parseDf(output) {
+  return output.split('\n').slice(1)
+    .map(line => line.trim().match(/^(\S+)\s+(\d+)\s+(\d+)\s+(\d+)\s+(\d+)%\s+(.+)$/))
+    .filter(Boolean)
+    .map(([, filesystem, size, used, available, usedPercent, mount]) => ({
+      filesystem,
+      mount,
+      size: Number(size),
+      used: Number(used),
+      available: Number(available),
+      usedPercent: Number(usedPercent),
+    }));
+}
+
+/**
+ * Memory and swap usage from /proc/meminfo, values in KiB
+ */
+function parseMeminfo(output) {
+  const values = {};
+  for (const match of output.matchAll(/^(\w+):\s+(\d+)/gm)) values[match[1]] = Number(match[2]);
+  if (!values.MemTotal) return null;
+
+  // kernels before 3.14 have no MemAvailable
+  const available = values.MemAvailable ?? (values.MemFree || 0) + (values.Buffers || 0) + (values.Cached || 0);
+  const swapUsed = (values.SwapTotal || 0) - (values.SwapFree || 0);
+  return {
+    total: values.MemTotal,
+    available,
+    usedPercent: Math.round((1 - available / values.MemTotal) * 1000) / 10,
+    swapTotal: values.SwapTotal || 0,
+    swapUsed,
+    swapPercent: values.SwapTotal ? Math.round((swapUsed / values.SwapTotal) * 1000) / 10 : 0,
+  };
+}
+
+/**
+ * /proc/loadavg followed by the number of CPUs
+ */
+function parseLoad(output) {
+  const [loadLine = '', cpuLine = ''] = output.trim().split('\n');
+  const [load1, load5, load15] = loadLine.split(/\s+/).map(Number);
+  if (![load1, load5, load15].every(Number.isFinite)) return null;
+  return { load1, load5, load15, cpus: Number(cpuLine.trim()) || 1 };
+}
+
+function parseFailedUnits(output) {
+  return output.split('\n')
+    .map(line => line.replace(/^[●*\s]+/, '').split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * `systemctl is-active` prints one state per unit, in order
+ */
+function parseServices(output, names) {
+  const states = output.split('\n').map(line => line.trim()).filter(Boolean);
+  return names.map((name, index) => ({ name, state: states[index] || 'unknown' }));
+}
+
+/**
+ * Compare the parsed sections with the thresholds. Returns
+ * { status, issues, disk, memory, load, failedUnits, services }, `issues` are texts like "/ 92%"
+ */
+function evaluateResources(sections, resources = {}) {
+  const evaluation = { status: 'UP', issues: [] };
+  const limits = key => {
+    const config = resources[key] === true ? {} : resources[key];
+    return config.warn === undefined && config.crit === undefined ? { ...config, ...DEFAULT_THRESHOLDS[key] } : config;
+  };
+  const level = (value, { warn, crit }) => {
+    if (crit !== undefined && value >= crit) return 'crit';
+    if (warn !== undefined && value >= warn) return 'warn';
+    return null;
+  };
+  const report = (item, itemLevel, text) => {
+    item.level = itemLevel;
+    if (!itemLevel) return;
+    evaluation.status = worstStatus(evaluation.status, LEVEL_STATUS[itemLevel]);
+    evaluation.issues.push(text);
+  };
+  const missing = (key) => {
+    evaluation.status = worstStatus(evaluation.status, 'DEGRADED');
+    evaluation.issues.push(`no ${key} data`);
+  };
+
+  if (resources.disk) {
+    const { mounts, ...disk } = limits('disk');
+    evaluation.disk = parseDf(sections.disk || '').filter(entry => (mounts
+      ? mounts.includes(entry.mount)
+      : !IGNORED_FILESYSTEMS.test(entry.filesystem) && !IGNORED_MOUNTS.test(entry.mount)));
+    evaluation.disk.forEach(entry => report(entry, level(entry.usedPercent, disk), `${entry.mount} ${entry.usedPercent}%`));
+    (mounts || []).filter(mount => !evaluation.disk.some(entry => entry.mount === mount)).forEach((mount) => {
+      evaluation.status = worstStatus(evaluation.status, 'UNHEALTHY');
+      evaluation.issues.push(`${mount} not mounted`);
+    });
+  }
+
+  if (resources.memory || resources.swap) {
+    evaluation.memory = parseMeminfo(sections.memory || '');
+    if (!evaluation.memory) missing('memory');
+    else {
+      if (resources.memory) {
+        report(evaluation.memory, level(evaluation.memory.usedPercent, limits('memory')), `mem ${evaluation.memory.usedPercent}%`);
+      }
+      if (resources.swap && evaluation.memory.swapTotal) {
+        const swap = level(evaluation.memory.swapPercent, limits('swap'));
+        evaluation.memory.swapLevel = swap;
+        if (swap) {
+          evaluation.status = worstStatus(evaluation.status, LEVEL_STATUS[swap]);
+          evaluation.issues.push(`swap ${evaluation.memory.swapPercent}%`);
+        }
+      }
+    }
+  }
+
+  if (resources.load) {
+    const { average = 5, ...load } = limits('load');
+    evaluation.load = parseLoad(sections.load || '');
+    if (!evaluation.load) missing('load');
+    else {
+      const value = evaluation.load[`load${average}`];
+      evaluation.load.perCpu = Math.round((value / evaluation.load.cpus) * 100) / 100;
+      report(evaluation.load, level(evaluation.load.perCpu, load), `load ${value} on ${evaluation.load.cpus} CPUs`);
+    }
+  }
+
+  if (resources.failedUnits) {
+    const units = parseFailedUnits(sections.failedUnits || '');
+    evaluation.failedUnits = { units };
+    report(evaluation.failedUnits, level(units.length, limits('failedUnits')), `${units.length} failed unit${units.length === 1 ? '' : 's'} (${units.join(', ')})`);
+  }
+
+  if (resources.services?.length) {
+    evaluation.services = parseServices(sections.services || '', resources.services);
+    evaluation.services.forEach(service => report(service, service.state === 'active' ? null : 'crit', `${service.name} ${service.state}`));
+  }
+
+  return evaluation;
+}
+
+/**
+ * One line per measured value for detail views, e.g. "Disk /: 92% of 20.0 GiB (crit)"
+ */
+function describeResources(evaluation) {
+  const mark = item => (item.level ? ` (${item.level})` : '');
+  const gib = kib => `${(kib / 1048576).toFixed(1)} GiB`;
+  const lines = [];
+  (evaluation.disk || []).forEach(entry => lines.push(`Disk ${entry.mount}: ${entry.usedPercent}% of ${gib(entry.size)}${mark(entry)}`));
+  if (evaluation.memory) {
+    lines.push(`Memory: ${evaluation.memory.usedPercent}% of ${gib(evaluation.memory.total)}${mark(evaluation.memory)}`);
+    if (evaluation.memory.swapTotal) {
+      lines.push(`Swap: ${evaluation.memory.swapPercent}% of ${gib(evaluation.memory.swapTotal)}${mark({ level: evaluation.memory.swapLevel })}`);
+    }
+  }
+  if (evaluation.load) {
+    const { load1, load5, load15, cpus, perCpu } = evaluation.load;
+    lines.push(`Load: ${load1} ${load5} ${load15} on ${cpus} CPUs (${perCpu} per CPU)${mark(evaluation.load)}`);
+  }
+  if (evaluation.failedUnits) lines.push(`Failed units: ${evaluation.failedUnits.units.join(', ') || 'none'}`);
+  (evaluation.services || []).forEach(service => lines.push(`Service ${service.name}: ${service.state}`));
+  return lines;
+}
+
+module.exports = {
+  RESOURCES_SCHEMA,
+  resourceCommands,
+  parseDf,
+  parseMeminfo,
+  parseLoad,
+  parseFailedUnits,
+  parseServices,
+  evaluateResources,
+  describeResources,
+};
@@ -0,0 +1,179 @@
+/**
+ * Pending package updates and reboots, detected over the SSH connection of ssh checks.
+ * The distro is identified from /etc/os-release and a detector picked for it, each
+ * runs non-mutating queries against the local package index and parses them into
+ * { updates, security, rebootRequired, packages }. `security` is null when the
+ * package manager does not know about security updates.
+ */
+
+/**
+ * /etc/os-release as { id, idLike, versionId, prettyName }
+ */
+function parseOsRelease(output) {
+  const values = {};
+  for (const match of output.matchAll(/^([A-Z_]+)=(.*)$/gm)) {
+    values[match[1]] = match[2].trim().replace(/^(["'])(.*)\1$/, '$2');
+  }
+  if (!values.ID) return null;
+  return {
+    id: values.ID.toLowerCase(),
+    idLike: (values.ID_LIKE || '').toLowerCase().split(/\s+/).filter(Boolean),
+    versionId: values.VERSION_ID || null,
+    prettyName: values.PRETTY_NAME || values.NAME || values.ID,
+  };
+}
+
+/**
+ * `apt list --upgradable`, security updates come from a "-security" suite:
+ *   libssl3/stable-security 3.0.11-1~deb12u2 amd64 [upgradable from: 3.0.9-1]
+ */
+function parseAptUpgradable(output) {
+  const packages = output.split('\n')
+    .map(line => line.trim().match(/^([^/\s]+)\/(\S+)\s+(\S+)\s+\S+\s+\[upgradable from: ([^\]]+)\]/))
+    .filter(Boolean)
+    .map(([, name, suites, version, from]) => ({ name, version, from, security: /-security\b/.test(suites) }));
+  return { updates: packages.length, security: packages.filter(item => item.security).length, packages };
+}
+
+/**
+ * `dnf check-update` / `yum check-update`: "name.arch version repo" until the
+ * obsoleted packages, long names wrap the rest onto an indented line
+ */
+function parseDnfCheckUpdate(output) {
+  const lines = [];
+  for (const line of output.split(/^Obsoleting Packages/m)[0].split('\n')) {
+    const last = lines.length - 1;
+    if (/^\s/.test(line) && last >= 0 && lines[last].split(/\s+/).length < 3) lines[last] += ` ${line.trim()}`;
+    else lines.push(line.trim());
+  }
+
+  const packages = lines
+    .map(line => line.match(/^(\S+)\.([\w-]+)\s+(\S*\d\S*)\s+(\S+)$/))
+    .filter(Boolean)
+    .map(([, name, arch, version, repo]) => ({ name, arch, version, repo }));
+  return { updates: packages.length, packages };
+}
+
+/**
+ * `dnf updateinfo list --security`, the packages of security advisories:
+ *   RHSA-2023:5249 Important/Sec. openssl-libs-1:3.0.7-17.el9_2.x86_64
+ */
+function parseDnfSecurity(output) {
+  const packages = new Set();
+  for (const line of output.split('\n')) {
+    const match = line.trim().match(/^\S+\s+(\S+)\s+(\S+)$/);
+    if (match && /(^|\/)sec(\.|urity)?$/i.test(match[1])) packages.add(match[2]);
+  }
+  return packages.size;
+}
+
+/**
+ * `needs-restarting -r` prints "Reboot is required ..." or "Reboot should not be necessary."
+ */
+function parseNeedsRestarting(output) {
+  return /reboot is required/i.test(output);
+}
+
+/**
+ * `apk version -l '<'`:
+ *   busybox-1.36.1-r2                       < 1.36.1-r5
+ */
+function parseApkVersion(output) {
+  const packages = output.split('\n')
+    .map(line => line.trim().match(/^(\S+)-(\d\S*-r\d+)\s+<\s+(\S+)/))
+    .filter(Boolean)
+    .map(([, name, from, version]) => ({ name, version, from }));
+  return { updates: packages.length, packages };
+}
+
+/**
+ * The update-motd output of Ubuntu (update-notifier)
+ */
+function parseMotd(output) {
+  const updates = output.match(/(\d+)\s+updates?\s+can be applied immediately/i);
+  const security = output.match(/(\d+)\s+of these updates?\s+(?:is|are)\s+(?:a )?standard security updates?/i);
+  return {
+    updates: updates ? Number(updates[1]) : 0,
+    security: security ? Number(security[1]) : 0,
+    rebootRequired: output.includes('System restart required'),
+  };
+}
+
+const isFamily = (os, ...ids) => ids.some(id => os.id === id || os.idLike.includes(id));
+
+/**
+ * Detectors in the order they are tried: { name, matches(os), commands: { section: command }, parse(sections) }
+ */
+const DETECTORS = [
+  {
+    name: 'apt',
+    matches: os => isFamily(os, 'debian', 'ubuntu'),
+    commands: {
+      packages: 'apt list --upgradable',
+      reboot: 'test -f /var/run/reboot-required && echo required',
+    },
+    parse: sections => ({
+      ...parseAptUpgradable(sections.packages || ''),
+      rebootRequired: (sections.reboot || '').includes('required'),
+    }),
+  },
+  {
+    // yum on Amazon Linux 2 and CentOS 7 takes the same arguments
+    name: 'dnf',
+    matches: os => isFamily(os, 'rhel', 'fedora', 'centos', 'amzn'),
+    commands: {
+      packages: 'PM=$(command -v dnf || command -v yum); $PM -q check-update',
+      security: 'PM=$(command -v dnf || command -v yum); $PM -q updateinfo list --security',
+      reboot: 'if command -v needs-restarting >/dev/null; then needs-restarting -r; else dnf needs-restarting -r; fi',
+    },
+    parse: sections => ({
+      ...parseDnfCheckUpdate(sections.packages || ''),
+      security: parseDnfSecurity(sections.security || ''),
+      rebootRequired: parseNeedsRestarting(sections.reboot || ''),
+    }),
+  },
+  {
+    name: 'apk',
+    matches: os => isFamily(os, 'alpine'),
+    commands: {
+      packages: "apk version -l '<'",
+      // the modules of the running kernel are gone once a newer kernel is installed
+      reboot: 'test -d /lib/modules && ! test -d "/lib/modules/$(uname -r)" && echo required',
+    },
+    parse: sections => ({
+      ...parseApkVersion(sections.packages || ''),
+      security: null,
+      rebootRequired: (sections.reboot || '').includes('required'),
+    }),
+  },
+  {
+    // Fallback for other distros with update-notifier style MOTD scripts
+    name: 'motd',
+    matches: () => true,
+    commands: { motd: 'run-parts /etc/update-motd.d/' },
+    parse: sections => ({ ...parseMotd(sections.motd || ''), motd: sections.motd || '' }),
+  },
+];
+
+const DETECTOR_NAMES = DETECTORS.map(detector => detector.name);
+
+/**
+ * The detector for a parsed os-release, or the one named by the `updateDetector` option
+ */
+function findDetector(os, name = 'auto') {
+  if (name !== 'auto') return DETECTORS.find(detector => detector.name === name);
+  return DETECTORS.find(detector => os && detector.matches(os)) || DETECTORS[DETECTORS.length - 1];
+}
+
+module.exports = {
+  DETECTORS,
+  DETECTOR_NAMES,
+  findDetector,
+  parseOsRelease,
+  parseAptUpgradable,
+  parseDnfCheckUpdate,
+  parseDnfSecurity,
+  parseNeedsRestarting,
+  parseApkVersion,
+  parseMotd,
+};
@@ -0,0 +1,235 @@
+/**
+ * SSH check for pending updates and reboot status (see ssh-updates.js)
+ * and host resources with thresholds (see ssh-resources.js)
+ */
+
+const { spawn } = require('node:child_process');
+
+const { formatTime } = require('./common');
+const { worstStatus } = require('../status');
+const { RESOURCES_SCHEMA, resourceCommands, evaluateResources } = require('./ssh-resources');
+const { DETECTOR_NAMES, findDetector, parseOsRelease } = require('./ssh-updates');
+
+const SECTION_MARKER = /^@@(\w+)@@$/m;
+
+/**
+ * One remote script printing every command's output after a "@@name@@" line
+ */
+function sectionScript(commands) {
+  return Object.entries(commands)
+    .map(([name, command]) => `echo '@@${name}@@'; { ${command}; } 2>/dev/null`)
+    .join('; ');
+}
+
+function splitSections(output) {
+  const parts = output.split(SECTION_MARKER);
+  const sections = {};
+  for (let index = 1; index < parts.length; index += 2) sections[parts[index]] = parts[index + 1].replace(/^\n/, '');
+  return sections;
+}
+
+/**
+ * Run a command with the native ssh client, resolves { output, errorOutput, code, duration }
+ * or { timedOut: true }. `spawnProcess` is ctx.spawn when run by the monitor
+ */
+function runSsh(host, port, username, command, spawnProcess = spawn) {
+  return new Promise((resolve) => {
+    const sshParams = [
+      '-o', 'BatchMode=yes',
+      '-o', 'ConnectTimeout=10',
+      '-o', 'StrictHostKeyChecking=accept-new',
+    ];
+    if (port) sshParams.push('-p', port)
+
+    sshParams.push(username ? `${username}@${host}` : host)
+    sshParams.push(command)
+
+    const startedAt = Date.now();
+    const ssh = spawnProcess('ssh', sshParams);
+
+    let output = '';
+    let errorOutput = '';
+    const timeout = setTimeout(() => {
+      ssh.kill();
+      resolve({ timedOut: true });
+    }, 15000);
+
+    ssh.stdout.on('data', (data) => {
+      output += data.toString();
+    });
+
+    ssh.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    ssh.on('close', (code) => {
+      clearTimeout(timeout);
+      resolve({ output, errorOutput, code, duration: Date.now() - startedAt });
+    });
+  });
+}
+
+/**
+ * Failed ssh run as an error text, null when the remote command ran
+ */
+function sshError(run) {
+  if (run.timedOut) return 'SSH timeout';
+  // 255 is the exit code of ssh itself failing, e.g. refused or denied
+  if (run.code === 255) return run.errorOutput.trim().split('\n').pop() || 'SSH connection failed';
+  return null;
+}
+
+/**
+ * Pending updates and reboot status, by the detector of the distro in /etc/os-release
+ * unless `detectorName` picks one (see ssh-updates.js)
+ */
+async function checkSSH(host, port, username, detectorName = 'auto', spawnProcess = spawn) {
+  const startedAt = Date.now();
+  let os = null;
+  if (detectorName === 'auto') {
+    const release = await runSsh(host, port, username, 'cat /etc/os-release', spawnProcess);
+    const error = sshError(release);
+    if (error) return { success: false, error, rebootRequired: false, updates: null };
+    os = parseOsRelease(release.output);
+  }
+
+  const detector = findDetector(os, detectorName);
+  const run = await runSsh(host, port, username, sectionScript(detector.commands), spawnProcess);
+  const error = sshError(run);
+  if (error) return { success: false, error, rebootRequired: false, updates: null };
+
+  const found = detector.parse(splitSections(run.output));
+  let updatesInfo = '';
+  if (found.updates) {
+    updatesInfo = `${found.updates} updates`;
+    if (found.security) {
+      updatesInfo += ` (${found.security} security)`;
+    }
+  }
+
+  return {
+    success: true,
+    error: null,
+    distro: os?.prettyName || null,
+    detector: detector.name,
+    motd: found.motd ?? null,
+    rebootRequired: found.rebootRequired,
+    updates: updatesInfo || null,
+    updateCount: found.updates,
+    securityUpdateCount: found.security,
+    packages: found.packages || null,
+    duration: Date.now() - startedAt,
+    lastCheck: formatTime(),
+  };
+}
+
+/**
+ * Host resources, collected on every run (the update check is cached)
+ */
+async function checkResources(host, port, username, resources, spawnProcess = spawn) {
+  const run = await runSsh(host, port, username, sectionScript(resourceCommands(resources)), spawnProcess);
+  const error = sshError(run);
+  if (error) return { success: false, error };
+
+  return { success: true, error: null, duration: run.duration, ...evaluateResources(splitSections(run.output), resources) };
+}
+
+function target(server) {
+  const port = server.port || server.username && 22;
+  return `${server.username ? `${server.username}@` : ''}${server.host}${port ? `:${port}` : ''}`;
+}
+
+module.exports = {
+  name: 'ssh',
+  target,
+
+  schema: {
+    host: { type: 'string', required: true },
+    port: { type: 'number' },
+    username: { type: 'string' },
+    sshCheckInterval: { type: 'number', min: 0 },
+    updateDetector: { type: 'string', values: ['auto', ...DETECTOR_NAMES] },
+    resources: { type: 'object', schema: RESOURCES_SCHEMA },
+  },
+
+  async run(server, ctx) {
+    // SSH check for updates and reboot status
+    const sshHost = server.host;
+    const sshPort = server.port || server.username && 22;
+    const sshUser = server.username;
+    const cacheKey = `${sshHost}:${sshPort}:${sshUser}:${server.updateDetector || 'auto'}`;
+    const checkInterval = server.sshCheckInterval || 3600000; // 1 hour default
+
+    let sshResult = null;
+
+    // Check if we have cached result and it's still valid
+    if (ctx.sshCache[cacheKey]) {
+      const timeSinceLastCheck = Date.now() - ctx.sshCache[cacheKey].timestamp;
+      if (timeSinceLastCheck < checkInterval) {
+        sshResult = ctx.sshCache[cacheKey].result;
+        sshResult.timestamp = ctx.sshCache[cacheKey].timestamp
+      }
+    }
+
+    // If no valid cache, perform SSH check
+    if (!sshResult) {
+      sshResult = await checkSSH(sshHost, sshPort, sshUser, server.updateDetector, ctx.spawn);
+      ctx.sshCache[cacheKey] = {
+        result: sshResult,
+        timestamp: Date.now()
+      };
+    }
+
+    const resources = server.resources ? await checkResources(sshHost, sshPort, sshUser, server.resources, ctx.spawn) : null;
+
+    let status = 'UP';
+    let statusCode = '✓';
+    let error = null;
+
+    if (!sshResult.success || (resources && !resources.success)) {
+      status = 'DOWN';
+      statusCode = '✗';
+      error = sshResult.success ? resources.error : sshResult.error;
+    } else {
+      if (sshResult.rebootRequired || sshResult.updates) status = 'MAINTENANCE';
+      if (resources) status = worstStatus(status, resources.status);
+      if (status !== 'UP') statusCode = '⚠';
+    }
+
+    return {
+      name: server.name,
+      type: server.type,
+      target: target(server),
+      status: status,
+      statusCode: statusCode,
+      lastCheck: sshResult.lastCheck || formatTime(),
+      latency: resources?.duration ?? sshResult.duration ?? null,
+      error: error,
+      details: {
+        rebootRequired: sshResult.rebootRequired,
+        updates: sshResult.updates,
+        ...(resources?.success && { resources: resources.issues }),
+      },
+      sshInfo: resources ? { ...sshResult, resources } : sshResult
+    };
+  },
+
+  formatDetails(result) {
+    let details = [];
+    if (result.error) {
+      details.push(result.error);
+    } else {
+      details.push(...(result.details?.resources || []));
+      if (result.sshInfo?.rebootRequired) {
+        details.push('⚠ Reboot required');
+      }
+      if (result.sshInfo?.updates) {
+        details.push(result.sshInfo.updates);
+      }
+    }
+    return details.length > 0 ? details.join(' | ') : 'OK';
+  },
+
+  checkSSH,
+  checkResources,
+};
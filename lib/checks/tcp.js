@@ -0,0 +1,70 @@
+/**
+ * TCP port check with optional payload and banner match
+ */
+
+const { checkTcp, parseRegExp } = require('../tcp-check');
+const { formatTime, applyLatencyThresholds } = require('./common');
+
+function target(server) {
+  return `${server.target}:${server.port}`;
+}
+
+module.exports = {
+  name: 'tcp',
+  target,
+
+  schema: {
+    target: { type: 'string', required: true },
+    port: { type: 'number', required: true, min: 1 },
+    send: { type: 'string' },
+    expect: { type: ['string', 'regexp'] },
+  },
+
+  validate(server) {
+    try {
+      parseRegExp(server.expect);
+      return [];
+    } catch (error) {
+      return [`expect: ${error.message}`];
+    }
+  },
+
+  async run(server) {
+    const tcpResult = await checkTcp(server.target, server.port, server);
+
+    let status = 'UP';
+    let statusDetails = null;
+    if (!tcpResult.success) {
+      status = 'DOWN';
+    } else if (tcpResult.bannerOk === false) {
+      // Port open but something else is answering
+      status = 'UNHEALTHY';
+      statusDetails = tcpResult.banner ? `Unexpected banner: ${tcpResult.banner}` : 'No banner received';
+    }
+
+    const result = {
+      name: server.name,
+      type: server.type,
+      target: target(server),
+      status: status,
+      statusCode: tcpResult.success ? '✓' : '✗',
+      lastCheck: formatTime(),
+      latency: tcpResult.connectTime,
+      error: tcpResult.error,
+      details: {
+        connectTime: tcpResult.connectTime,
+        banner: tcpResult.banner,
+        bannerOk: tcpResult.bannerOk,
+        statusDetails: statusDetails
+      },
+      sshInfo: null
+    };
+    applyLatencyThresholds(result, server, [['connect', tcpResult.connectTime]]);
+    return result;
+  },
+
+  formatDetails(result) {
+    const { statusDetails, latencyDetails, banner, bannerOk } = result.details;
+    return [statusDetails, latencyDetails, bannerOk ? banner : null, result.error].filter(Boolean).join(' | ') || '-';
+  },
+};
@@ -0,0 +1,89 @@
+/**
+ * TLS certificate expiry and validity check
+ */
+
+const { checkTls } = require('../tls-check');
+const { STATUSES } = require('../status');
+const { formatTime } = require('./common');
+
+const TLS_SCHEMA = {
+  port: { type: 'number', min: 1 },
+  servername: { type: 'string' },
+  hostname: { type: 'string' },
+  ca: { type: ['string', 'array'] },
+  warningDays: { type: 'number', default: 14 },
+  warningStatus: { type: 'string', values: STATUSES, default: 'MAINTENANCE' },
+};
+
+/**
+ * Status of a TLS certificate: DOWN when expired, not matching the hostname or untrusted,
+ * warningStatus within warningDays before expiry
+ */
+function evaluateTls(tlsResult, { warningDays = 14, warningStatus = 'MAINTENANCE' } = {}) {
+  if (!tlsResult.success) {
+    return { status: 'DOWN', statusDetails: `TLS: ${tlsResult.error}` };
+  }
+  if (tlsResult.daysRemaining < 0) {
+    return { status: 'DOWN', statusDetails: 'Certificate expired' };
+  }
+  if (!tlsResult.hostnameMatch) {
+    return { status: 'DOWN', statusDetails: `Certificate does not match ${tlsResult.hostname}` };
+  }
+  if (!tlsResult.chainValid) {
+    return { status: 'DOWN', statusDetails: `Certificate chain invalid: ${tlsResult.chainError}` };
+  }
+  if (tlsResult.daysRemaining < warningDays) {
+    return { status: warningStatus, statusDetails: 'Certificate expires soon' };
+  }
+  return { status: 'UP', statusDetails: null };
+}
+
+function target(server) {
+  return `${server.target}:${server.port || 443}`;
+}
+
+module.exports = {
+  name: 'tls',
+  target,
+
+  schema: {
+    target: { type: 'string', required: true },
+    ...TLS_SCHEMA,
+  },
+
+  async run(server) {
+    const port = server.port || 443;
+    const tlsResult = await checkTls(server.target, port, {
+      timeout: server.timeout,
+      servername: server.servername,
+      hostname: server.hostname,
+      ca: server.ca,
+    });
+    const { status, statusDetails } = evaluateTls(tlsResult, server);
+
+    return {
+      name: server.name,
+      type: server.type,
+      target: target(server),
+      status: status,
+      statusCode: tlsResult.success ? `${tlsResult.daysRemaining}d` : '✗',
+      lastCheck: formatTime(),
+      latency: tlsResult.duration,
+      error: tlsResult.error,
+      details: {
+        tls: tlsResult,
+        statusDetails: statusDetails
+      },
+      sshInfo: null
+    };
+  },
+
+  formatDetails(result) {
+    const { tls, statusDetails } = result.details;
+    const details = [statusDetails];
+    if (tls.success) details.push(`valid until ${tls.validTo.slice(0, 10)} (${tls.daysRemaining}d)`, tls.issuer);
+    return details.filter(Boolean).join(' | ');
+  },
+
+  TLS_SCHEMA,
+};
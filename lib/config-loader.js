@@ -0,0 +1,95 @@
+/**
+ * Config files: .js, .json and .yaml, with ${ENV_VAR} and file: references
+ *   ${API_TOKEN}          - environment variable, an error when it is not set
+ *   ${REGION:-eu-west-1}  - with a default
+ *   $${NAME}              - a literal ${NAME}, e.g. for command channels
+ *   file:/run/secrets/key - the whole value is replaced with the trimmed file content,
+ *                           relative paths start at the config file's directory
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { parseYaml } = require('./yaml');
+
+const ENV_REFERENCE = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Read a config file by its extension
+ */
+function readConfigFile(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) throw new Error(`Config file ${file} does not exist`);
+
+  const extension = path.extname(resolved).toLowerCase();
+  try {
+    switch (extension) {
+      case '.js':
+      case '.cjs':
+        // a fresh copy on every load
+        delete require.cache[resolved];
+        return require(resolved);
+      case '.json':
+        return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+      case '.yaml':
+      case '.yml':
+        return parseYaml(fs.readFileSync(resolved, 'utf8'));
+      default:
+        throw new Error('unsupported format, use .js, .json, .yaml or .yml');
+    }
+  } catch (error) {
+    throw new Error(`Config file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Replace environment and file references in all strings of a config
+ */
+function interpolate(value, { env = process.env, baseDir = process.cwd(), keyPath = '' } = {}) {
+  if (typeof value === 'string') {
+    const where = keyPath || 'value';
+    if (value.startsWith('file:')) {
+      const file = path.resolve(baseDir, value.slice('file:'.length));
+      try {
+        return fs.readFileSync(file, 'utf8').trim();
+      } catch (error) {
+        throw new Error(`${where}: secret file ${file} cannot be read (${error.code || error.message})`);
+      }
+    }
+
+    return value.replace(ENV_REFERENCE, (match, escaped, name, fallback) => {
+      if (escaped) return match.slice(1);
+      if (env[name] !== undefined && !(env[name] === '' && fallback !== undefined)) return env[name];
+      if (fallback !== undefined) return fallback;
+      throw new Error(`${where}: environment variable ${name} is not set (use $\${${name}} for a literal)`);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => interpolate(item, { env, baseDir, keyPath: `${keyPath}[${index}]` }));
+  }
+  if (Object.prototype.toString.call(value) === '[object Object]') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      interpolate(item, { env, baseDir, keyPath: keyPath ? `${keyPath}.${key}` : key }),
+    ]));
+  }
+  return value;
+}
+
+/**
+ * Read a config file and resolve its references
+ */
+function loadConfigFile(file, { env } = {}) {
+  const config = readConfigFile(file);
+  if (Object.prototype.toString.call(config) !== '[object Object]') {
+    throw new Error(`Config file ${file} must contain an object`);
+  }
+
+  try {
+    return interpolate(config, { env, baseDir: path.dirname(path.resolve(file)) });
+  } catch (error) {
+    throw new Error(`Config file ${file}: ${error.message}`);
+  }
+}
+
+module.exports = { readConfigFile, interpolate, loadConfigFile };
@@ -0,0 +1,263 @@
+/**
+ * Validation of the merged config
+ * Servers are validated against the schema of their check type with the
+ * documented defaults, the global `defaults` and those of their groups applied,
+ * issues name the server index and name, e.g. servers[1] "API Gateway": timeout is required
+ */
+
+const { validateObject } = require('./schema');
+const { SERVER_SCHEMA } = require('./checks/common');
+const { GROUP_RULES, mergeDefaults, resolveGroups } = require('./groups');
+const { dependencyGraph, findCycles } = require('./dependencies');
+const { parseCron } = require('./maintenance');
+const { STATUSES } = require('./status');
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'email', 'command'];
+
+// Options a channel needs per type
+const CHANNEL_REQUIRED = {
+  webhook: ['url'],
+  slack: ['url'],
+  email: ['smtp', 'from', 'to'],
+  command: ['command'],
+};
+
+const CHANNEL_SCHEMA = {
+  type: { type: 'string', required: true, values: CHANNEL_TYPES },
+  name: { type: 'string' },
+  enabled: { type: 'boolean' },
+  url: { type: 'string' },
+  method: { type: 'string' },
+  headers: { type: 'object' },
+  timeout: { type: 'number', min: 1 },
+  channel: { type: 'string' },
+  username: { type: 'string' },
+  iconEmoji: { type: 'string' },
+  smtp: {
+    type: 'object',
+    schema: {
+      host: { type: 'string', required: true },
+      port: { type: 'number', min: 1 },
+      secure: { type: 'boolean' },
+      starttls: { type: 'boolean' },
+      auth: { type: 'object', schema: { user: { type: 'string' }, pass: { type: 'string' } } },
+      timeout: { type: 'number', min: 1 },
+      rejectUnauthorized: { type: 'boolean' },
+      allowInsecureAuth: { type: 'boolean' },
+    },
+  },
+  from: { type: 'string' },
+  to: { type: ['string', 'array'] },
+  command: { type: 'string' },
+  servers: { type: 'array', items: { type: 'string' } },
+  groups: { type: 'array', items: { type: 'string' } },
+  templates: { type: 'object' },
+  sendResolved: { type: 'boolean' },
+  groupAlerts: { type: 'boolean' },
+};
+
+const CONFIG_SCHEMA = {
+  refreshInterval: { type: 'duration', required: true },
+  maxConcurrency: { type: 'number', min: 1 },
+  jitter: { type: 'duration' },
+  watchConfig: { type: 'boolean' },
+  servers: { type: 'array', required: true },
+  plugins: { type: 'array', items: { type: 'string' } },
+  defaults: { type: 'object' },
+  history: {
+    type: 'object',
+    schema: {
+      enabled: { type: 'boolean' },
+      file: { type: 'string' },
+      retention: { type: 'duration' },
+      rollupAfter: { type: 'duration' },
+      compactInterval: { type: 'duration' },
+      uptimeWindows: { type: 'array', items: { type: 'duration' } },
+      upStatuses: { type: 'array', items: { type: 'string' } },
+      slaTarget: { type: 'number', min: 0 },
+      recentLimit: { type: 'number', min: 1 },
+    },
+  },
+  incidents: {
+    type: 'object',
+    schema: {
+      enabled: { type: 'boolean' },
+      file: { type: 'string' },
+      retention: { type: 'duration' },
+      openOn: { type: 'string', values: STATUSES },
+    },
+  },
+  http: {
+    type: 'object',
+    schema: {
+      enabled: { type: 'boolean' },
+      host: { type: 'string' },
+      port: { type: 'number', min: 0 },
+      dashboard: { type: 'boolean' },
+      token: { type: 'string' },
+    },
+  },
+  maintenance: { type: 'array', items: { type: 'object' } },
+  alerts: {
+    type: 'object',
+    schema: {
+      channels: { type: 'array', items: { type: 'object' } },
+    },
+  },
+};
+
+const MAINTENANCE_SCHEMA = {
+  name: { type: 'string' },
+  reason: { type: 'string' },
+  servers: { type: 'array', items: { type: 'string' } },
+  groups: { type: 'array', items: { type: 'string' } },
+  start: { type: ['string', 'number', 'object'] },
+  end: { type: ['string', 'number', 'object'] },
+  cron: { type: 'string' },
+  duration: { type: 'duration' },
+};
+
+const GROUP_SCHEMA = {
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true },
+  servers: { type: 'array', required: true },
+  defaults: { type: 'object' },
+  dependsOn: { type: 'array', items: { type: 'string' } },
+  status: {
+    type: 'object',
+    schema: {
+      rule: { type: 'string', values: GROUP_RULES },
+      min: { type: 'number', min: 0 },
+    },
+  },
+};
+
+/**
+ * Issue as text, e.g. "timeout is required"
+ */
+function formatIssue({ path, message }) {
+  return path ? `${path} ${message}` : message;
+}
+
+/**
+ * Validate the merged config, returns { errors, warnings } as messages
+ */
+function validateConfig(config, registry) {
+  const report = validateObject(config, CONFIG_SCHEMA);
+  const errors = report.errors.map(formatIssue);
+  const warnings = [...(config.mergeNotices || []), ...report.warnings.map(formatIssue)];
+
+  // Global and group defaults may hold options of any check type
+  const known = new Set(Object.keys(SERVER_SCHEMA));
+  registry.names().forEach(name => Object.keys(registry.schema(name)).forEach(key => known.add(key)));
+  const checkDefaults = (defaults, label) => {
+    if (!defaults || typeof defaults !== 'object') return;
+    for (const key of Object.keys(defaults)) {
+      if (!known.has(key)) warnings.push(`${label}.${key} is not a known option`);
+    }
+  };
+  checkDefaults(config.defaults, 'defaults');
+
+  const names = new Map();
+  const dependencies = [];  // [where, dependsOn], checked once all names are known
+  const checkServer = (server, label, inherited = {}) => {
+    if (!server || typeof server !== 'object' || Array.isArray(server)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const where = server.name ? `${label} "${server.name}"` : label;
+    if (typeof server.name === 'string') {
+      if (names.has(server.name)) errors.push(`${where}: name is already used by ${names.get(server.name)}`);
+      else names.set(server.name, label);
+    }
+    if (Array.isArray(server.dependsOn)) dependencies.push([where, server.dependsOn]);
+
+    if (server.type === 'group') {
+      const groupReport = validateObject(server, GROUP_SCHEMA);
+      groupReport.errors.forEach(issue => errors.push(`${where}: ${formatIssue(issue)}`));
+      groupReport.warnings.forEach(issue => warnings.push(`${where}: ${formatIssue(issue)}`));
+      checkDefaults(server.defaults, `${where}: defaults`);
+
+      const { rule, min } = server.status || {};
+      const members = Array.isArray(server.servers) ? server.servers.length : 0;
+      if (rule === 'percentage' && min > 100) errors.push(`${where}: status.min must be at most 100 for the percentage rule`);
+      if (rule === 'quorum' && min > members) warnings.push(`${where}: status.min ${min} is more than the ${members} members, the quorum is never met`);
+      if (rule === 'worst' && min !== undefined) warnings.push(`${where}: status.min is ignored by the worst rule`);
+
+      if (Array.isArray(server.servers)) {
+        const defaults = mergeDefaults(inherited, server.defaults);
+        server.servers.forEach((child, index) => checkServer(child, `${where} > servers[${index}]`, defaults));
+      }
+      return;
+    }
+
+    const effective = mergeDefaults(registry.defaults(server.type), config.defaults, inherited, server);
+    const serverReport = registry.validate(effective);
+    serverReport.errors.forEach(issue => errors.push(`${where}: ${formatIssue(issue)}`));
+    // only the server's own keys, unknown global defaults are reported once above
+    serverReport.warnings
+      .filter(issue => issue.path.split(/[.[]/)[0] in server)
+      .forEach(issue => warnings.push(`${where}: ${formatIssue(issue)}`));
+  };
+
+  if (Array.isArray(config.servers)) {
+    config.servers.forEach((server, index) => checkServer(server, `servers[${index}]`));
+  }
+
+  for (const [where, dependsOn] of dependencies) {
+    dependsOn
+      .filter(name => typeof name === 'string' && !names.has(name))
+      .forEach(name => errors.push(`${where}: dependsOn "${name}" is not a server or group`));
+  }
+  try {
+    const { checks, groups } = resolveGroups(config.servers, () => config.defaults);
+    findCycles(dependencyGraph(checks, groups)).forEach(cycle => errors.push(`dependsOn cycle: ${cycle.join(' → ')}`));
+  } catch {
+    // a malformed server list is reported above
+  }
+
+  // One-off windows need start and end, recurring ones cron and duration
+  (Array.isArray(config.maintenance) ? config.maintenance : []).forEach((window, index) => {
+    if (!window || typeof window !== 'object') return;
+
+    const label = `maintenance[${index}]${window.name ? ` "${window.name}"` : ''}`;
+    const windowReport = validateObject(window, MAINTENANCE_SCHEMA);
+    if (window.cron !== undefined) {
+      if (window.duration === undefined) windowReport.errors.push({ path: 'duration', message: 'is required with cron' });
+      try {
+        parseCron(window.cron);
+      } catch (error) {
+        windowReport.errors.push({ path: 'cron', message: error.message.replace(/^cron "[^"]*" /, '') });
+      }
+    } else if (window.start === undefined || window.end === undefined) {
+      windowReport.errors.push({ path: '', message: 'needs start and end, or cron and duration' });
+    } else {
+      const [start, end] = [window.start, window.end].map(value => new Date(value).getTime());
+      if (Number.isNaN(start)) windowReport.errors.push({ path: 'start', message: 'is not a valid date' });
+      if (Number.isNaN(end)) windowReport.errors.push({ path: 'end', message: 'is not a valid date' });
+      if (start >= end) windowReport.errors.push({ path: 'end', message: 'must be after start' });
+    }
+    for (const name of [...(window.servers || []), ...(window.groups || [])]) {
+      if (typeof name === 'string' && !names.has(name)) windowReport.warnings.push({ path: '', message: `"${name}" is not a server or group` });
+    }
+    windowReport.errors.forEach(issue => errors.push(`${label}: ${formatIssue(issue)}`));
+    windowReport.warnings.forEach(issue => warnings.push(`${label}: ${formatIssue(issue)}`));
+  });
+
+  (Array.isArray(config.alerts?.channels) ? config.alerts.channels : []).forEach((channel, index) => {
+    if (!channel || typeof channel !== 'object') return;
+
+    const label = `alerts.channels[${index}]${channel.name ? ` "${channel.name}"` : ''}`;
+    const channelReport = validateObject(channel, CHANNEL_SCHEMA);
+    for (const field of CHANNEL_REQUIRED[channel.type] || []) {
+      if (channel[field] === undefined) channelReport.errors.push({ path: field, message: `is required for ${channel.type} channels` });
+    }
+    channelReport.errors.forEach(issue => errors.push(`${label}: ${formatIssue(issue)}`));
+    channelReport.warnings.forEach(issue => warnings.push(`${label}: ${formatIssue(issue)}`));
+  });
+
+  return { errors, warnings };
+}
+
+module.exports = { validateConfig, formatIssue };
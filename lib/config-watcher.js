@@ -0,0 +1,74 @@
+/**
+ * Config file watching and the differences between two check lists
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Comparable text of a check, RegExps included
+ */
+function fingerprint(check) {
+  return JSON.stringify(check, (key, value) => (value instanceof RegExp ? `RegExp(${value})` : value));
+}
+
+/**
+ * Added, removed and changed checks by name, unchanged ones are left out
+ */
+function diffChecks(previous, next) {
+  const previousByName = new Map(previous.map(check => [check.name, check]));
+  const nextNames = new Set(next.map(check => check.name));
+
+  return {
+    added: next.filter(check => !previousByName.has(check.name)).map(check => check.name),
+    removed: previous.filter(check => !nextNames.has(check.name)).map(check => check.name),
+    changed: next
+      .filter(check => previousByName.has(check.name) && fingerprint(previousByName.get(check.name)) !== fingerprint(check))
+      .map(check => check.name),
+  };
+}
+
+/**
+ * Calls `onChange` once a burst of changes to one of the files has settled.
+ * Directories are watched instead of the files, editors often replace a file
+ * on save, which ends a watch on the file itself.
+ */
+class ConfigWatcher {
+  constructor(files, onChange, { debounce = 300 } = {}) {
+    this.files = files.map(file => path.resolve(file));
+    this.onChange = onChange;
+    this.debounce = debounce;
+    this.watchers = [];
+    this.timer = null;
+  }
+
+  start() {
+    const directories = new Set(this.files.map(file => path.dirname(file)));
+    for (const directory of directories) {
+      const names = this.files.filter(file => path.dirname(file) === directory).map(file => path.basename(file));
+      try {
+        const watcher = fs.watch(directory, (event, filename) => {
+          if (!filename || names.includes(filename.toString())) this.changed();
+        });
+        // a deleted directory must not end the monitor
+        watcher.on('error', () => watcher.close());
+        this.watchers.push(watcher);
+      } catch {
+        // not watchable (e.g. missing directory), SIGHUP still reloads
+      }
+    }
+  }
+
+  changed() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.onChange(), this.debounce);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+}
+
+module.exports = { ConfigWatcher, diffChecks, fingerprint };
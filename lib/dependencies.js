@@ -0,0 +1,98 @@
+/**
+ * Check dependencies
+ * Servers and groups list the servers or groups they depend on in `dependsOn`,
+ * the members of a group inherit the dependencies of the group (see resolveGroups).
+ * While one of its dependencies is DOWN or UNREACHABLE a check is not run but
+ * reported as UNREACHABLE, with the dependency that is down itself as root cause.
+ */
+
+// Statuses of a dependency that make its dependents UNREACHABLE
+const UNAVAILABLE_STATUSES = ['DOWN', 'UNREACHABLE'];
+
+/**
+ * Edges of the dependency graph, name -> names: checks point to their dependencies,
+ * groups to their members as the status of a group follows them
+ */
+function dependencyGraph(checks, groups) {
+  const graph = new Map();
+  checks.forEach(check => graph.set(check.name, check.dependsOn || []));
+  groups.forEach(group => graph.set(group.name, [...group.checks, ...group.subgroups]));
+  return graph;
+}
+
+/**
+ * Cycles of the graph, each as the names along it, e.g. ['A', 'B', 'A']
+ */
+function findCycles(graph) {
+  const cycles = [];
+  const visited = new Map();  // name -> 'visiting' | 'done'
+  const path = [];
+
+  const visit = (name) => {
+    if (!graph.has(name) || visited.get(name) === 'done') return;
+    if (visited.get(name) === 'visiting') {
+      cycles.push([...path.slice(path.indexOf(name)), name]);
+      return;
+    }
+    visited.set(name, 'visiting');
+    path.push(name);
+    graph.get(name).forEach(visit);
+    path.pop();
+    visited.set(name, 'done');
+  };
+
+  [...graph.keys()].forEach(visit);
+  return cycles;
+}
+
+/**
+ * Checks in levels, every check after the checks it depends on directly or
+ * through a group. Used to run the checks of --once in order
+ */
+function dependencyLevels(checks, groups) {
+  const graph = dependencyGraph(checks, groups);
+  const checkNames = new Set(checks.map(check => check.name));
+  const levels = new Map();
+
+  const level = (name, visiting = new Set()) => {
+    if (levels.has(name)) return levels.get(name);
+    // unknown names and cycles are config errors
+    if (!graph.has(name) || visiting.has(name)) return -1;
+
+    visiting.add(name);
+    const below = Math.max(-1, ...graph.get(name).map(next => level(next, visiting)));
+    visiting.delete(name);
+    // a group is done with its last member
+    const value = checkNames.has(name) ? below + 1 : below;
+    levels.set(name, value);
+    return value;
+  };
+
+  const ordered = [];
+  for (const check of checks) {
+    const index = level(check.name);
+    (ordered[index] = ordered[index] || []).push(check);
+  }
+  return ordered.filter(Boolean);
+}
+
+/**
+ * The first dependency that is unavailable as { name, status, rootCause, rootStatus },
+ * null while all are available. `lookup(name)` returns the { status, rootCause,
+ * rootStatus } of a server or group, null when it has no status yet
+ */
+function blockingDependency(names = [], lookup) {
+  for (const name of names) {
+    const current = lookup(name);
+    if (!current || !UNAVAILABLE_STATUSES.includes(current.status)) continue;
+    return {
+      name,
+      status: current.status,
+      rootCause: current.rootCause || name,
+      rootStatus: current.rootStatus || current.status,
+    };
+  }
+  return null;
+}
+
+module.exports = { UNAVAILABLE_STATUSES, dependencyGraph, findCycles, dependencyLevels, blockingDependency };
@@ -0,0 +1,111 @@
+/**
+ * DNS resolution check
+ * Resolves A/AAAA/CNAME/MX/TXT/NS records of a name, optionally against a specific
+ * resolver, times the lookup and asserts on the returned records
+ */
+
+const { Resolver } = require('node:dns').promises;
+
+const { OPERATORS } = require('./assertions');
+
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS'];
+
+// c-ares error codes as a resolver would report them
+const ERROR_MESSAGES = {
+  ENOTFOUND: 'NXDOMAIN',
+  ENODATA: 'no records',
+  ETIMEOUT: 'Timeout',
+  ESERVFAIL: 'SERVFAIL',
+  EREFUSED: 'REFUSED',
+  ECONNREFUSED: 'resolver unreachable',
+};
+
+/**
+ * Records as comparable strings: MX "10 mx.example.com", TXT chunks joined
+ */
+function normalizeRecord(recordType, record) {
+  if (recordType === 'MX') return `${record.priority} ${record.exchange}`;
+  if (recordType === 'TXT') return record.join('');
+  return record;
+}
+
+/**
+ * Accept plain values and RegExps as shorthand for equals / regex expectations
+ */
+function normalizeExpectedRecords(expectedRecords) {
+  if (expectedRecords === undefined || expectedRecords === null) return [];
+
+  const expectations = Array.isArray(expectedRecords) ? expectedRecords : [expectedRecords];
+  return expectations.map((expectation) => {
+    if (expectation instanceof RegExp) return { operator: 'regex', match: 'any', value: expectation };
+    if (expectation && typeof expectation === 'object') return { operator: 'equals', match: 'any', ...expectation };
+    return { operator: 'equals', match: 'any', value: expectation };
+  });
+}
+
+/**
+ * Evaluate expectations against the records, "any" (default) needs one matching
+ * record, "all" needs every record to match. Results have the shape of response
+ * assertion results so they are formatted the same way.
+ */
+function evaluateRecords(recordType, records, expectations) {
+  const results = expectations.map(({ operator, value: expected, match }) => {
+    const compare = OPERATORS[operator];
+    const result = { source: 'dns', path: recordType, operator, expected, actual: records, match: false };
+    if (!compare) return { ...result, error: `Unknown operator "${operator}"` };
+
+    try {
+      const matches = records.map(record => compare(record, expected));
+      result.match = records.length > 0 && (match === 'all' ? matches.every(Boolean) : matches.some(Boolean));
+    } catch (error) {
+      result.error = error.message;
+    }
+    return result;
+  });
+
+  return { ok: results.every(result => result.match), results };
+}
+
+/**
+ * Resolve and evaluate, never rejects
+ */
+async function checkDns(name, options = {}) {
+  const { recordType = 'A', resolver, timeout = 5000 } = options;
+  const type = String(recordType).toUpperCase();
+  const startedAt = Date.now();
+
+  if (!RECORD_TYPES.includes(type)) {
+    return { success: false, duration: 0, recordType: type, records: [], recordsOk: null, error: `Unsupported record type "${recordType}"` };
+  }
+
+  try {
+    const dnsResolver = new Resolver({ timeout, tries: 1 });
+    if (resolver) dnsResolver.setServers(Array.isArray(resolver) ? resolver : [resolver]);
+
+    const records = (await dnsResolver.resolve(name, type)).map(record => normalizeRecord(type, record));
+    const expectations = normalizeExpectedRecords(options.expectedRecords);
+    const evaluation = expectations.length ? evaluateRecords(type, records, expectations) : null;
+
+    return {
+      success: true,
+      duration: Date.now() - startedAt,
+      recordType: type,
+      records,
+      recordsOk: evaluation ? evaluation.ok : null,
+      recordCheckDetails: evaluation ? evaluation.results : null,
+      error: null,
+    };
+  } catch (error) {
+    const message = ERROR_MESSAGES[error.code] || error.message;
+    return {
+      success: false,
+      duration: Date.now() - startedAt,
+      recordType: type,
+      records: [],
+      recordsOk: null,
+      error: error.code === 'ENODATA' ? `no ${type} records for ${name}` : `${message} ${name}`,
+    };
+  }
+}
+
+module.exports = { checkDns, RECORD_TYPES };
@@ -0,0 +1,153 @@
+/**
+ * Server groups
+ * Groups nest to any depth and their members inherit the `defaults` of every
+ * enclosing group. The status of a group is aggregated from its members (checks
+ * and subgroups) by its `status` rule:
+ *   { rule: 'worst' }               - the worst member status (default)
+ *   { rule: 'quorum', min: 2 }      - UP while at least `min` members are up (default: a majority)
+ *   { rule: 'percentage', min: 75 } - UP while at least `min` % of the members are up
+ * A met quorum or percentage with failing members is DEGRADED, otherwise the group
+ * takes the worst member status. The `dependsOn` of a group is added to those of
+ * its members (see lib/dependencies.js).
+ */
+
+const { UP_STATUSES, worstStatus } = require('./status');
+
+const GROUP_RULES = ['worst', 'quorum', 'percentage'];
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Merge layers of options, plain objects (ssh, dns, tls, headers, ...) are merged one level deep
+ */
+function mergeDefaults(...layers) {
+  const merged = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? { ...merged[key], ...value } : value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Flatten the server list without changing it. Returns
+ *   checks - servers with the inherited defaults, `groupName` (innermost group) and `groupPath`
+ *   groups - { name, path, parent, depth, status, checks, subgroups } in config order
+ * `baseDefaults(server)` returns the defaults below the group defaults
+ */
+function resolveGroups(servers, baseDefaults = () => ({})) {
+  const checks = [];
+  const groups = [];
+
+  const walk = (list, parent, inherited, dependencies) => {
+    for (const server of list) {
+      const path = parent ? [...parent.path] : [];
+      if (server.type === 'group') {
+        const group = {
+          name: server.name,
+          path: [...path, server.name],
+          parent: parent?.name || null,
+          depth: path.length,
+          status: { rule: 'worst', ...server.status },
+          checks: [],
+          subgroups: [],
+        };
+        groups.push(group);
+        parent?.subgroups.push(group.name);
+        walk(server.servers || [], group, mergeDefaults(inherited, server.defaults), [...dependencies, ...(server.dependsOn || [])]);
+        continue;
+      }
+
+      const check = mergeDefaults(baseDefaults(server), inherited, server);
+      const dependsOn = [...new Set([...dependencies, ...(check.dependsOn || [])])];
+      if (dependsOn.length) check.dependsOn = dependsOn;
+      if (parent) {
+        check.groupName = parent.name;
+        check.groupPath = path;
+        parent.checks.push(check.name);
+      }
+      checks.push(check);
+    }
+  };
+
+  walk(servers, null, {}, []);
+  return { checks, groups };
+}
+
+/**
+ * Groups reduced to the given checks, groups without any of them are dropped
+ */
+function pruneGroups(groups, checkNames) {
+  const byName = new Map(groups.map(group => [group.name, { ...group }]));
+  const keep = (group) => {
+    group.checks = group.checks.filter(name => checkNames.includes(name));
+    group.subgroups = group.subgroups.filter(name => keep(byName.get(name)));
+    return group.checks.length > 0 || group.subgroups.length > 0;
+  };
+
+  return groups
+    .filter(group => !group.parent)
+    .filter(group => keep(byName.get(group.name)))
+    .flatMap(function collect(group) {
+      const pruned = byName.get(group.name);
+      return [pruned, ...pruned.subgroups.flatMap(name => collect(byName.get(name)))];
+    });
+}
+
+/**
+ * Aggregate status of every group from the results of its members, returns a Map
+ * name -> { name, path, parent, depth, rule, required, status, up, total, pending, summary }
+ * A group is PENDING until one of its members has a result
+ */
+function groupStatuses(groups, results) {
+  const resultsByName = new Map(results.map(result => [result.name, result]));
+  const groupsByName = new Map(groups.map(group => [group.name, group]));
+  const statuses = new Map();
+
+  const compute = (group) => {
+    if (statuses.has(group.name)) return statuses.get(group.name);
+
+    const members = [
+      ...group.checks.map(name => resultsByName.get(name)?.status || 'PENDING'),
+      ...group.subgroups.map(name => compute(groupsByName.get(name)).status),
+    ];
+    const known = members.filter(status => status !== 'PENDING');
+    const up = known.filter(status => UP_STATUSES.includes(status)).length;
+    const total = members.length;
+    const worst = known.reduce((status, member) => worstStatus(status, member), 'UP');
+
+    const { rule, min } = group.status;
+    let required = null;
+    if (rule === 'quorum') required = min ?? Math.floor(total / 2) + 1;
+    if (rule === 'percentage') required = Math.ceil(total * (min ?? 100) / 100);
+
+    let status = worst;
+    if (!known.length) status = 'PENDING';
+    else if (required !== null && up >= required && up < known.length) status = 'DEGRADED';
+
+    const ruleText = { quorum: ` (quorum ${required})`, percentage: ` (min ${min ?? 100}%)` }[rule] || '';
+    const summary = {
+      name: group.name,
+      path: group.path,
+      parent: group.parent,
+      depth: group.depth,
+      rule,
+      required,
+      status,
+      up,
+      total,
+      pending: members.length - known.length,
+      summary: `${up}/${total} UP${ruleText}`,
+    };
+    statuses.set(group.name, summary);
+    return summary;
+  };
+
+  // in config order, outer groups first
+  return new Map(groups.map(group => [group.name, compute(group)]));
+}
+
+module.exports = { GROUP_RULES, mergeDefaults, resolveGroups, pruneGroups, groupStatuses };
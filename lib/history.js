@@ -0,0 +1,311 @@
+/**
+ * Check history
+ * Every check result is appended to a JSONL file. Uptime for the dashboard is
+ * kept in memory as 10 minute buckets, reports stream the file.
+ * Compaction drops records older than the retention and rolls up older raw
+ * records into one summary record per server and hour. Results during maintenance
+ * windows and silences and UNREACHABLE results (a dependency was down) are kept
+ * but do not count towards uptime and SLA.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const readline = require('node:readline');
+
+const { parseDuration } = require('./time');
+const { UP_STATUSES } = require('./status');
+
+const BUCKET_SIZE = 600000;  // 10 minutes
+const ROLLUP_SIZE = 3600000; // 1 hour
+
+const DEFAULTS = {
+  enabled: true,
+  file: 'data/history.jsonl',
+  retention: '30d',
+  rollupAfter: '7d',
+  compactInterval: '6h',
+  uptimeWindows: ['24h', '7d', '30d'],
+  upStatuses: UP_STATUSES,
+  slaTarget: 99.9,
+  recentLimit: 60,
+};
+
+class HistoryStore {
+  constructor(config = {}) {
+    this.config = { ...DEFAULTS, ...config };
+    this.enabled = this.config.enabled !== false;
+    this.file = path.resolve(this.config.file);
+    this.retention = parseDuration(this.config.retention);
+    this.rollupAfter = parseDuration(this.config.rollupAfter);
+    this.compactInterval = parseDuration(this.config.compactInterval);
+    this.buckets = new Map();  // name -> Map(bucketStart -> { checks, available })
+    this.recentRecords = new Map();  // name -> last raw records, oldest first
+    this.lastCompaction = 0;
+    this.lastError = null;
+    this.queue = Promise.resolve();  // serializes appends and compaction
+  }
+
+  isAvailable(status) {
+    return this.config.upStatuses.includes(status);
+  }
+
+  /**
+   * Status counts of a record, raw records count once, rollups carry their counts,
+   * maintenance and UNREACHABLE records do not count
+   */
+  statusCounts(record) {
+    if (record.maintenance || record.status === 'UNREACHABLE') return {};
+    return record.statuses || { [record.status]: 1 };
+  }
+
+  addToBuckets(record) {
+    if (!this.buckets.has(record.name)) this.buckets.set(record.name, new Map());
+    const buckets = this.buckets.get(record.name);
+    const bucketStart = record.ts - (record.ts % BUCKET_SIZE);
+    const bucket = buckets.get(bucketStart) || { checks: 0, available: 0 };
+
+    for (const [status, count] of Object.entries(this.statusCounts(record))) {
+      bucket.checks += count;
+      if (this.isAvailable(status)) bucket.available += count;
+    }
+    buckets.set(bucketStart, bucket);
+  }
+
+  remember(record) {
+    if (record.statuses) return;
+
+    if (!this.recentRecords.has(record.name)) this.recentRecords.set(record.name, []);
+    const records = this.recentRecords.get(record.name);
+    records.push(record);
+    if (records.length > this.config.recentLimit) records.shift();
+  }
+
+  /**
+   * Last raw records of a server, oldest first
+   */
+  recent(name) {
+    return this.recentRecords.get(name) || [];
+  }
+
+  /**
+   * Stream all records of the history file
+   */
+  async *readRecords() {
+    if (!fs.existsSync(this.file)) return;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch {
+        // skip lines of an interrupted write
+      }
+    }
+  }
+
+  /**
+   * Load the uptime buckets from disk
+   */
+  async load() {
+    if (!this.enabled) return;
+
+    // the first compaction is due one interval after the start, not on the first record
+    this.lastCompaction = Date.now();
+    const oldest = this.lastCompaction - this.retention;
+    try {
+      for await (const record of this.readRecords()) {
+        if (record.ts < oldest) continue;
+        this.addToBuckets(record);
+        this.remember(record);
+      }
+    } catch (error) {
+      this.lastError = error.message;
+    }
+  }
+
+  /**
+   * Append the results of a check cycle
+   */
+  record(results) {
+    if (!this.enabled || !results.length) return this.queue;
+
+    const now = Date.now();
+    const records = results.map(result => ({
+      ts: now,
+      name: result.name,
+      group: result.groupName || null,
+      type: result.type,
+      status: result.status,
+      latency: result.latency ?? null,
+      error: result.error || null,
+      ...(result.maintenance && { maintenance: true }),
+    }));
+    records.forEach((record) => {
+      this.addToBuckets(record);
+      this.remember(record);
+    });
+
+    this.queue = this.queue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.appendFile(this.file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+      if (now - this.lastCompaction >= this.compactInterval) await this.compact();
+      this.lastError = null;
+    }).catch((error) => {
+      this.lastError = error.message;
+    });
+
+    return this.queue;
+  }
+
+  /**
+   * Rewrite the history file without expired records, rolling up old raw records
+   */
+  async compact() {
+    const now = Date.now();
+    const oldest = now - this.retention;
+    const rollupBefore = now - this.rollupAfter;
+    const temporaryFile = `${this.file}.compact`;
+    const rollups = new Map();  // "name|hour" -> rollup record
+
+    this.lastCompaction = now;
+    const output = fs.createWriteStream(temporaryFile);
+    const write = (record) => new Promise((resolve, reject) => {
+      output.write(JSON.stringify(record) + '\n', error => error ? reject(error) : resolve());
+    });
+
+    for await (const record of this.readRecords()) {
+      if (record.ts < oldest) continue;
+
+      if (record.ts >= rollupBefore || record.statuses) {
+        await write(record);
+        continue;
+      }
+
+      const hour = record.ts - (record.ts % ROLLUP_SIZE);
+      const key = `${record.name}|${hour}`;
+      const rollup = rollups.get(key) || {
+        ts: hour,
+        name: record.name,
+        group: record.group,
+        type: record.type,
+        statuses: {},
+        latency: null,
+        latencyCount: 0,
+      };
+      for (const [status, count] of Object.entries(this.statusCounts(record))) {
+        rollup.statuses[status] = (rollup.statuses[status] || 0) + count;
+      }
+      if (typeof record.latency === 'number') {
+        rollup.latency = ((rollup.latency || 0) * rollup.latencyCount + record.latency) / (rollup.latencyCount + 1);
+        rollup.latencyCount++;
+      }
+      rollups.set(key, rollup);
+    }
+
+    for (const rollup of rollups.values()) {
+      await write(rollup);
+    }
+    await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+    await fs.promises.rename(temporaryFile, this.file);
+
+    // Drop expired buckets
+    for (const buckets of this.buckets.values()) {
+      for (const bucketStart of buckets.keys()) {
+        if (bucketStart + BUCKET_SIZE < oldest) buckets.delete(bucketStart);
+      }
+    }
+  }
+
+  /**
+   * Uptime percentage of a server within the window, null without data
+   */
+  uptime(name, window) {
+    const buckets = this.buckets.get(name);
+    if (!buckets) return null;
+
+    const since = Date.now() - parseDuration(window);
+    let checks = 0;
+    let available = 0;
+    for (const [bucketStart, bucket] of buckets) {
+      if (bucketStart + BUCKET_SIZE <= since) continue;
+      checks += bucket.checks;
+      available += bucket.available;
+    }
+
+    return checks ? (available / checks) * 100 : null;
+  }
+
+  /**
+   * SLA figures per server and per group for the window, read from disk
+   */
+  async report(window) {
+    const since = Date.now() - parseDuration(window);
+    const servers = new Map();
+    const groups = new Map();
+
+    const emptyStats = (name, group) => ({
+      name,
+      group,
+      checks: 0,
+      available: 0,
+      failed: 0,
+      latencySum: 0,
+      latencyCount: 0,
+      firstCheck: null,
+      lastCheck: null,
+    });
+    const add = (stats, record) => {
+      for (const [status, count] of Object.entries(this.statusCounts(record))) {
+        stats.checks += count;
+        if (this.isAvailable(status)) stats.available += count;
+        else stats.failed += count;
+      }
+      if (typeof record.latency === 'number') {
+        const count = record.latencyCount || 1;
+        stats.latencySum += record.latency * count;
+        stats.latencyCount += count;
+      }
+      stats.firstCheck = stats.firstCheck === null ? record.ts : Math.min(stats.firstCheck, record.ts);
+      stats.lastCheck = Math.max(stats.lastCheck || 0, record.ts);
+    };
+
+    for await (const record of this.readRecords()) {
+      if (record.ts < since) continue;
+
+      if (!servers.has(record.name)) servers.set(record.name, emptyStats(record.name, record.group));
+      add(servers.get(record.name), record);
+
+      if (record.group) {
+        if (!groups.has(record.group)) groups.set(record.group, emptyStats(record.group, null));
+        add(groups.get(record.group), record);
+      }
+    }
+
+    const finish = stats => ({
+      name: stats.name,
+      group: stats.group,
+      checks: stats.checks,
+      failed: stats.failed,
+      uptime: stats.checks ? (stats.available / stats.checks) * 100 : null,
+      avgLatency: stats.latencyCount ? Math.round(stats.latencySum / stats.latencyCount) : null,
+      slaMet: stats.checks ? (stats.available / stats.checks) * 100 >= this.config.slaTarget : null,
+      firstCheck: stats.firstCheck,
+      lastCheck: stats.lastCheck,
+    });
+
+    return {
+      window,
+      since,
+      slaTarget: this.config.slaTarget,
+      servers: [...servers.values()].map(finish),
+      groups: [...groups.values()].map(finish),
+    };
+  }
+}
+
+module.exports = { HistoryStore };
@@ -0,0 +1,305 @@
+/**
+ * HTTP client for API checks
+ * Methods, headers, JSON/form bodies, basic/bearer auth, query params, redirects,
+ * custom CA/client certificates, proxies and a response size cap. Every request
+ * opens a fresh connection and times each phase of it.
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const net = require('node:net');
+const tls = require('node:tls');
+const { performance } = require('node:perf_hooks');
+
+const DEFAULT_MAX_BODY_SIZE = 1048576; // 1 MB
+const USER_AGENT = 'ac-ecosys-monitor';
+
+/**
+ * PEM values are used as is, anything else is taken as a file path
+ */
+function readPem(value) {
+  if (!value) return undefined;
+  if (Array.isArray(value)) return value.map(readPem);
+
+  const text = String(value);
+  if (text.includes('-----BEGIN')) return text;
+  try {
+    return fs.readFileSync(text);
+  } catch (error) {
+    throw new Error(`Certificate file ${text} cannot be read (${error.code || error.message})`);
+  }
+}
+
+function basicAuth(username, password) {
+  return `Basic ${Buffer.from(`${username}:${password ?? ''}`).toString('base64')}`;
+}
+
+/**
+ * Method, lowercase headers and body of the first request
+ */
+function buildRequest(options) {
+  const headers = { 'user-agent': USER_AGENT };
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+
+  const { auth } = options;
+  if (auth?.token || auth?.type === 'bearer') {
+    headers.authorization = `Bearer ${auth.token}`;
+  } else if (auth?.username) {
+    headers.authorization = basicAuth(auth.username, auth.password);
+  }
+
+  let body = null;
+  if (options.json !== undefined) {
+    body = JSON.stringify(options.json);
+    headers['content-type'] = headers['content-type'] || 'application/json';
+  } else if (options.form) {
+    body = new URLSearchParams(options.form).toString();
+    headers['content-type'] = headers['content-type'] || 'application/x-www-form-urlencoded';
+  } else if (options.body !== undefined) {
+    body = String(options.body);
+  }
+  if (body !== null) headers['content-length'] = Buffer.byteLength(body);
+
+  const method = (options.method || (body === null ? 'GET' : 'POST')).toUpperCase();
+
+  return { method, headers, body };
+}
+
+// URL keeps IPv6 addresses in brackets, sockets want them without
+function getHostname(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+function buildUrl(target, query) {
+  const url = new URL(target);
+  for (const [name, value] of Object.entries(query || {})) {
+    url.searchParams.append(name, value);
+  }
+  return url;
+}
+
+/**
+ * Send a single request (one hop of a redirect chain)
+ */
+function requestOnce(url, { method, headers, body }, options, signal) {
+  return new Promise((resolve, reject) => {
+    const startedAt = performance.now();
+    const marks = {};
+    const maxBodySize = options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+    let settled = false;
+
+    // Phase durations in ms: DNS lookup, TCP connect, TLS handshake, time to first byte, total
+    const getTimings = () => {
+      const elapsed = (from, to) => (from !== undefined && to !== undefined ? Math.round(to - from) : null);
+      const connectStart = marks.lookup ?? startedAt;
+      const requestSent = marks.secureConnect ?? marks.connect ?? startedAt;
+
+      return {
+        dns: elapsed(startedAt, marks.lookup),
+        connect: elapsed(connectStart, marks.connect),
+        tls: elapsed(marks.connect, marks.secureConnect),
+        ttfb: elapsed(requestSent, marks.response),
+        total: elapsed(startedAt, marks.end ?? performance.now()),
+      };
+    };
+
+    const fail = (error) => {
+      if (settled) return;
+      settled = true;
+      error.timings = getTimings();
+      reject(error);
+    };
+
+    const trackSocket = (socket) => {
+      socket.once('lookup', () => { marks.lookup = performance.now(); });
+      socket.once('connect', () => { marks.connect = performance.now(); });
+      socket.once('secureConnect', () => { marks.secureConnect = performance.now(); });
+    };
+
+    const onResponse = (res) => {
+      marks.response = performance.now();
+      const chunks = [];
+      let size = 0;
+      let truncated = false;
+
+      const finish = () => {
+        if (settled) return;
+        settled = true;
+        marks.end = performance.now();
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString('utf8'),
+          truncated,
+          timings: getTimings(),
+        });
+      };
+
+      res.on('data', (chunk) => {
+        if (truncated) return;
+        if (size + chunk.length > maxBodySize) {
+          // Stop reading, a huge payload must not exhaust memory
+          chunks.push(chunk.subarray(0, maxBodySize - size));
+          truncated = true;
+          finish();
+          res.destroy();
+          return;
+        }
+        chunks.push(chunk);
+        size += chunk.length;
+      });
+      res.on('end', finish);
+      res.on('error', fail);
+    };
+
+    const isHttps = url.protocol === 'https:';
+    let tlsOptions = {};
+    try {
+      tlsOptions = isHttps ? {
+        ca: readPem(options.ca),
+        cert: readPem(options.cert),
+        key: readPem(options.key),
+        passphrase: options.passphrase,
+        rejectUnauthorized: options.rejectUnauthorized !== false,
+        ...(!net.isIP(getHostname(url)) && { servername: getHostname(url) }),
+      } : {};
+    } catch (error) {
+      return fail(error);
+    }
+
+    const proxy = options.proxy ? new URL(options.proxy) : null;
+    const proxyHeaders = proxy?.username
+      ? { 'proxy-authorization': basicAuth(decodeURIComponent(proxy.username), decodeURIComponent(proxy.password)) }
+      : {};
+
+    const send = (protocol, requestOptions) => {
+      const request = protocol.request({
+        method,
+        headers,
+        signal,
+        ...tlsOptions,
+        ...requestOptions,
+      }, onResponse);
+
+      request.on('socket', trackSocket);
+      request.on('error', fail);
+      request.end(body ?? undefined);
+    };
+
+    // Direct connection
+    if (!proxy) {
+      return send(isHttps ? https : http, {
+        hostname: getHostname(url),
+        port: url.port,
+        path: `${url.pathname}${url.search}`,
+        agent: false,
+      });
+    }
+
+    const proxyPort = proxy.port || (proxy.protocol === 'https:' ? 443 : 80);
+
+    // Plain HTTP through a proxy: absolute URL as request path
+    if (!isHttps) {
+      return send(http, {
+        hostname: getHostname(proxy),
+        port: proxyPort,
+        path: url.href,
+        headers: { ...headers, host: url.host, ...proxyHeaders },
+        agent: false,
+      });
+    }
+
+    // HTTPS through a proxy: CONNECT tunnel, then TLS over the tunnel
+    const authority = `${url.hostname}:${url.port || 443}`;
+    const connectRequest = http.request({
+      hostname: getHostname(proxy),
+      port: proxyPort,
+      method: 'CONNECT',
+      path: authority,
+      headers: { host: authority, ...proxyHeaders },
+      agent: false,
+      signal,
+    });
+
+    connectRequest.on('socket', trackSocket);
+    connectRequest.on('error', fail);
+    connectRequest.on('connect', (res, socket) => {
+      if (res.statusCode !== 200) {
+        socket.destroy();
+        fail(new Error(`Proxy CONNECT failed: HTTP ${res.statusCode}`));
+        return;
+      }
+
+      // without agent the request uses createConnection for its socket
+      send(https, {
+        hostname: getHostname(url),
+        port: url.port,
+        path: `${url.pathname}${url.search}`,
+        createConnection: () => tls.connect({ ...tlsOptions, socket }, () => {
+          marks.secureConnect = performance.now();
+        }),
+      });
+    });
+    connectRequest.end();
+  });
+}
+
+/**
+ * Send the request described by the check options, following up to
+ * `followRedirects` redirects within `timeout`
+ */
+async function httpRequest(target, options = {}) {
+  const startedAt = performance.now();
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), options.timeout || 10000);
+
+  let url = buildUrl(target, options.query);
+  let { method, headers, body } = buildRequest(options);
+  const redirects = [];
+
+  try {
+    for (;;) {
+      const response = await requestOnce(url, { method, headers, body }, options, controller.signal);
+      const { statusCode, headers: responseHeaders } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && responseHeaders.location && redirects.length < (options.followRedirects || 0)) {
+        const next = new URL(responseHeaders.location, url);
+        redirects.push({ statusCode, location: next.href });
+
+        // 303 and POST after 301/302 continue as GET without body
+        if (statusCode === 303 || ([301, 302].includes(statusCode) && method === 'POST')) {
+          method = 'GET';
+          body = null;
+          headers = { ...headers };
+          delete headers['content-type'];
+          delete headers['content-length'];
+        }
+        // Never send credentials to another host
+        if (next.host !== url.host) {
+          headers = { ...headers };
+          delete headers.authorization;
+        }
+
+        url = next;
+        continue;
+      }
+
+      response.timings.total = Math.round(performance.now() - startedAt);
+      return { ...response, url: url.href, redirects };
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      const timeoutError = new Error('Timeout');
+      timeoutError.timings = error.timings;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { httpRequest, readPem, DEFAULT_MAX_BODY_SIZE };
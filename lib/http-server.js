@@ -0,0 +1,265 @@
+/**
+ * Optional HTTP listener exposing the check results as JSON, Prometheus metrics
+ * and a browser dashboard updated live through Server-Sent Events. Silences can
+ * be set and removed, with `token` set only with a matching bearer token. Writes
+ * need a JSON body, so browsers cannot send them cross-site without a preflight
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+const { renderMetrics } = require('./metrics');
+const { UP_STATUSES } = require('./status');
+const { parseDuration } = require('./time');
+
+const DEFAULTS = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 9100,
+  dashboard: true,
+  token: null,
+};
+
+const MAX_BODY = 65536;
+
+const DASHBOARD_FILE = path.join(__dirname, 'web', 'dashboard.html');
+const KEEPALIVE_INTERVAL = 25000;
+
+function sendJson(res, statusCode, payload) {
+  const body = JSON.stringify(payload, null, 2);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function sendText(res, statusCode, body, contentType = 'text/plain; charset=utf-8') {
+  res.writeHead(statusCode, {
+    'Content-Type': contentType,
+    'Content-Length': Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) req.destroy(new Error('Request body too large'));
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+class StatusServer {
+  constructor(monitor, config = {}) {
+    this.monitor = monitor;
+    this.config = { ...DEFAULTS, ...config };
+    this.server = null;
+    this.clients = new Set();  // open Server-Sent Events responses
+    this.keepalive = null;
+
+    // [method, path pattern, handler(req, res, ...captures)]
+    this.routes = [
+      ['GET', /^\/api\/status$/, (req, res) => sendJson(res, 200, this.monitor.results)],
+      ['GET', /^\/api\/groups$/, (req, res) => sendJson(res, 200, this.monitor.getGroupStatuses())],
+      ['GET', /^\/api\/silences$/, (req, res) => sendJson(res, 200, this.monitor.maintenance.list())],
+      ['POST', /^\/api\/silences$/, (req, res) => this.createSilence(req, res)],
+      ['DELETE', /^\/api\/silences\/([^/]+)$/, (req, res, name) => this.deleteSilence(req, res, name)],
+      ['GET', /^\/api\/servers\/([^/]+)$/, (req, res, name) => this.serverStatus(res, name)],
+      ['GET', /^\/api\/servers\/([^/]+)\/history$/, (req, res, name) => sendJson(res, 200, this.monitor.history.recent(name))],
+      ['GET', /^\/healthz$/, (req, res) => this.health(res)],
+      ['GET', /^\/metrics$/, (req, res) => sendText(res, 200, renderMetrics(this.monitor), 'text/plain; version=0.0.4; charset=utf-8')],
+    ];
+
+    if (this.config.dashboard) {
+      this.dashboardHtml = fs.readFileSync(DASHBOARD_FILE, 'utf8');
+      this.routes.push(
+        ['GET', /^\/$/, (req, res) => sendText(res, 200, this.dashboardHtml, 'text/html; charset=utf-8')],
+        ['GET', /^\/events$/, (req, res) => this.subscribe(req, res)],
+      );
+    }
+  }
+
+  /**
+   * Everything the browser dashboard renders, the same data as displayTable
+   */
+  snapshot() {
+    const { results, config, history } = this.monitor;
+    const uptimeWindows = history.enabled ? history.config.uptimeWindows : [];
+
+    return {
+      generatedAt: Date.now(),
+      refreshInterval: parseDuration(config.refreshInterval),
+      nextCheckAt: this.monitor.nextCheckAt(),
+      upCount: results.filter(result => UP_STATUSES.includes(result.status)).length,
+      totalCount: this.monitor.checks.length,
+      uptimeWindows,
+      slaTarget: history.config.slaTarget,
+      results: results.map(result => ({
+        ...result,
+        detailsText: this.monitor.formatDetails(result),
+        uptime: Object.fromEntries(uptimeWindows.map(window => [window, history.uptime(result.name, window)])),
+      })),
+      groups: this.monitor.getGroupStatuses(),
+    };
+  }
+
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write('retry: 5000\n\n');
+    if (this.monitor.lastCycleAt) res.write(this.formatEvent('status', this.snapshot()));
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  formatEvent(event, payload) {
+    return `event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  /**
+   * Push the current results to all connected dashboards
+   */
+  publish() {
+    if (!this.clients.size) return;
+
+    const message = this.formatEvent('status', this.snapshot());
+    this.clients.forEach(res => res.write(message));
+  }
+
+  serverStatus(res, name) {
+    const result = this.monitor.results.find(item => item.name === name);
+    if (!result) return sendJson(res, 404, { error: `Server "${name}" not found` });
+    sendJson(res, 200, result);
+  }
+
+  authorized(req, res) {
+    if (!this.config.token || req.headers.authorization === `Bearer ${this.config.token}`) return true;
+    sendJson(res, 401, { error: 'Missing or invalid token' });
+    return false;
+  }
+
+  /**
+   * Silence a server or group, body { name, duration, reason }
+   */
+  async createSilence(req, res) {
+    if (!this.authorized(req, res)) return;
+    if (!/^application\/json\s*(;|$)/i.test(req.headers['content-type'] || '')) {
+      return sendJson(res, 415, { error: 'Content-Type must be application/json' });
+    }
+
+    try {
+      const { name, duration = '30m', reason = null } = await readJson(req);
+      if (typeof name !== 'string' || !name) return sendJson(res, 400, { error: 'name is required' });
+
+      const silence = this.monitor.silence(name, duration, reason);
+      if (!silence) return sendJson(res, 404, { error: `No server or group named "${name}"` });
+      sendJson(res, 201, silence);
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  }
+
+  deleteSilence(req, res, name) {
+    if (!this.authorized(req, res)) return;
+
+    if (!this.monitor.unsilence(name)) return sendJson(res, 404, { error: `No silence for "${name}"` });
+    res.writeHead(204);
+    res.end();
+  }
+
+  /**
+   * The monitor is healthy as long as check cycles keep completing
+   */
+  health(res) {
+    // stale when not even the most frequent check completed within three of its intervals
+    const interval = this.monitor.scheduler?.minInterval() ?? parseDuration(this.monitor.config.refreshInterval);
+    const lastCycleAt = this.monitor.lastCycleAt || this.monitor.startTime;
+    const stale = Date.now() - lastCycleAt.getTime() > interval * 3;
+
+    sendJson(res, stale ? 503 : 200, {
+      status: stale ? 'stale' : 'ok',
+      startTime: this.monitor.startTime.toISOString(),
+      lastCycle: this.monitor.lastCycleAt?.toISOString() || null,
+      servers: this.monitor.results.length,
+    });
+  }
+
+  handle(req, res) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch {
+      return sendJson(res, 400, { error: 'Invalid request target' });
+    }
+    const method = req.method === 'HEAD' ? 'GET' : req.method;
+
+    let pathMatched = false;
+    for (const [routeMethod, pattern, handler] of this.routes) {
+      const match = pathname.match(pattern);
+      if (!match) continue;
+      pathMatched = true;
+      if (routeMethod !== method) continue;
+
+      let captures;
+      try {
+        captures = match.slice(1).map(decodeURIComponent);
+      } catch {
+        return sendJson(res, 400, { error: 'Invalid escape in path' });
+      }
+
+      try {
+        return handler(req, res, ...captures);
+      } catch (error) {
+        return sendJson(res, 500, { error: error.message });
+      }
+    }
+
+    if (pathMatched) return sendJson(res, 405, { error: 'Method not allowed' });
+    sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Start listening if enabled in the config
+   */
+  listen() {
+    if (!this.config.enabled) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(this.config.port, this.config.host, () => {
+        this.server.off('error', reject);
+        this.keepalive = setInterval(() => this.clients.forEach(res => res.write(': keepalive\n\n')), KEEPALIVE_INTERVAL);
+        resolve();
+      });
+    });
+  }
+
+  close() {
+    if (!this.server) return Promise.resolve();
+
+    clearInterval(this.keepalive);
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = { StatusServer };
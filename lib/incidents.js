@@ -0,0 +1,220 @@
+/**
+ * Incidents
+ * An incident is opened when a check reaches `openOn` (DOWN by default) outside of
+ * maintenance windows and closed when it is UP or MAINTENANCE again, or removed
+ * from the config. Every change of the status, the error or the details in between
+ * is added to its timeline. Incidents are kept in a JSON file, closed ones until the
+ * retention expires, and can be exported as a Markdown timeline for postmortems.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { parseDuration, formatDuration } = require('./time');
+const { UP_STATUSES, statusAtLeast, worstStatus } = require('./status');
+const { formatAssertion } = require('./checks/common');
+const { STATUS_LABELS } = require('./output');
+
+const DEFAULTS = {
+  enabled: true,
+  file: 'data/incidents.json',
+  retention: '90d',
+  openOn: 'DOWN',
+};
+
+/**
+ * Timeline entry of a result: the status (the one hidden by a maintenance window),
+ * the error and the statusDetails and failed response checks of the check
+ */
+function timelineEntry(result, time) {
+  const failedChecks = (result.details?.responseCheckDetails || []).filter(assertion => !assertion.match);
+  return {
+    time,
+    status: result.maintenance?.status ?? result.status,
+    error: result.error || null,
+    statusDetails: result.details?.statusDetails || null,
+    responseChecks: failedChecks.map(formatAssertion),
+    ...(result.dependency && { rootCause: { name: result.dependency.rootCause, status: result.dependency.rootStatus } }),
+    ...(result.maintenance && { maintenance: true }),
+  };
+}
+
+// Entries without the time, to add only changes to the timeline
+const entryKey = ({ time, ...entry }) => JSON.stringify(entry);
+
+class IncidentStore {
+  constructor(config = {}) {
+    this.config = { ...DEFAULTS, ...config };
+    this.enabled = this.config.enabled !== false;
+    this.file = path.resolve(this.config.file);
+    this.retention = parseDuration(this.config.retention);
+    this.incidents = [];  // oldest first
+    this.open = new Map();  // name -> open incident
+    this.nextId = 1;
+    this.lastError = null;
+    this.queue = Promise.resolve();  // serializes writes
+  }
+
+  /**
+   * Load the incidents from disk, open ones continue with the next result of their check
+   */
+  async load() {
+    if (!this.enabled) return;
+
+    try {
+      this.incidents = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.lastError = error.message;
+      this.incidents = [];
+    }
+    this.open = new Map(this.incidents.filter(incident => !incident.endedAt).map(incident => [incident.name, incident]));
+    this.nextId = Math.max(0, ...this.incidents.map(incident => incident.id)) + 1;
+  }
+
+  /**
+   * Open, update or close the incident of a result's check.
+   * Returns { type: 'open' | 'update' | 'close', incident }, null when nothing changed
+   */
+  track(result, time = Date.now()) {
+    if (!this.enabled) return null;
+
+    const entry = timelineEntry(result, time);
+    const incident = this.open.get(result.name);
+    if (!incident) {
+      // planned downtime and unreachable checks are no incidents of their own
+      if (result.maintenance || result.dependency || !statusAtLeast(entry.status, this.config.openOn)) return null;
+
+      const opened = {
+        id: this.nextId++,
+        name: result.name,
+        group: result.groupName || null,
+        groupPath: result.groupPath || [],
+        type: result.type,
+        target: result.target,
+        startedAt: time,
+        endedAt: null,
+        duration: null,
+        worstStatus: entry.status,
+        firstError: entry.error || entry.statusDetails || entry.responseChecks[0] || null,
+        timeline: [entry],
+      };
+      this.incidents.push(opened);
+      this.open.set(opened.name, opened);
+      this.save();
+      return { type: 'open', incident: opened };
+    }
+
+    if (UP_STATUSES.includes(entry.status)) {
+      incident.timeline.push(entry);
+      return { type: 'close', incident: this.end(incident, time) };
+    }
+
+    if (entryKey(incident.timeline.at(-1)) === entryKey(entry)) return null;
+    incident.timeline.push(entry);
+    incident.worstStatus = worstStatus(incident.worstStatus, entry.status);
+    incident.firstError = incident.firstError || entry.error;
+    this.save();
+    return { type: 'update', incident };
+  }
+
+  /**
+   * Close the open incident of a check that is no longer monitored, e.g. removed
+   * by a config reload. Returns the incident, null when none was open
+   */
+  close(name, note, time = Date.now()) {
+    const incident = this.open.get(name);
+    if (!incident) return null;
+
+    incident.timeline.push({ time, status: null, note });
+    return this.end(incident, time);
+  }
+
+  end(incident, time) {
+    incident.endedAt = time;
+    incident.duration = time - incident.startedAt;
+    this.open.delete(incident.name);
+    this.save();
+    return incident;
+  }
+
+  /**
+   * Incidents newest first
+   */
+  list() {
+    return [...this.incidents].reverse();
+  }
+
+  get(id) {
+    return this.incidents.find(incident => incident.id === Number(id)) || null;
+  }
+
+  /**
+   * Write all incidents, closed ones past the retention are dropped
+   */
+  save() {
+    const oldest = Date.now() - this.retention;
+    this.incidents = this.incidents.filter(incident => !incident.endedAt || incident.endedAt >= oldest);
+    const data = JSON.stringify(this.incidents, null, 2);
+    const temporaryFile = `${this.file}.tmp`;
+
+    this.queue = this.queue.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(temporaryFile, data);
+      await fs.promises.rename(temporaryFile, this.file);
+      this.lastError = null;
+    }).catch((error) => {
+      this.lastError = error.message;
+    });
+
+    return this.queue;
+  }
+}
+
+/**
+ * Markdown timeline of an incident for a postmortem
+ */
+function formatPostmortem(incident) {
+  const formatTime = ts => new Date(ts).toLocaleString(undefined, { hour12: false });
+  const cell = value => String(value ?? '-').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const label = status => STATUS_LABELS[status] || status;
+  const server = [...incident.groupPath, incident.name].join(' / ');
+  const end = incident.endedAt
+    ? `${formatTime(incident.endedAt)} (after ${formatDuration(incident.duration)})`
+    : `ongoing (${formatDuration(Date.now() - incident.startedAt)} so far)`;
+
+  const lines = [
+    `# Incident #${incident.id}: ${server} ${incident.worstStatus}`,
+    '',
+    `- **Server:** ${server} (${incident.type}, ${incident.target})`,
+    `- **Started:** ${formatTime(incident.startedAt)}`,
+    `- **Resolved:** ${end}`,
+    `- **Worst status:** ${label(incident.worstStatus)}`,
+    `- **First error:** ${incident.firstError || '-'}`,
+    '',
+    '## Timeline',
+    '',
+    '| Time | Elapsed | Status | Details |',
+    '|------|---------|--------|---------|',
+  ];
+  for (const entry of incident.timeline) {
+    const closing = entry.time === incident.endedAt && entry === incident.timeline.at(-1);
+    const details = closing
+      ? [entry.note || `Recovered after ${formatDuration(incident.duration)}`]
+      : [
+        entry.rootCause && `Unreachable: ${entry.rootCause.name} ${entry.rootCause.status}`,
+        entry.maintenance && 'during maintenance',
+        entry.statusDetails,
+        ...(entry.responseChecks || []),
+        entry.error,
+      ].filter(Boolean);
+    lines.push(`| ${[
+      formatTime(entry.time),
+      `+${formatDuration(entry.time - incident.startedAt)}`,
+      entry.status ? label(entry.status) : '-',
+      details.join('; ') || '-',
+    ].map(cell).join(' | ')} |`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { IncidentStore, formatPostmortem };
@@ -0,0 +1,191 @@
+/**
+ * Maintenance windows and silences
+ * Windows are defined in the config, one-off or recurring (cron in local time):
+ *   { name: 'DB upgrade', groups: ['Databases'], start: '2026-11-02T22:00', end: '2026-11-03T01:00' }
+ *   { name: 'Backups', servers: ['NAS'], cron: '0 2 * * sun', duration: '2h', reason: 'weekly backup' }
+ * A window without servers and groups covers every check. Silences are set at
+ * runtime for a server or group name and end after their duration.
+ */
+
+const { parseDuration } = require('./time');
+
+const MINUTE = 60000;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+function parseCronField(part, field) {
+  const values = new Set();
+  const number = (text) => {
+    const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = named >= 0 ? field.min + named : Number(text);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`${field.name} "${text}" must be ${field.min}-${field.max}`);
+    }
+    return value;
+  };
+
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/i);
+    if (!match) throw new Error(`invalid ${field.name} "${item}"`);
+
+    const [, from, to, step] = match;
+    const start = from === '*' ? field.min : number(from);
+    let end = start;
+    // "5/15" runs from 5 to the end of the range
+    if (from === '*' || (to === undefined && step !== undefined)) end = field.max;
+    else if (to !== undefined) end = number(to);
+    if (end < start) throw new Error(`${field.name} range "${item}" is reversed`);
+    if (step !== undefined && Number(step) < 1) throw new Error(`${field.name} step must be at least 1`);
+    for (let value = start; value <= end; value += Number(step || 1)) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5 field cron expression (minute hour day month weekday) with lists,
+ * ranges, steps and month/day names
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron "${expression}" needs 5 fields: minute hour day month weekday`);
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseCronField(part, CRON_FIELDS[index]));
+  // 0 and 7 are both Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+/**
+ * Whether a date falls on a minute of the cron expression. Like cron, a
+ * restricted day of month and day of week match when either one does
+ */
+function cronMatches(cron, date) {
+  if (!cron.minutes.has(date.getMinutes()) || !cron.hours.has(date.getHours()) || !cron.months.has(date.getMonth() + 1)) {
+    return false;
+  }
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/**
+ * Start of the occurrence running at `now`, null outside of all occurrences
+ */
+function activeCronStart(cron, duration, now) {
+  for (let time = Math.floor(now / MINUTE) * MINUTE; time > now - duration; time -= MINUTE) {
+    if (cronMatches(cron, new Date(time))) return time;
+  }
+  return null;
+}
+
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+/**
+ * Silence durations of the CLI and the terminal, plain numbers are minutes
+ */
+function parseSilenceDuration(value) {
+  return parseDuration(/^\d+$/.test(String(value).trim()) ? `${value}m` : value);
+}
+
+/**
+ * A window or silence covers a check by its name or the name of one of its groups
+ */
+function covers({ servers, groups }, check) {
+  if (!servers?.length && !groups?.length) return true;
+  return Boolean(servers?.includes(check.name) || groups?.some(name => (check.groupPath || []).includes(name)));
+}
+
+class MaintenanceSchedule {
+  constructor(windows = []) {
+    this.silences = new Map();  // name -> { name, until, reason, createdAt }
+    this.setWindows(windows);
+  }
+
+  /**
+   * Replace the windows of the config, silences are kept. Invalid windows are
+   * left out, the config validation reports them
+   */
+  setWindows(windows = []) {
+    this.windows = windows.flatMap((window, index) => {
+      try {
+        return [{
+          name: window.name || `maintenance[${index}]`,
+          reason: window.reason || null,
+          servers: window.servers,
+          groups: window.groups,
+          start: window.start !== undefined ? toTime(window.start) : null,
+          end: window.end !== undefined ? toTime(window.end) : null,
+          cron: window.cron ? parseCron(window.cron) : null,
+          duration: window.duration !== undefined ? parseDuration(window.duration) : 0,
+        }];
+      } catch {
+        return [];
+      }
+    });
+  }
+
+  /**
+   * The window or silence covering a check, the one lasting longest when several do:
+   * { kind: 'window' | 'silence', name, reason, until }
+   */
+  active(check, now = Date.now()) {
+    let active = null;
+    const consider = (candidate) => {
+      if (!active || candidate.until > active.until) active = candidate;
+    };
+
+    for (const window of this.windows) {
+      if (!covers(window, check)) continue;
+      if (window.cron) {
+        // the occurrence only changes once a minute
+        const minute = Math.floor(now / MINUTE);
+        if (window.cached?.minute !== minute) window.cached = { minute, start: activeCronStart(window.cron, window.duration, now) };
+        const { start } = window.cached;
+        if (start !== null) consider({ kind: 'window', name: window.name, reason: window.reason, until: start + window.duration });
+      } else if (window.start <= now && now < window.end) {
+        consider({ kind: 'window', name: window.name, reason: window.reason, until: window.end });
+      }
+    }
+
+    for (const silence of this.list(now)) {
+      if (covers({ servers: [silence.name], groups: [silence.name] }, check)) {
+        consider({ kind: 'silence', name: silence.name, reason: silence.reason, until: silence.until });
+      }
+    }
+    return active;
+  }
+
+  /**
+   * Silence a server or group, an existing silence of the name is replaced
+   */
+  silence(name, duration, reason = null, now = Date.now()) {
+    const silence = { name, until: now + duration, reason, createdAt: now };
+    this.silences.set(name, silence);
+    return silence;
+  }
+
+  unsilence(name) {
+    return this.silences.delete(name);
+  }
+
+  /**
+   * Running silences, expired ones are dropped
+   */
+  list(now = Date.now()) {
+    for (const [name, silence] of this.silences) {
+      if (silence.until <= now) this.silences.delete(name);
+    }
+    return [...this.silences.values()];
+  }
+}
+
+module.exports = { MaintenanceSchedule, parseCron, cronMatches, parseSilenceDuration };
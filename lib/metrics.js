@@ -0,0 +1,153 @@
+/**
+ * Prometheus text exposition of the current check results
+ */
+
+const { STATUSES, UP_STATUSES } = require('./status');
+
+function escapeLabel(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+class MetricsBuilder {
+  constructor() {
+    this.families = new Map();
+  }
+
+  add(name, type, help, labels, value) {
+    if (value === null || value === undefined || Number.isNaN(value)) return;
+
+    if (!this.families.has(name)) this.families.set(name, { type, help, samples: [] });
+    this.families.get(name).samples.push(`${name}${formatLabels(labels)} ${Number(value)}`);
+  }
+
+  toString() {
+    const lines = [];
+    for (const [name, { type, help, samples }] of this.families) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Render all metrics of a monitor
+ */
+function renderMetrics(monitor) {
+  const metrics = new MetricsBuilder();
+  const uptimeWindows = monitor.history.enabled ? monitor.history.config.uptimeWindows : [];
+
+  for (const result of monitor.results) {
+    const labels = { name: result.name, type: result.type, groupName: result.groupName || '' };
+
+    metrics.add('monitor_server_up', 'gauge', 'Whether the check is UP or in MAINTENANCE (1) or not (0)',
+      labels, UP_STATUSES.includes(result.status) ? 1 : 0);
+
+    for (const status of STATUSES) {
+      metrics.add('monitor_server_status', 'gauge', 'Current status of the check, one series per status',
+        { ...labels, status }, result.status === status ? 1 : 0);
+    }
+
+    metrics.add('monitor_maintenance', 'gauge', 'Whether the check is in a maintenance window or silenced (1) or not (0)',
+      labels, result.maintenance ? 1 : 0);
+
+    if (typeof result.consecutiveFailures === 'number') {
+      metrics.add('monitor_consecutive_failures', 'gauge', 'Number of consecutive failed checks',
+        labels, result.consecutiveFailures);
+    }
+
+    if (typeof result.statusCode === 'number') {
+      metrics.add('monitor_http_status_code', 'gauge', 'HTTP status code of the last API response',
+        labels, result.statusCode);
+    }
+
+    if (typeof result.latency === 'number') {
+      metrics.add('monitor_check_latency_seconds', 'gauge', 'Latency of the last check in seconds',
+        labels, result.latency / 1000);
+    }
+
+    if (typeof result.details?.pingLatency === 'number') {
+      metrics.add('monitor_ping_rtt_seconds', 'gauge', 'Round trip time of the last ping in seconds',
+        labels, result.details.pingLatency / 1000);
+    }
+
+    for (const [phase, duration] of Object.entries(result.details?.timings || {})) {
+      metrics.add('monitor_http_phase_seconds', 'gauge', 'Duration of the request phases (dns, connect, tls, ttfb, total) of the last API check in seconds',
+        { ...labels, phase }, duration === null ? null : duration / 1000);
+    }
+
+    if (result.details?.tls?.success) {
+      metrics.add('monitor_tls_days_remaining', 'gauge', 'Days until the TLS certificate expires',
+        labels, result.details.tls.daysRemaining);
+      metrics.add('monitor_tls_expiry_timestamp_seconds', 'gauge', 'Expiry of the TLS certificate since unix epoch in seconds',
+        labels, new Date(result.details.tls.validTo).getTime() / 1000);
+    }
+
+    if (result.sshInfo?.success) {
+      metrics.add('monitor_pending_updates', 'gauge', 'Number of pending package updates',
+        labels, result.sshInfo.updateCount);
+      metrics.add('monitor_pending_security_updates', 'gauge', 'Number of pending security updates',
+        labels, result.sshInfo.securityUpdateCount);
+      metrics.add('monitor_reboot_required', 'gauge', 'Whether the host requires a reboot',
+        labels, result.sshInfo.rebootRequired ? 1 : 0);
+    }
+
+    const resources = result.sshInfo?.resources;
+    if (resources?.success) {
+      for (const entry of resources.disk || []) {
+        metrics.add('monitor_disk_used_percent', 'gauge', 'Used space of a filesystem reported via SSH',
+          { ...labels, mount: entry.mount }, entry.usedPercent);
+      }
+      if (resources.memory) {
+        metrics.add('monitor_memory_used_percent', 'gauge', 'Used memory (not available) reported via SSH',
+          labels, resources.memory.usedPercent);
+        metrics.add('monitor_swap_used_percent', 'gauge', 'Used swap reported via SSH',
+          labels, resources.memory.swapPercent);
+      }
+      if (resources.load) {
+        metrics.add('monitor_load_per_cpu', 'gauge', 'Load average per CPU reported via SSH',
+          labels, resources.load.perCpu);
+      }
+      if (resources.failedUnits) {
+        metrics.add('monitor_failed_units', 'gauge', 'Number of failed systemd units',
+          labels, resources.failedUnits.units.length);
+      }
+    }
+
+    for (const window of uptimeWindows) {
+      metrics.add('monitor_uptime_percent', 'gauge', 'Uptime percentage within the window',
+        { ...labels, window }, monitor.history.uptime(result.name, window));
+    }
+  }
+
+  for (const group of monitor.getGroupStatuses()) {
+    const labels = { name: group.name, parent: group.parent || '', rule: group.rule };
+
+    metrics.add('monitor_group_up', 'gauge', 'Whether the aggregate status of the group is UP or MAINTENANCE (1) or not (0)',
+      labels, UP_STATUSES.includes(group.status) ? 1 : 0);
+    for (const status of STATUSES) {
+      metrics.add('monitor_group_status', 'gauge', 'Aggregate status of the group, one series per status',
+        { ...labels, status }, group.status === status ? 1 : 0);
+    }
+    metrics.add('monitor_group_members_up', 'gauge', 'Number of group members (checks and nested groups) UP or in MAINTENANCE',
+      labels, group.up);
+  }
+
+  metrics.add('monitor_servers_total', 'gauge', 'Number of monitored checks', {}, monitor.results.length);
+  metrics.add('monitor_servers_up', 'gauge', 'Number of checks UP or in MAINTENANCE', {},
+    monitor.results.filter(result => UP_STATUSES.includes(result.status)).length);
+  metrics.add('monitor_start_time_seconds', 'gauge', 'Start time of the monitor since unix epoch in seconds', {},
+    monitor.startTime.getTime() / 1000);
+  if (monitor.lastCycleAt) {
+    metrics.add('monitor_last_cycle_timestamp_seconds', 'gauge', 'Time of the last completed check since unix epoch in seconds', {},
+      monitor.lastCycleAt.getTime() / 1000);
+  }
+
+  return metrics.toString();
+}
+
+module.exports = { renderMetrics };
@@ -0,0 +1,913 @@
+/**
+ * Server monitor
+ * Runs the configured checks on their schedule, applies thresholds, maintenance
+ * windows and dependencies, sends alerts and records history. Events:
+ *   check:start (check)                             - a check is run
+ *   check:result (result, previous)                 - a result is stored, previous is null for the first
+ *   status:change (result, previousStatus)          - the status of a server changed
+ *   group:change (group, previousStatus)            - the aggregate status of a group changed
+ *   cycle:complete ({ results, groups, duration })  - every check has a result since the last cycle
+ *   config:reload (reloadStatus)                    - a config reload was applied or rejected
+ *   incident:open / incident:update / incident:close (incident) - see lib/incidents.js
+ *   stop                                            - stop() is done
+ * The dashboard table and the keyboard UI are only used with the `display` option.
+ */
+
+const { EventEmitter } = require('node:events');
+const { spawn, exec } = require('node:child_process');
+const { setTimeout: sleep } = require('node:timers/promises');
+
+const Table = require('cli-table3');
+const { Chalk } = require('chalk');
+
+const { loadConfig } = require('../config');
+const { AlertManager } = require('./alerts');
+const { HistoryStore } = require('./history');
+const { IncidentStore } = require('./incidents');
+const { StatusServer } = require('./http-server');
+const { StateTracker } = require('./state-tracker');
+const { Scheduler } = require('./scheduler');
+const { UP_STATUSES, settledStatus } = require('./status');
+const { createRegistry } = require('./checks');
+const { formatTime, applyLatencyThresholds, formatAssertion } = require('./checks/common');
+const { validateConfig, formatIssue } = require('./config-schema');
+const { ConfigWatcher, diffChecks, fingerprint } = require('./config-watcher');
+const { resolveGroups, pruneGroups, groupStatuses } = require('./groups');
+const { MaintenanceSchedule, parseSilenceDuration } = require('./maintenance');
+const { UNAVAILABLE_STATUSES, dependencyLevels, blockingDependency } = require('./dependencies');
+const { TerminalUi } = require('./tui');
+const { parseDuration } = require('./time');
+
+const chalk = new Chalk()
+
+const MIN_DETAILS_WIDTH = 16 // uptime columns are only shown while Details keeps this width
+
+class ServerMonitor extends EventEmitter {
+  /**
+   * @param {object} config - merged config, see config/index.js
+   * @param {object} options - { only, types } to run a subset of the checks,
+   *   { display: true } to paint the dashboard table and take keyboard input
+   */
+  constructor(config, { only = [], types = [], display = false } = {}) {
+    super();
+    this.config = config;
+    this.display = display;
+    this.filter = { only, types };
+    this.results = [];
+    this.startTime = new Date();
+    this.sshCache = {};  // Cache for SSH checks with timestamps
+    this.alerts = this.createAlerts(config.alerts);
+    this.history = new HistoryStore(config.history);
+    this.incidents = new IncidentStore(config.incidents);
+    this.httpServer = new StatusServer(this, config.http);
+    this.states = new StateTracker();
+    this.maintenance = new MaintenanceSchedule(config.maintenance);
+    this.registry = createRegistry(config.plugins);
+    this.processes = new Set();  // running child processes, killed by stop()
+    // Handed to check types, `run` lets a check compose other registered checks,
+    // `spawn` and `exec` are those of node:child_process for processes stop() ends
+    this.checkContext = {
+      sshCache: this.sshCache,
+      run: (type, server) => this.checkServer({ ...server, type }),
+      spawn: (...args) => this.trackProcess(spawn(...args)),
+      exec: (...args) => this.trackProcess(exec(...args)),
+      formatTime,
+      applyLatencyThresholds,
+      formatAssertion,
+    };
+    this.checks = [];
+    this.groups = [];  // groups of the checks, see lib/groups.js
+    this.scheduler = null;
+    this.lastCycleAt = null;  // time of the last completed check
+    this.repaintPending = false;
+    this.configWarnings = [];
+    this.reloadStatus = null;  // outcome of the last config reload
+    this.watcher = null;
+    this.maintenanceTimer = null;
+    this.lastErrors = new Map();  // name -> { time, error } of the last failed check
+    this.handlingError = null;  // { time, name, error } when handling a result threw
+    this.cycle = { startedAt: Date.now(), done: new Set() };  // checks with a result since the last cycle:complete
+    this.stopped = false;
+    this.ui = new TerminalUi(this);
+  }
+
+  getLocaleTimeString(date) {
+    return formatTime(date);
+  }
+
+  /**
+   * Uptime windows shown as columns, as many as fit without squeezing the Details column
+   */
+  getUptimeWindows() {
+    if (!this.history.enabled) return [];
+
+    const windows = this.history.config.uptimeWindows;
+    const spareWidth = this.calculateColumnWidths().at(-1) - MIN_DETAILS_WIDTH;
+    return windows.slice(0, Math.max(0, Math.floor(spareWidth / 10))); // 9 chars + border per column
+  }
+
+  /**
+   * Calculate dynamic column widths based on terminal width
+   */
+  calculateColumnWidths(uptimeColumns = 0) {
+    const terminalWidth = process.stdout.columns || 120;
+
+    // [Name, Type, Target, Status, Code, Latency, LastCheck, ...Uptime, Details]
+    let widths
+    if (terminalWidth < 100) {
+      // Narrow: 80-99 cols
+      widths = [12, 5, 14, 12, 5, 8, 9];
+    }
+    else if (terminalWidth < 140) {
+      // Standard: 100-139 cols (most common)
+      widths = [16, 5, 22, 15, 5, 9, 10];
+    }
+    else if (terminalWidth < 180) {
+      // Wide: 140-179 cols
+      widths = [20, 6, 32, 15, 6, 11, 10];
+    }
+    else {
+      // Very wide: 180+ cols
+      widths = [25, 6, 45, 15, 8, 12, 10];
+    }
+
+    for (let i = 0; i < uptimeColumns; i++) widths.push(9);
+
+    widths.push(terminalWidth - widths.reduce((a, b) => a + b, widths.length + 3)); // the rest width is given to last column
+
+    return widths
+  }
+
+  /**
+   * Check a single server with the registered check type
+   */
+  async checkServer(server) {
+    const checkType = this.registry.get(server.type);
+    let result;
+
+    try {
+      if (!checkType) throw new Error(`Unknown check type "${server.type}"`);
+
+      const { errors } = this.registry.validate(server);
+      if (errors.length) throw new Error(`Invalid config: ${errors.map(formatIssue).join(', ')}`);
+
+      result = await checkType.run(server, this.checkContext);
+    } catch (error) {
+      result = {
+        status: 'ERROR',
+        statusCode: 'N/A',
+        error: error.message,
+      };
+    }
+
+    // Plugins may leave out everything but the status
+    result = {
+      name: server.name,
+      type: server.type,
+      target: server.target ?? '-',
+      statusCode: '-',
+      lastCheck: this.getLocaleTimeString(),
+      latency: null,
+      error: null,
+      details: null,
+      sshInfo: null,
+      ...result,
+    };
+    if (server.groupName) {
+      result.groupName = server.groupName
+      result.groupPath = server.groupPath
+    }
+
+    return result;
+  }
+
+  /**
+   * Flat list of the checks to run, nested groups resolved, the documented defaults
+   * of the check type, the global defaults and the defaults of the groups applied.
+   * Also updates `groups` to the groups of these checks
+   */
+  getChecks(servers = this.config.servers) {
+    const { checks, groups } = resolveGroups(servers, server => ({ ...this.registry.defaults(server.type), ...this.config.defaults }));
+    const selected = this.filterChecks(checks);
+    this.groups = pruneGroups(groups, selected.map(check => check.name));
+    return selected;
+  }
+
+  /**
+   * Aggregate status of every group in config order, see lib/groups.js
+   */
+  getGroupStatuses() {
+    return [...groupStatuses(this.groups, this.results).values()];
+  }
+
+  /**
+   * Alert manager with the details and group statuses of this monitor
+   */
+  createAlerts(config) {
+    return new AlertManager(config, {
+      formatDetails: (result) => this.formatDetails(result),
+      groupStatus: (name) => this.getGroupStatuses().find(group => group.name === name),
+      exec: (...args) => this.trackProcess(exec(...args)),
+    });
+  }
+
+  /**
+   * Keep a child process until it exits, stop() kills those still running
+   */
+  trackProcess(child) {
+    this.processes.add(child);
+    const forget = () => this.processes.delete(child);
+    child.once('exit', forget);
+    child.once('error', forget);
+    return child;
+  }
+
+  /**
+   * Checks selected by server or group name (--only, groups at any depth) and check type (--type)
+   */
+  filterChecks(checks) {
+    const { only, types } = this.filter;
+    return checks.filter(check =>
+      (!only.length || only.includes(check.name) || (check.groupPath || []).some(name => only.includes(name))) &&
+      (!types.length || types.includes(check.type)));
+  }
+
+  /**
+   * --only names that are neither a server nor a group
+   */
+  unknownFilterNames() {
+    const names = new Set();
+    const collect = (servers) => {
+      for (const server of [servers].flat()) {
+        names.add(server?.name);
+        if (Array.isArray(server?.servers)) collect(server.servers);
+      }
+    };
+    collect(this.config.servers);
+    return this.filter.only.filter(name => !names.has(name));
+  }
+
+  /**
+   * Validate the config, returns { errors, warnings } as messages
+   */
+  validateConfig() {
+    const report = validateConfig(this.config, this.registry);
+    this.configWarnings = report.warnings;
+    return report;
+  }
+
+  /**
+   * Run a check, retry it while it fails and apply the failure/success
+   * thresholds and flap detection. Not run while a dependency is down
+   */
+  async runCheck(check) {
+    const { retries = 0, retryDelay = 1000 } = check;
+
+    const blocking = blockingDependency(check.dependsOn, name => this.dependencyStatus(name));
+    if (blocking) return this.applyMaintenance(check, this.unreachableResult(check, blocking));
+
+    this.emit('check:start', check);
+    let result = await this.checkServer(check);
+    let attempts = 1;
+    while (attempts <= retries && !UP_STATUSES.includes(result.status)) {
+      await sleep(parseDuration(retryDelay));
+      result = await this.checkServer(check);
+      attempts++;
+    }
+    result.attempts = attempts;
+
+    return this.applyMaintenance(check, this.states.apply(check, result));
+  }
+
+  /**
+   * Failures during a maintenance window or silence are shown as MAINTENANCE.
+   * The status without it and the status before it (for alerts) are kept in `maintenance`
+   */
+  applyMaintenance(check, result) {
+    const active = this.maintenance.active(check);
+    if (!active) return result;
+
+    const previous = this.results.find(item => item.name === check.name);
+    result.maintenance = {
+      ...active,
+      status: result.status,
+      previousStatus: previous ? settledStatus(previous) : null,
+    };
+    if (!UP_STATUSES.includes(result.status)) result.status = 'MAINTENANCE';
+    return result;
+  }
+
+  /**
+   * Status of a server or group as a dependency, null before its first result.
+   * The status hidden by a maintenance window counts, not MAINTENANCE
+   */
+  dependencyStatus(name) {
+    const result = this.results.find(item => item.name === name);
+    if (result) {
+      return {
+        status: result.maintenance?.status ?? result.status,
+        rootCause: result.dependency?.rootCause,
+        rootStatus: result.dependency?.rootStatus,
+      };
+    }
+
+    const group = this.getGroupStatuses().find(item => item.name === name);
+    if (!group || group.status === 'PENDING') return null;
+    // an unreachable group has the root cause of its members
+    const member = this.results.find(item => item.dependency && item.groupPath?.includes(name));
+    return { status: group.status, rootCause: member?.dependency.rootCause, rootStatus: member?.dependency.rootStatus };
+  }
+
+  /**
+   * Result of a check that was not run because a dependency is down. The status
+   * before (for alerts) is kept in `dependency`
+   */
+  unreachableResult(check, blocking) {
+    const previous = this.results.find(item => item.name === check.name);
+    return {
+      name: check.name,
+      type: check.type,
+      target: this.registry.target(check),
+      status: 'UNREACHABLE',
+      statusCode: '-',
+      lastCheck: this.getLocaleTimeString(),
+      latency: null,
+      error: null,
+      details: null,
+      sshInfo: null,
+      ...(check.groupName && { groupName: check.groupName, groupPath: check.groupPath }),
+      attempts: 0,
+      consecutiveFailures: 0,
+      dependency: { ...blocking, previousStatus: previous ? settledStatus(previous) : null },
+    };
+  }
+
+  /**
+   * Check the dependents of servers and groups that went down or came back right away
+   */
+  refreshDependents(previousResult, result, previousGroups) {
+    const unavailable = status => UNAVAILABLE_STATUSES.includes(status);
+    const changed = new Set();
+    if (unavailable(previousResult?.maintenance?.status ?? previousResult?.status) !== unavailable(result.maintenance?.status ?? result.status)) {
+      changed.add(result.name);
+    }
+    const before = new Map(previousGroups.map(group => [group.name, group.status]));
+    for (const group of this.getGroupStatuses()) {
+      if (unavailable(before.get(group.name)) !== unavailable(group.status)) changed.add(group.name);
+    }
+    if (!changed.size) return;
+
+    for (const check of this.checks) {
+      if (check.dependsOn?.some(name => changed.has(name))) this.scheduler?.runNow(check.name);
+    }
+  }
+
+  /**
+   * Check right away when a window or silence started or ended since the last result
+   */
+  refreshMaintenance() {
+    for (const check of this.checks) {
+      const result = this.results.find(item => item.name === check.name);
+      if (result && Boolean(result.maintenance) !== Boolean(this.maintenance.active(check))) {
+        this.scheduler?.runNow(check.name);
+      }
+    }
+  }
+
+  /**
+   * Silence a server or group for a duration (plain numbers are minutes), e.g. from
+   * the HTTP API or the keyboard. Returns null for unknown names
+   */
+  silence(name, duration, reason = null) {
+    const known = this.checks.some(check => check.name === name) || this.groups.some(group => group.name === name);
+    if (!known) return null;
+
+    const silence = this.maintenance.silence(name, parseSilenceDuration(duration), reason);
+    this.refreshMaintenance();
+    this.scheduleRepaint();
+    return silence;
+  }
+
+  unsilence(name) {
+    const removed = this.maintenance.unsilence(name);
+    if (removed) {
+      this.refreshMaintenance();
+      this.scheduleRepaint();
+    }
+    return removed;
+  }
+
+  /**
+   * Store a result in config order and emit its events, returns the previous
+   * result and group statuses
+   */
+  storeResult(result) {
+    const previous = this.results.find(item => item.name === result.name) || null;
+    const previousGroups = this.getGroupStatuses();
+    const order = this.checks.map(check => check.name);
+
+    this.results = [...this.results.filter(item => item.name !== result.name), result]
+      .filter(item => order.includes(item.name))
+      .sort((a, b) => order.indexOf(a.name) - order.indexOf(b.name));
+    this.lastCycleAt = new Date();
+    if (result.error) this.lastErrors.set(result.name, { time: Date.now(), error: result.error });
+
+    this.emit('check:result', result, previous);
+    if (result.status !== previous?.status) this.emit('status:change', result, previous?.status ?? null);
+    const before = new Map(previousGroups.map(group => [group.name, group.status]));
+    for (const group of this.getGroupStatuses()) {
+      if (group.status !== before.get(group.name)) this.emit('group:change', group, before.get(group.name) ?? null);
+    }
+
+    this.cycle.done.add(result.name);
+    if (this.checks.every(check => this.cycle.done.has(check.name))) {
+      const duration = Date.now() - this.cycle.startedAt;
+      this.cycle = { startedAt: Date.now(), done: new Set() };
+      this.emit('cycle:complete', { results: this.results, groups: this.getGroupStatuses(), duration });
+    }
+
+    return { previous, previousGroups };
+  }
+
+  /**
+   * Store a result, track its incident, notify about its status transition and
+   * those of its groups, record and publish it
+   */
+  async handleResult(result) {
+    const { previous, previousGroups } = this.storeResult(result);
+    const incident = this.incidents.track(result);
+    if (incident) this.emit(`incident:${incident.type}`, incident.incident);
+
+    this.refreshDependents(previous, result, previousGroups);
+    await this.alerts.processResults(previous ? [previous] : [], [result]);
+    await this.alerts.processGroups(previousGroups, this.getGroupStatuses());
+    await this.history.record([result]);
+    this.httpServer.publish();
+  }
+
+  /**
+   * Time the next check is due
+   */
+  nextCheckAt() {
+    return this.scheduler?.nextRunAt() ?? Date.now() + parseDuration(this.config.refreshInterval);
+  }
+
+  /**
+   * Repaint once for all results arriving in the same tick
+   */
+  scheduleRepaint() {
+    if (!this.display || this.stopped || this.repaintPending || this.ui.paused) return;
+
+    this.repaintPending = true;
+    setImmediate(() => {
+      this.repaintPending = false;
+      this.displayTable();
+    });
+  }
+
+  /**
+   * Format status with color, followed by the number of consecutive failures
+   */
+  formatStatus(status, consecutiveFailures = 0) {
+    const label = this.formatStatusLabel(status);
+    return consecutiveFailures > 0 ? `${label} ${chalk.gray(`×${consecutiveFailures}`)}` : label;
+  }
+
+  formatStatusLabel(status) {
+    switch (status) {
+      case 'UP':
+        return chalk.green('✓ UP');
+      case 'DOWN':
+        return chalk.red('✗ DOWN');
+      case 'UNHEALTHY':
+        return chalk.yellow('⚠ UNHEALTHY');
+      case 'DEGRADED':
+        return chalk.yellow('⚠ DEGRADED');
+      case 'MAINTENANCE':
+        return chalk.blue('ℹ MAINTENANCE');
+      case 'FLAPPING':
+        return chalk.magenta('↯ FLAPPING');
+      case 'UNREACHABLE':
+        return chalk.cyan('⊘ UNREACHABLE');
+      case 'ERROR':
+        return chalk.red('⚠ ERROR');
+      case 'PENDING':
+        return chalk.gray('… PENDING');
+      default:
+        return status;
+    }
+  }
+
+  /**
+   * Format details for display, pending status changes and flapping first
+   */
+  formatDetails(result) {
+    if (result.dependency) return [this.formatMaintenance(result), this.formatDependency(result)].filter(Boolean).join(' | ');
+    return [this.formatMaintenance(result), result.stateDetails, this.formatCheckDetails(result)].filter(Boolean).join(' | ');
+  }
+
+  /**
+   * Root cause of an UNREACHABLE result, "Unreachable: Gateway DOWN (via Switch)"
+   */
+  formatDependency(result) {
+    if (!result.dependency) return null;
+
+    const { name, rootCause, rootStatus } = result.dependency;
+    return `Unreachable: ${rootCause} ${rootStatus}${name !== rootCause ? ` (via ${name})` : ''}`;
+  }
+
+  /**
+   * "Maintenance until 02:00 (weekly backup)", with the date when it ends on another day
+   */
+  formatMaintenance(result) {
+    if (!result.maintenance) return null;
+
+    const { kind, name, reason, until } = result.maintenance;
+    const end = new Date(until);
+    const time = end.toDateString() === new Date().toDateString()
+      ? this.getLocaleTimeString(end)
+      : end.toLocaleString(undefined, { hour12: false, dateStyle: 'short', timeStyle: 'short' });
+    const label = kind === 'silence' ? 'Silenced' : `Maintenance "${name}"`;
+    return `${label} until ${time}${reason ? ` (${reason})` : ''}`;
+  }
+
+  /**
+   * Format the details of the check itself
+   */
+  formatCheckDetails(result) {
+    if (!result.details) {
+      return result.error || '-';
+    }
+
+    const checkType = this.registry.get(result.type);
+    if (checkType?.formatDetails) {
+      return checkType.formatDetails(result, this.checkContext);
+    }
+
+    const { statusDetails, latencyDetails } = result.details;
+    return [statusDetails, latencyDetails, result.error].filter(Boolean).join(' | ') || '-';
+  }
+
+  /**
+   * Format the latency column, "ping / API" for unified checks
+   */
+  formatLatency(result) {
+    const { warn, crit } = result.details?.latencyThresholds || {};
+    const format = (latency) => {
+      if (typeof latency !== 'number') return '-';
+      return latency < 10 ? latency.toFixed(1) : String(Math.round(latency));
+    };
+    const colorize = (latency, text) => {
+      if (crit && latency > crit) return chalk.red(text);
+      if (warn && latency > warn) return chalk.yellow(text);
+      return chalk.gray(text);
+    };
+
+    if (result.type === 'all') {
+      const pingLatency = result.details?.pingLatency;
+      const apiLatency = result.details?.timings?.total;
+      return `${colorize(pingLatency, format(pingLatency))}${chalk.gray('/')}${colorize(apiLatency, format(apiLatency))}${chalk.gray(' ms')}`;
+    }
+    if (typeof result.latency !== 'number') return chalk.gray('-');
+
+    return colorize(result.latency, `${format(result.latency)} ms`);
+  }
+
+  /**
+   * Format an uptime percentage, green when the SLA target is met
+   */
+  formatUptime(uptime) {
+    if (uptime === null) return chalk.gray('-');
+
+    const text = `${uptime >= 99.995 ? '100' : uptime.toFixed(2)}%`;
+    return uptime >= this.history.config.slaTarget ? chalk.green(text) : chalk.red(text);
+  }
+
+  /**
+   * The results table, laid out by calculateColumnWidths
+   */
+  renderTable(rows) {
+    const uptimeWindows = this.getUptimeWindows();
+    const columnCount = 8 + uptimeWindows.length;
+
+    const table = new Table({
+      head: [
+        chalk.cyan('Server Name'),
+        chalk.cyan('Type'),
+        chalk.cyan('Target'),
+        chalk.cyan('Status'),
+        chalk.cyan('Code'),
+        chalk.cyan('Latency'),
+        chalk.cyan('Last Check'),
+        ...uptimeWindows.map(window => chalk.cyan(`Up ${window}`)),
+        chalk.cyan('Details')
+      ],
+      style: {
+        head: [],
+        border: ['cyan'],
+        compact: true,
+      },
+      wordWrap: true,
+      colWidths: this.calculateColumnWidths(uptimeWindows.length),
+    });
+
+    // Filters, sorting and collapsed groups of the interactive UI, members of
+    // nested groups are indented
+    const groups = new Map(this.getGroupStatuses().map(group => [group.name, group]))
+    let inGroup = false
+    this.ui.layout(rows).forEach(item => {
+      const indent = '  '.repeat(Math.max(0, item.depth - 1))
+      if (item.kind === 'group') {
+        if (!item.depth) table.push([{ colSpan: columnCount, content: '' }])
+        const group = groups.get(item.name)
+        const marker = this.ui.active ? `${item.collapsed ? '▸' : '▾'} ` : ''
+        const status = group ? `  ${this.formatStatusLabel(group.status)} ${chalk.gray(group.summary)}` : ''
+        const title = chalk.bold.white(`${marker}${item.name}`)
+        table.push([{ content: indent + (this.ui.isSelected(item) ? chalk.inverse(title) : title) + status, colSpan: columnCount }])
+        inGroup = true
+        return
+      }
+
+      const result = item.result
+      if (inGroup && !item.depth) {
+        inGroup = false
+        table.push([{ colSpan: columnCount, content: '' }])
+      }
+
+      table.push([
+        indent + (this.ui.isSelected(item) ? chalk.inverse.white(result.name) : chalk.white(result.name)),
+        chalk.gray(result.type),
+        chalk.gray(result.target),
+        this.formatStatus(result.status, result.consecutiveFailures),
+        chalk.gray(String(result.statusCode)),
+        this.formatLatency(result),
+        chalk.gray(result.lastCheck),
+        ...uptimeWindows.map(window => this.formatUptime(this.history.uptime(result.name, window))),
+        chalk.gray(this.formatDetails(result))
+      ]);
+    });
+
+    return table.toString();
+  }
+
+  /**
+   * Display results in a table
+   */
+  displayTable() {
+    // Clear console
+    console.clear();
+
+    const upCount = this.results.filter(r => UP_STATUSES.includes(r.status)).length;
+    const totalCount = this.checks.length;
+
+    const dashTable = new Table({
+      head: [{ hAlign: 'center', content: 'SERVER MONITORING DASHBOARD' }],
+      style: { head: ['bold'], border: ['white'], compact: true },
+    });
+    dashTable.push(
+      [chalk[upCount === totalCount ? 'green' : 'red'](`Uptime: ${upCount}/${totalCount} servers UP`)],
+      [`Default interval: ${parseDuration(this.config.refreshInterval) / 1000}s | Running: ${this.scheduler?.running ?? 0}/${this.scheduler?.maxConcurrency ?? 0} | Next check at ${this.getLocaleTimeString(this.nextCheckAt())}`],
+    );
+
+    console.log(dashTable.toString());
+    this.printReloadStatus();
+    console.log('\n');
+
+    // Checks without a result yet are listed as pending
+    const rows = this.checks.map(check => this.results.find(result => result.name === check.name) || {
+      name: check.name,
+      type: check.type,
+      target: check.target,
+      status: 'PENDING',
+      statusCode: '-',
+      lastCheck: '-',
+      latency: null,
+      error: null,
+      details: null,
+      groupName: check.groupName,
+      groupPath: check.groupPath,
+    });
+
+    console.log(this.renderTable(rows));
+
+    const expanded = this.ui.expanded && rows.find(result => result.name === this.ui.expanded);
+    if (expanded) {
+      console.log(this.ui.renderDetails(expanded, this.lastErrors.get(expanded.name)));
+    }
+
+    for (const [channel, failure] of Object.entries(this.alerts.failures)) {
+      console.log(chalk.red(`Alert delivery via ${channel} failed at ${this.getLocaleTimeString(failure.time)}: ${failure.error}`));
+    }
+    if (this.handlingError) {
+      const { time, name, error } = this.handlingError;
+      console.log(chalk.red(`The result of ${name} could not be handled at ${this.getLocaleTimeString(time)}: ${error}`));
+    }
+    if (this.history.lastError) {
+      console.log(chalk.red(`History could not be written: ${this.history.lastError}`));
+    }
+    if (this.incidents.lastError) {
+      console.log(chalk.red(`Incidents could not be written: ${this.incidents.lastError}`));
+    }
+    if (this.incidents.open.size) {
+      console.log(chalk.red(`${this.incidents.open.size} open incident(s), run with --incidents for details`));
+    }
+    if (this.configWarnings.length) {
+      console.log(chalk.yellow(`${this.configWarnings.length} config warning(s), run with --validate for details`));
+    }
+
+    console.log(chalk.dim(`\nLast updated: ${this.getLocaleTimeString()}`));
+    console.log(this.ui.active ? this.ui.renderFooter() : chalk.dim('Press Ctrl+C to exit\n'));
+  }
+
+  /**
+   * Banner of a rejected config reload, or a line about the applied one
+   */
+  printReloadStatus() {
+    const status = this.reloadStatus;
+    if (!status) return;
+
+    const time = this.getLocaleTimeString(status.time);
+    if (status.errors.length) {
+      const shown = status.errors.slice(0, 5);
+      const more = status.errors.length - shown.length;
+      console.log(chalk.bgRed.white.bold(` Config reload rejected at ${time} (${status.reason}), the previous config stays active `));
+      shown.forEach(error => console.log(chalk.red(`  ✗ ${error}`)));
+      if (more) console.log(chalk.red(`  ... ${more} more, run with --validate for details`));
+      return;
+    }
+
+    const { added, removed, changed, restartNeeded } = status.changes;
+    console.log(chalk.dim(`Config reloaded at ${time} (${status.reason}): ${added.length} added, ${removed.length} removed, ${changed.length} changed`));
+    if (restartNeeded.length) {
+      console.log(chalk.yellow(`Changes to ${restartNeeded.join(', ')} take effect after a restart`));
+    }
+  }
+
+  /**
+   * Load and validate the config files again and apply the differences.
+   * A config with errors is rejected, the monitor keeps running the previous one
+   */
+  reload(reason = 'reload') {
+    let config;
+    let registry;
+    let validation;
+    try {
+      config = loadConfig(this.config.files || []);
+      registry = createRegistry(config.plugins);
+      validation = validateConfig(config, registry);
+    } catch (error) {
+      validation = { errors: [error.message], warnings: [] };
+    }
+
+    if (validation.errors.length) {
+      this.reloadStatus = { time: Date.now(), reason, errors: validation.errors };
+    } else {
+      const changes = this.applyConfig(config, registry);
+      this.configWarnings = validation.warnings;
+      this.reloadStatus = { time: Date.now(), reason, errors: [], changes };
+    }
+
+    this.emit('config:reload', this.reloadStatus);
+    this.scheduleRepaint();
+    return !validation.errors.length;
+  }
+
+  /**
+   * Switch to a validated config. Unchanged checks keep their schedule, state,
+   * results and cached SSH results, changed checks run right away
+   */
+  applyConfig(config, registry) {
+    // the history and incident files and the HTTP listener are only set up at start
+    const restartNeeded = ['history', 'incidents', 'http'].filter(key => fingerprint(config[key]) !== fingerprint(this.config[key]));
+
+    this.config = config;
+    this.registry = registry;
+    this.maintenance.setWindows(config.maintenance);
+
+    if (fingerprint(config.alerts) !== fingerprint(this.alerts.config)) {
+      const alerts = this.createAlerts(config.alerts);
+      alerts.statusSince = this.alerts.statusSince;
+      alerts.alerted = this.alerts.alerted;
+      this.alerts = alerts;
+    }
+
+    const checks = this.getChecks();
+    const changes = diffChecks(this.checks, checks);
+    this.checks = checks;
+    this.results = this.results.filter(result => !changes.removed.includes(result.name));
+    changes.removed.forEach((name) => {
+      this.states.forget(name);
+      const incident = this.incidents.close(name, 'Removed from the config');
+      if (incident) this.emit('incident:close', incident);
+    });
+
+    if (this.scheduler) {
+      this.scheduler.configure({
+        interval: config.refreshInterval,
+        maxConcurrency: config.maxConcurrency,
+        jitter: config.jitter,
+      });
+      this.scheduler.setChecks(checks);
+      changes.changed.forEach(name => this.scheduler.runNow(name));
+    }
+    this.httpServer.publish();
+
+    return { ...changes, restartNeeded };
+  }
+
+  /**
+   * Run every check once, retries included and dependencies first, without alerts
+   * or history records. Resolves { results, groups, duration }
+   */
+  async runOnce() {
+    this.checks = this.getChecks();
+    this.results = [];
+    this.cycle = { startedAt: Date.now(), done: new Set() };
+
+    const startedAt = Date.now();
+    // dependencies first, so their dependents see their status
+    for (const level of dependencyLevels(this.checks, this.groups)) {
+      const queue = [...level];
+      const worker = async () => {
+        for (let check = queue.shift(); check && !this.stopped; check = queue.shift()) {
+          this.storeResult(await this.runCheck(check));
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(this.config.maxConcurrency || 10, queue.length) }, worker));
+    }
+
+    return { results: this.results, groups: this.getGroupStatuses(), duration: Date.now() - startedAt };
+  }
+
+  /**
+   * Start monitoring, every check on its own interval. Rejects with an error
+   * carrying the `errors` and `warnings` of the config when it has errors
+   */
+  async start() {
+    const validation = this.validateConfig();
+    if (validation.errors.length) {
+      const error = new Error(`Config has ${validation.errors.length} error(s)`);
+      Object.assign(error, validation);
+      throw error;
+    }
+
+    await this.history.load();
+    await this.incidents.load();
+    await this.httpServer.listen();
+
+    // Every check runs on its own interval, the table is repainted per result
+    this.checks = this.getChecks();
+    this.cycle = { startedAt: Date.now(), done: new Set() };
+    this.scheduler = new Scheduler({
+      interval: this.config.refreshInterval,
+      maxConcurrency: this.config.maxConcurrency,
+      jitter: this.config.jitter,
+    }, async (check) => {
+      const result = await this.runCheck(check);
+      if (this.stopped) return;
+      await this.handleResult(result);
+      this.scheduleRepaint();
+    }, (error, check) => {
+      this.handlingError = { time: Date.now(), name: check.name, error: error.message };
+      this.emit('check:error', error, check);
+      this.scheduleRepaint();
+    });
+    this.scheduler.setChecks(this.checks);
+    this.scheduler.start();
+    this.maintenanceTimer = setInterval(() => this.refreshMaintenance(), 15000);
+
+    // Reload on changes to the config files
+    if (this.config.watchConfig !== false && this.config.files?.length) {
+      this.watcher = new ConfigWatcher(this.config.files, () => this.reload('file changed'));
+      this.watcher.start();
+    }
+
+    // Keyboard interaction when running in a terminal
+    if (this.display) {
+      this.ui.start();
+      this.displayTable();
+    }
+  }
+
+  /**
+   * Stop the scheduler, timers, watcher and HTTP listener, kill running check
+   * and alert processes and wait for pending history and incident writes
+   */
+  async stop() {
+    if (this.stopped) return;
+    this.stopped = true;
+
+    this.scheduler?.stop();
+    this.watcher?.stop();
+    clearInterval(this.maintenanceTimer);
+    this.ui.stop();
+    this.processes.forEach(child => child.kill());
+    this.processes.clear();
+    await this.httpServer.close();
+    await this.history.queue;
+    await this.incidents.queue;
+    this.emit('stop');
+  }
+}
+
+module.exports = { ServerMonitor };
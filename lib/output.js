@@ -0,0 +1,198 @@
+/**
+ * Output of one-shot runs (--once): JSON, NDJSON, JUnit XML and Markdown
+ * `message` is the text of the Details column, `failOn` the status from which a check fails,
+ * `groups` the aggregate group statuses (see lib/groups.js).
+ */
+
+const { STATUSES, UP_STATUSES, worstStatus, statusAtLeast } = require('./status');
+
+const FORMATS = ['table', 'json', 'ndjson', 'junit', 'markdown'];
+
+// Labels of the table without colors
+const STATUS_LABELS = {
+  UP: '✓ UP',
+  MAINTENANCE: 'ℹ MAINTENANCE',
+  DEGRADED: '⚠ DEGRADED',
+  FLAPPING: '↯ FLAPPING',
+  UNHEALTHY: '⚠ UNHEALTHY',
+  UNREACHABLE: '⊘ UNREACHABLE',
+  DOWN: '✗ DOWN',
+  ERROR: '⚠ ERROR',
+};
+
+function latencyOf(result) {
+  if (result.type === 'all') return result.details?.timings?.total ?? null;
+  return typeof result.latency === 'number' ? result.latency : null;
+}
+
+/**
+ * Result as written by the json and ndjson formats
+ */
+function toRecord(result, message, failOn) {
+  return {
+    name: result.name,
+    groupName: result.groupName || null,
+    groupPath: result.groupPath || [],
+    type: result.type,
+    target: result.target,
+    status: result.status,
+    failed: statusAtLeast(result.status, failOn),
+    statusCode: result.statusCode,
+    latency: latencyOf(result),
+    attempts: result.attempts ?? 1,
+    message,
+    error: result.error || null,
+    rootCause: result.dependency?.rootCause ?? null,
+    details: result.details || null,
+  };
+}
+
+/**
+ * Group status as written by the json and ndjson formats
+ */
+function toGroupRecord(group) {
+  return {
+    name: group.name,
+    type: 'group',
+    parent: group.parent,
+    path: group.path,
+    status: group.status,
+    rule: group.rule,
+    required: group.required,
+    up: group.up,
+    total: group.total,
+    summary: group.summary,
+  };
+}
+
+/**
+ * Counts per status, the worst status and the failed checks
+ */
+function summarize(results, failOn) {
+  const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  results.forEach((result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+  });
+
+  const failed = results.filter(result => statusAtLeast(result.status, failOn)).map(result => result.name);
+  return {
+    total: results.length,
+    up: results.filter(result => UP_STATUSES.includes(result.status)).length,
+    worstStatus: results.reduce((worst, result) => worstStatus(worst, result.status), 'UP'),
+    failOn,
+    failed,
+    ok: failed.length === 0,
+    counts,
+  };
+}
+
+function formatJson(results, { message, failOn, duration, groups = [] }) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    duration,
+    ...summarize(results, failOn),
+    results: results.map(result => toRecord(result, message(result), failOn)),
+    groups: groups.map(toGroupRecord),
+  }, null, 2);
+}
+
+function formatNdjsonLine(result, { message, failOn }) {
+  return JSON.stringify(toRecord(result, message(result), failOn));
+}
+
+/**
+ * Group lines follow the results once all checks are done
+ */
+function formatNdjsonGroup(group) {
+  return JSON.stringify(toGroupRecord(group));
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    // characters XML 1.0 does not allow, e.g. from banners
+    .replace(/[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One testsuite per group (ungrouped checks in "servers", nested groups as "outer / inner")
+ * with the group status as properties, failing statuses are failures, ERROR is an error
+ */
+function formatJunit(results, { message, failOn, duration, groups = [] }) {
+  const suites = new Map();
+  for (const result of results) {
+    const name = result.groupPath?.length ? result.groupPath.join(' / ') : 'servers';
+    if (!suites.has(name)) suites.set(name, []);
+    suites.get(name).push(result);
+  }
+
+  const seconds = ms => (typeof ms === 'number' ? (ms / 1000).toFixed(3) : '0');
+  const count = (items, predicate) => items.filter(predicate).length;
+  const isError = result => result.status === 'ERROR' && statusAtLeast('ERROR', failOn);
+  const isFailure = result => !isError(result) && statusAtLeast(result.status, failOn);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="server-monitor" tests="${results.length}" failures="${count(results, isFailure)}" errors="${count(results, isError)}" time="${seconds(duration)}">`,
+  ];
+  for (const [name, items] of suites) {
+    lines.push(`  <testsuite name="${escapeXml(name)}" tests="${items.length}" failures="${count(items, isFailure)}" errors="${count(items, isError)}">`);
+    const group = groups.find(item => item.name === items[0].groupName);
+    if (group) {
+      lines.push('    <properties>');
+      lines.push(`      <property name="groupStatus" value="${escapeXml(group.status)}"/>`);
+      lines.push(`      <property name="groupSummary" value="${escapeXml(group.summary)}"/>`);
+      lines.push('    </properties>');
+    }
+    for (const result of items) {
+      const text = message(result);
+      lines.push(`    <testcase name="${escapeXml(result.name)}" classname="${escapeXml(result.type)}" time="${seconds(latencyOf(result))}">`);
+      if (isError(result)) {
+        lines.push(`      <error type="ERROR" message="${escapeXml(text)}">${escapeXml(result.error || text)}</error>`);
+      } else if (isFailure(result)) {
+        lines.push(`      <failure type="${escapeXml(result.status)}" message="${escapeXml(text)}">${escapeXml(`${result.status} ${result.target}: ${text}`)}</failure>`);
+      }
+      lines.push(`      <system-out>${escapeXml(`${result.status} | ${result.target} | ${text}`)}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n');
+}
+
+function formatMarkdown(results, { message, failOn, groups = [] }) {
+  const summary = summarize(results, failOn);
+  const cell = value => String(value ?? '-').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const lines = [
+    `**${summary.up}/${summary.total} servers UP**, worst status: ${summary.worstStatus}${summary.ok ? '' : ` (${summary.failed.length} failed)`}`,
+    '',
+    '| Status | Server | Type | Target | Code | Latency | Details |',
+    '|--------|--------|------|--------|------|---------|---------|',
+  ];
+  for (const result of results) {
+    const latency = latencyOf(result);
+    lines.push(`| ${[
+      STATUS_LABELS[result.status] || result.status,
+      [...(result.groupPath || []), result.name].join(' / '),
+      result.type,
+      result.target,
+      result.statusCode,
+      latency === null ? '-' : `${Math.round(latency)} ms`,
+      message(result),
+    ].map(cell).join(' | ')} |`);
+  }
+
+  if (groups.length) {
+    lines.push('', '| Group | Status | Members |', '|-------|--------|---------|');
+    for (const group of groups) {
+      lines.push(`| ${[group.path.join(' / '), STATUS_LABELS[group.status] || group.status, group.summary].map(cell).join(' | ')} |`);
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = { FORMATS, STATUS_LABELS, summarize, formatJson, formatNdjsonLine, formatNdjsonGroup, formatJunit, formatMarkdown };
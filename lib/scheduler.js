@@ -0,0 +1,150 @@
+/**
+ * Check scheduler
+ * Every check runs on its own interval, at most `maxConcurrency` checks run at
+ * the same time and a random jitter spreads checks that are due together.
+ * A check is never started while its previous run is still going.
+ */
+
+const { parseDuration } = require('./time');
+
+class Scheduler {
+  /**
+   * @param {object} options - { interval, maxConcurrency, jitter }
+   * @param {function} run - called with the check, returns a promise
+   * @param {function} [onError] - called with the error and the check when run rejects
+   */
+  constructor(options, run, onError = () => {}) {
+    this.configure(options);
+    this.run = run;
+    this.onError = onError;
+    this.tasks = new Map();  // key -> { key, check, interval, nextRunAt, running, rerun }
+    this.running = 0;
+    this.timer = null;
+    this.stopped = true;
+  }
+
+  /**
+   * Change the default interval, concurrency and jitter, e.g. after a config reload
+   */
+  configure({ interval, maxConcurrency = 10, jitter = 0 }) {
+    this.interval = parseDuration(interval);
+    this.maxConcurrency = Math.max(1, maxConcurrency);
+    this.jitter = parseDuration(jitter);
+    if (this.tasks) this.pump();
+  }
+
+  randomJitter() {
+    return Math.round(Math.random() * this.jitter);
+  }
+
+  /**
+   * Replace the scheduled checks, checks with a known key keep their schedule
+   */
+  setChecks(checks) {
+    const now = Date.now();
+    const tasks = new Map();
+
+    for (const check of checks) {
+      const existing = this.tasks.get(check.name);
+      const interval = parseDuration(check.interval ?? this.interval);
+      if (existing) {
+        existing.check = check;
+        // a shorter interval takes effect right away
+        existing.nextRunAt = Math.min(existing.nextRunAt, (existing.lastRunAt ?? now) + interval);
+        existing.interval = interval;
+        tasks.set(check.name, existing);
+      } else {
+        tasks.set(check.name, { key: check.name, check, interval, nextRunAt: now + this.randomJitter(), lastRunAt: null, running: false, rerun: false });
+      }
+    }
+
+    this.tasks = tasks;
+    this.pump();
+  }
+
+  start() {
+    this.stopped = false;
+    this.pump();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run a check as soon as a slot is free, a running check again once it finished
+   */
+  runNow(key) {
+    const task = this.tasks.get(key);
+    if (!task) return false;
+
+    if (task.running) task.rerun = true;
+    task.nextRunAt = Date.now();
+    this.pump();
+    return true;
+  }
+
+  /**
+   * Time the next idle check is due, null without checks
+   */
+  nextRunAt() {
+    const idle = [...this.tasks.values()].filter(task => !task.running);
+    return idle.length ? Math.min(...idle.map(task => task.nextRunAt)) : null;
+  }
+
+  /**
+   * Shortest interval of all checks
+   */
+  minInterval() {
+    const intervals = [...this.tasks.values()].map(task => task.interval);
+    return intervals.length ? Math.min(...intervals) : this.interval;
+  }
+
+  /**
+   * Start all due checks while slots are free, then wait for the next one
+   */
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.stopped) return;
+
+    const now = Date.now();
+    const idle = [...this.tasks.values()]
+      .filter(task => !task.running)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+
+    for (const task of idle) {
+      // a finishing check calls pump again
+      if (this.running >= this.maxConcurrency) return;
+
+      if (task.nextRunAt > now) {
+        this.timer = setTimeout(() => this.pump(), task.nextRunAt - now);
+        return;
+      }
+      this.execute(task);
+    }
+  }
+
+  execute(task) {
+    task.running = true;
+    this.running++;
+    const startedAt = Date.now();
+
+    Promise.resolve()
+      .then(() => this.run(task.check))
+      .catch(error => this.onError(error, task.check))
+      .finally(() => {
+        task.running = false;
+        task.lastRunAt = startedAt;
+        this.running--;
+        // a run longer than the interval or requested while running is followed by the next one right away
+        task.nextRunAt = task.rerun ? Date.now() : Math.max(startedAt + task.interval, Date.now()) + this.randomJitter();
+        task.rerun = false;
+        this.pump();
+      });
+  }
+}
+
+module.exports = { Scheduler };
@@ -0,0 +1,102 @@
+/**
+ * Minimal schema validation for the config
+ * A schema maps keys to field descriptors:
+ *   type     - 'string', 'number', 'boolean', 'object', 'array', 'regexp', 'duration',
+ *              'any' or a list of them
+ *   required - the key must be set
+ *   default  - documented default, see schemaDefaults
+ *   values   - allowed values
+ *   min      - lower bound for numbers
+ *   schema   - nested schema of an object
+ *   items    - field descriptor for the entries of an array
+ */
+
+const { parseDuration } = require('./time');
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && !Number.isNaN(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof RegExp),
+  array: value => Array.isArray(value),
+  regexp: value => value instanceof RegExp,
+  duration: (value) => {
+    try {
+      return parseDuration(value) >= 0;
+    } catch {
+      return false;
+    }
+  },
+  any: () => true,
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  regexp: 'a RegExp',
+  duration: 'a duration like 500, "30s" or "1d"',
+};
+
+function describeTypes(types) {
+  return types.map(type => TYPE_NAMES[type] || type).join(' or ');
+}
+
+/**
+ * Validate a single value, issues are reported as { path, message }
+ */
+function validateValue(value, field, path, report) {
+  const types = [].concat(field.type || 'any');
+  if (!types.some(type => TYPE_CHECKS[type](value))) {
+    report.errors.push({ path, message: `must be ${describeTypes(types)}` });
+    return;
+  }
+
+  if (field.values && !field.values.includes(value)) {
+    report.errors.push({ path, message: `must be one of ${field.values.map(item => JSON.stringify(item)).join(', ')}` });
+  }
+  if (field.min !== undefined && typeof value === 'number' && value < field.min) {
+    report.errors.push({ path, message: `must be at least ${field.min}` });
+  }
+  if (field.schema && TYPE_CHECKS.object(value)) {
+    validateObject(value, field.schema, path, report);
+  }
+  if (field.items && Array.isArray(value)) {
+    value.forEach((item, index) => validateValue(item, field.items, `${path}[${index}]`, report));
+  }
+}
+
+/**
+ * Validate an object against a schema: required keys, types and unknown keys
+ */
+function validateObject(object, schema, path = '', report = { errors: [], warnings: [] }) {
+  const prefix = path ? `${path}.` : '';
+
+  for (const [key, field] of Object.entries(schema)) {
+    const value = object[key];
+    if (value === undefined || value === null) {
+      if (field.required) report.errors.push({ path: `${prefix}${key}`, message: 'is required' });
+      continue;
+    }
+    validateValue(value, field, `${prefix}${key}`, report);
+  }
+
+  for (const key of Object.keys(object)) {
+    if (!(key in schema)) report.warnings.push({ path: `${prefix}${key}`, message: 'is not a known option' });
+  }
+
+  return report;
+}
+
+/**
+ * Documented defaults of a schema as an object
+ */
+function schemaDefaults(schema) {
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([, field]) => field.default !== undefined)
+    .map(([key, field]) => [key, field.default]));
+}
+
+module.exports = { validateObject, validateValue, schemaDefaults };
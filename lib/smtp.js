@@ -0,0 +1,175 @@
+/**
+ * Minimal SMTP client
+ * Just enough to deliver plain text alert mails: implicit TLS, STARTTLS and AUTH PLAIN.
+ * Credentials are only sent over an encrypted connection unless `allowInsecureAuth` is set
+ */
+
+const net = require('node:net');
+const tls = require('node:tls');
+const os = require('node:os');
+
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.responses = [];
+    this.waiting = [];
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('data', (chunk) => this.onData(chunk));
+    socket.on('error', (error) => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line.slice(4));
+
+      // "250-..." continues a multiline response, "250 ..." ends it
+      if (line.charAt(3) !== '-') {
+        const response = { code: Number(line.slice(0, 3)), text: this.lines.join(' ') };
+        this.lines = [];
+        const waiter = this.waiting.shift();
+        if (waiter) waiter.resolve(response);
+        else this.responses.push(response);
+      }
+    }
+  }
+
+  fail(error) {
+    if (this.error) return;
+    this.error = error;
+    this.waiting.splice(0).forEach(waiter => waiter.reject(error));
+  }
+
+  read() {
+    if (this.responses.length) return Promise.resolve(this.responses.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  async command(line, expectedCodes) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const response = await this.read();
+    if (!expectedCodes.includes(response.code)) {
+      const verb = line === null ? 'greeting' : line.split(' ')[0];
+      throw new Error(`SMTP ${verb} failed: ${response.code} ${response.text}`);
+    }
+    return response;
+  }
+
+  upgrade(host, rejectUnauthorized) {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('close');
+      plain.setTimeout(0);
+
+      const secure = tls.connect({ socket: plain, servername: host, rejectUnauthorized }, () => resolve());
+      secure.once('error', reject);
+      this.attach(secure);
+    });
+  }
+
+  close() {
+    this.error = this.error || new Error('SMTP connection closed');
+    this.socket.end();
+  }
+}
+
+// Line breaks in a header value or an address would start a new header or SMTP command
+const singleLine = value => String(value).replace(/[\r\n]+/g, ' ');
+const address = value => singleLine(value).replace(/^.*<|>.*$/g, '');
+
+/**
+ * Encode a header value as RFC 2047 when it contains non-ASCII characters
+ */
+function encodeHeader(value) {
+  const line = singleLine(value);
+  return /^[\x00-\x7F]*$/.test(line) ? line : `=?UTF-8?B?${Buffer.from(line).toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${singleLine(from)}`,
+    `To: ${to.map(singleLine).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+
+  // Dot-stuffing: lines starting with "." must be escaped
+  const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n.`;
+}
+
+/**
+ * Send a plain text mail
+ */
+async function sendMail(options, { from, to, subject, text }) {
+  const {
+    host,
+    secure = false,
+    port = secure ? 465 : 25,
+    starttls = true,
+    auth,
+    timeout = 10000,
+    rejectUnauthorized = true,
+    allowInsecureAuth = false,
+  } = options;
+  const recipients = Array.isArray(to) ? to : [to];
+
+  const socket = secure
+    ? tls.connect({ host, port, servername: host, rejectUnauthorized })
+    : net.connect({ host, port });
+  const connection = new SmtpConnection(socket, timeout);
+
+  try {
+    await connection.command(null, [220]);
+    const ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+    let encrypted = secure;
+    if (!secure && starttls && /\bSTARTTLS\b/i.test(ehlo.text)) {
+      await connection.command('STARTTLS', [220]);
+      await connection.upgrade(host, rejectUnauthorized);
+      await connection.command(`EHLO ${os.hostname()}`, [250]);
+      encrypted = true;
+    }
+
+    if (auth?.user) {
+      if (!encrypted && !allowInsecureAuth) {
+        throw new Error('SMTP AUTH refused: the connection is not encrypted (no STARTTLS), set allowInsecureAuth to send the credentials anyway');
+      }
+      const credentials = Buffer.from(`\0${auth.user}\0${auth.pass}`).toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await connection.command(`MAIL FROM:<${address(from)}>`, [250]);
+    for (const recipient of recipients) {
+      await connection.command(`RCPT TO:<${address(recipient)}>`, [250, 251]);
+    }
+    await connection.command('DATA', [354]);
+    await connection.command(buildMessage({ from, to: recipients, subject, text }), [250]);
+    await connection.command('QUIT', [221]).catch(() => {});
+  } finally {
+    connection.close();
+  }
+}
+
+module.exports = { sendMail };
@@ -0,0 +1,81 @@
+/**
+ * Status hysteresis and flap detection
+ * A check only turns from UP to a failing status after `failuresBeforeDown`
+ * consecutive failures and back after `successesBeforeUp` consecutive successes.
+ * A check that changes between up and failing more than `flapThreshold` times
+ * within `flapWindow` is reported as FLAPPING.
+ */
+
+const { parseDuration, formatDuration } = require('./time');
+const { UP_STATUSES } = require('./status');
+
+class StateTracker {
+  constructor() {
+    this.states = new Map();  // name -> { status, consecutiveFailures, consecutiveSuccesses, lastUp, changes }
+  }
+
+  /**
+   * Drop the state of a removed check
+   */
+  forget(name) {
+    this.states.delete(name);
+  }
+
+  /**
+   * Replace the observed status of a result with the reported one
+   */
+  apply(server, result) {
+    const { failuresBeforeDown = 1, successesBeforeUp = 1, flapThreshold, flapWindow = '10m' } = server;
+    const now = Date.now();
+    const state = this.states.get(result.name) || {
+      status: null,
+      consecutiveFailures: 0,
+      consecutiveSuccesses: 0,
+      lastUp: null,
+      changes: [],
+    };
+
+    const observedStatus = result.status;
+    const up = UP_STATUSES.includes(observedStatus);
+    if (up) {
+      state.consecutiveSuccesses++;
+      state.consecutiveFailures = 0;
+    } else {
+      state.consecutiveFailures++;
+      state.consecutiveSuccesses = 0;
+    }
+
+    // Flap detection counts every change of the observed state
+    if (state.lastUp !== null && state.lastUp !== up) state.changes.push(now);
+    state.lastUp = up;
+    const window = parseDuration(flapWindow);
+    state.changes = state.changes.filter(time => now - time <= window);
+
+    // Hold the previous status until enough consecutive results agree
+    let status = observedStatus;
+    let pendingDetails = null;
+    const wasUp = state.status === null ? null : UP_STATUSES.includes(state.status);
+    if (wasUp === true && !up && state.consecutiveFailures < failuresBeforeDown) {
+      status = state.status;
+      pendingDetails = `${state.consecutiveFailures}/${failuresBeforeDown} failures before ${observedStatus}`;
+    } else if (wasUp === false && up && state.consecutiveSuccesses < successesBeforeUp) {
+      status = state.status;
+      pendingDetails = `${state.consecutiveSuccesses}/${successesBeforeUp} successes before ${observedStatus}`;
+    }
+    state.status = status;
+    this.states.set(result.name, state);
+
+    const flapping = flapThreshold > 0 && state.changes.length > flapThreshold;
+
+    result.status = flapping ? 'FLAPPING' : status;
+    result.observedStatus = observedStatus;
+    result.consecutiveFailures = state.consecutiveFailures;
+    result.consecutiveSuccesses = state.consecutiveSuccesses;
+    result.stateDetails = flapping
+      ? `Flapping: ${state.changes.length} state changes in ${typeof flapWindow === 'string' ? flapWindow : formatDuration(window)}`
+      : pendingDetails;
+    return result;
+  }
+}
+
+module.exports = { StateTracker };
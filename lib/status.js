@@ -0,0 +1,38 @@
+/**
+ * Check statuses, ordered from best to worst. UNREACHABLE checks were not run
+ * because a dependency is down (see lib/dependencies.js)
+ */
+const STATUSES = ['UP', 'MAINTENANCE', 'DEGRADED', 'FLAPPING', 'UNHEALTHY', 'UNREACHABLE', 'DOWN', 'ERROR'];
+
+// Statuses counted as "servers UP" in the summary and as available in SLA figures
+const UP_STATUSES = ['UP', 'MAINTENANCE'];
+
+/**
+ * The worse of two statuses (unknown statuses rank worst)
+ */
+function worstStatus(a, b) {
+  return statusRank(b) > statusRank(a) ? b : a;
+}
+
+function statusRank(status) {
+  return STATUSES.includes(status) ? STATUSES.indexOf(status) : STATUSES.length;
+}
+
+/**
+ * Whether a status is as bad as `threshold` or worse
+ */
+function statusAtLeast(status, threshold) {
+  return statusRank(status) >= statusRank(threshold);
+}
+
+/**
+ * The status alerts compare with: the one before a maintenance window or an
+ * unreachable dependency masked it
+ */
+function settledStatus(result) {
+  if (result.maintenance) return result.maintenance.previousStatus;
+  if (result.dependency) return result.dependency.previousStatus;
+  return result.status;
+}
+
+module.exports = { STATUSES, UP_STATUSES, worstStatus, statusAtLeast, settledStatus };
@@ -0,0 +1,94 @@
+/**
+ * TCP port check
+ * Opens a socket to host:port and measures the connect time, optionally sends a
+ * payload and matches the response banner against a string or regex, also
+ * written as a "/pattern/flags" string in JSON and YAML configs
+ */
+
+const net = require('node:net');
+
+const MAX_BANNER_SIZE = 4096;
+
+/**
+ * RegExp of a "/pattern/flags" string, null for other strings. Throws for an invalid pattern
+ */
+function parseRegExp(value) {
+  const match = typeof value === 'string' && value.match(/^\/(.+)\/([a-z]*)$/s);
+  return match ? new RegExp(match[1], match[2]) : null;
+}
+
+/**
+ * Banner test of `expect`, null without one: strings match when the banner
+ * contains them, RegExps when they test true
+ */
+function bannerMatcher(expect) {
+  if (expect === undefined || expect === null) return null;
+
+  const pattern = expect instanceof RegExp ? expect : parseRegExp(expect);
+  if (!pattern) return banner => banner.includes(String(expect));
+  // a copy without g and y, test() would otherwise continue at lastIndex of the previous run
+  const regexp = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  return banner => regexp.test(banner);
+}
+
+// Control characters like \r\n would break the table
+function printable(banner) {
+  const text = banner.replace(/\r?\n/g, ' ').replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return text.length > 200 ? `${text.slice(0, 200)}...` : text;
+}
+
+/**
+ * Connect, send and read the banner, never rejects
+ */
+function checkTcp(host, port, options = {}) {
+  const { timeout = 10000, send } = options;
+  const matchBanner = bannerMatcher(options.expect);
+
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    let connectTime = null;
+    let banner = '';
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+
+      const bannerOk = matchBanner ? matchBanner(banner) : null;
+      resolve({
+        success: connectTime !== null,
+        connectTime,
+        duration: Date.now() - startedAt,
+        banner: banner ? printable(banner) : null,
+        bannerOk,
+        error: null,
+        ...result,
+      });
+    };
+
+    const socket = net.connect({ host, port });
+    socket.setTimeout(timeout);
+
+    socket.on('connect', () => {
+      connectTime = Date.now() - startedAt;
+      if (send !== undefined && send !== null) socket.write(send);
+      // Nothing to wait for, the open port is all we need
+      if (!matchBanner) finish({});
+    });
+
+    socket.on('data', (chunk) => {
+      banner += chunk.toString('utf8');
+      if (matchBanner?.(banner) || banner.length >= MAX_BANNER_SIZE) finish({});
+    });
+
+    socket.on('end', () => finish({}));
+    socket.on('timeout', () => {
+      // A timeout while waiting for the banner is a mismatch, not a connection failure
+      finish(connectTime === null ? { error: 'Timeout' } : {});
+    });
+    socket.on('error', (error) => finish({ success: false, error: error.message }));
+  });
+}
+
+module.exports = { checkTcp, parseRegExp };
@@ -0,0 +1,40 @@
+/**
+ * Time helpers shared by the monitor modules
+ */
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60000,
+  h: 3600000,
+  d: 86400000,
+  w: 604800000,
+};
+
+/**
+ * Parse a duration like "90s", "15m", "24h", "7d" into milliseconds
+ * (plain numbers are taken as milliseconds)
+ */
+function parseDuration(value) {
+  if (typeof value === 'number') return value;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/i);
+  if (!match) throw new Error(`Invalid duration "${value}"`);
+
+  return Number(match[1]) * UNITS[(match[2] || 'ms').toLowerCase()];
+}
+
+/**
+ * Human readable duration, e.g. "1h 5m" or "42s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+module.exports = { parseDuration, formatDuration };
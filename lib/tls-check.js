@@ -0,0 +1,98 @@
+/**
+ * TLS certificate check
+ * Connects to host:port, reads the peer certificate chain and reports expiry,
+ * issuer, SANs vs. the expected hostname and chain validity
+ */
+
+const net = require('node:net');
+const tls = require('node:tls');
+
+const { readPem } = require('./http-client');
+
+const DAY = 86400000;
+
+function describeName(name = {}) {
+  return name.CN || name.O || Object.values(name).join(', ') || null;
+}
+
+/**
+ * Subjects of the chain, leaf first
+ */
+function getChain(cert) {
+  const chain = [];
+  let current = cert;
+  while (current && Object.keys(current).length && chain.length < 10) {
+    chain.push(describeName(current.subject));
+    if (!current.issuerCertificate || current.issuerCertificate === current) break;
+    current = current.issuerCertificate;
+  }
+  return chain;
+}
+
+/**
+ * Connect and inspect the certificate, never rejects
+ */
+function checkTls(host, port = 443, options = {}) {
+  const { timeout = 10000, servername, hostname = servername || host } = options;
+
+  let ca;
+  try {
+    ca = readPem(options.ca);
+  } catch (error) {
+    return Promise.resolve({ duration: 0, success: false, error: error.message });
+  }
+
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      resolve({ duration: Date.now() - startedAt, ...result });
+    };
+
+    // rejectUnauthorized: false so invalid certificates can still be inspected
+    const socket = tls.connect({
+      host,
+      port,
+      ...(!net.isIP(servername || host) && { servername: servername || host }),
+      ca,
+      rejectUnauthorized: false,
+      timeout,
+    }, () => {
+      const cert = socket.getPeerCertificate(true);
+      if (!cert || !Object.keys(cert).length) {
+        finish({ success: false, error: 'No peer certificate' });
+        return;
+      }
+
+      const validTo = new Date(cert.valid_to);
+      const identityError = tls.checkServerIdentity(hostname, cert);
+
+      finish({
+        success: true,
+        error: null,
+        subject: describeName(cert.subject),
+        issuer: describeName(cert.issuer),
+        validFrom: new Date(cert.valid_from).toISOString(),
+        validTo: validTo.toISOString(),
+        daysRemaining: Math.floor((validTo.getTime() - Date.now()) / DAY),
+        san: (cert.subjectaltname || '').split(',').map(name => name.trim()).filter(Boolean),
+        hostname,
+        hostnameMatch: !identityError,
+        hostnameError: identityError?.message || null,
+        chain: getChain(cert),
+        chainValid: socket.authorized,
+        chainError: socket.authorized ? null : String(socket.authorizationError),
+        protocol: socket.getProtocol(),
+      });
+    });
+
+    socket.on('timeout', () => finish({ success: false, error: 'Timeout' }));
+    socket.on('error', (error) => finish({ success: false, error: error.message }));
+  });
+}
+
+module.exports = { checkTls };
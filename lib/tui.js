@@ -0,0 +1,389 @@
+/**
+ * Interactive terminal UI
+ * Row selection, a detail pane, filters, sorting, collapsible groups, manual
+ * re-checks and pausing on top of the dashboard table. Only active when stdin
+ * is a terminal, otherwise the table is printed as before.
+ */
+
+const readline = require('node:readline');
+const { Chalk } = require('chalk');
+const { STATUSES, UP_STATUSES } = require('./status');
+const { describeResources } = require('./checks/ssh-resources');
+
+const chalk = new Chalk();
+
+const SORTS = ['config', 'status', 'latency', 'name'];
+const STATUS_FILTERS = ['all', 'failing', 'up'];
+const HELP = '↑↓ select  enter details  / search  f status  g group  s sort  c collapse  r re-check  m silence  p pause  esc reset  q quit';
+
+/**
+ * Latency used for sorting, the slower leg of unified checks
+ */
+function sortLatency(result) {
+  if (result.type === 'all') {
+    const legs = [result.details?.pingLatency, result.details?.timings?.total].filter(latency => typeof latency === 'number');
+    return legs.length ? Math.max(...legs) : -1;
+  }
+  return typeof result.latency === 'number' ? result.latency : -1;
+}
+
+/**
+ * Higher for worse statuses, pending checks last
+ */
+function statusRank(status) {
+  return STATUSES.includes(status) ? STATUSES.indexOf(status) : -1;
+}
+
+class TerminalUi {
+  constructor(monitor) {
+    this.monitor = monitor;
+    this.active = false;
+    this.selected = null;          // 'check:<name>' or 'group:<name>'
+    this.expanded = null;          // name of the check shown in the detail pane
+    this.collapsed = new Set();    // collapsed group names
+    this.sort = 'config';
+    this.statusFilter = 'all';
+    this.groupFilter = null;
+    this.textFilter = '';
+    this.typing = false;           // "/" was pressed, keys go to the text filter
+    this.silencing = null;         // { name, text } while the silence duration is typed
+    this.paused = false;
+    this.message = null;           // feedback shown until the next key
+    this.items = [];               // rows of the last repaint
+    this.onKeypress = this.onKeypress.bind(this);
+    this.onResize = () => this.monitor.displayTable();
+  }
+
+  start() {
+    if (!process.stdin.isTTY || !process.stdout.isTTY) return;
+
+    readline.emitKeypressEvents(process.stdin);
+    process.stdin.setRawMode(true);
+    process.stdin.on('keypress', this.onKeypress);
+    process.stdout.on('resize', this.onResize);
+    this.active = true;
+  }
+
+  stop() {
+    if (!this.active) return;
+
+    process.stdin.off('keypress', this.onKeypress);
+    process.stdout.off('resize', this.onResize);
+    process.stdin.setRawMode(false);
+    process.stdin.pause();
+    this.active = false;
+  }
+
+  /**
+   * Filtered and sorted rows with group headers, collapsed groups only keep their header.
+   * Returns [{ kind: 'group', name, depth, results, collapsed }, { kind: 'check', result, depth }],
+   * `results` of a group are those of all its nested groups
+   */
+  layout(results) {
+    const text = this.textFilter.toLowerCase();
+    const visible = results.filter((result) => {
+      if (this.statusFilter === 'failing' && (UP_STATUSES.includes(result.status) || result.status === 'PENDING')) return false;
+      if (this.statusFilter === 'up' && !UP_STATUSES.includes(result.status)) return false;
+      if (this.groupFilter && !(result.groupPath || []).includes(this.groupFilter)) return false;
+      if (text) {
+        return [result.name, result.target, result.type, result.groupName]
+          .some(value => value && String(value).toLowerCase().includes(text));
+      }
+      return true;
+    });
+
+    const compare = {
+      config: () => 0,
+      status: (a, b) => statusRank(b.status) - statusRank(a.status),
+      latency: (a, b) => sortLatency(b) - sortLatency(a),
+      name: (a, b) => a.name.localeCompare(b.name),
+    }[this.sort];
+
+    // Groups stay together and are sorted by their first member, at every depth
+    const root = { children: [], results: [] };
+    const nodes = new Map();
+    for (const result of visible) {
+      let parent = root;
+      for (const name of result.groupPath || []) {
+        if (!nodes.has(name)) {
+          const node = { name, children: [], results: [] };
+          nodes.set(name, node);
+          parent.children.push(node);
+        }
+        parent = nodes.get(name);
+        parent.results.push(result);
+      }
+      parent.children.push({ result });
+    }
+
+    const first = child => (child.result || child.results[0]);
+    const sortNode = (node) => {
+      node.children.filter(child => child.children).forEach(sortNode);
+      node.children.sort((a, b) => compare(first(a), first(b)));
+      node.results = node.children.flatMap(child => (child.result ? [child.result] : child.results));
+    };
+    sortNode(root);
+
+    const items = [];
+    const flatten = (node, depth) => {
+      for (const child of node.children) {
+        if (child.result) {
+          items.push({ kind: 'check', result: child.result, depth });
+          continue;
+        }
+        const collapsed = this.collapsed.has(child.name);
+        items.push({ kind: 'group', name: child.name, depth, results: child.results, collapsed });
+        if (!collapsed) flatten(child, depth + 1);
+      }
+    };
+    flatten(root, 0);
+
+    this.items = items;
+    if (!items.some(item => this.keyOf(item) === this.selected)) {
+      this.selected = this.active && items.length ? this.keyOf(items[0]) : null;
+    }
+    return items;
+  }
+
+  keyOf(item) {
+    return item.kind === 'group' ? `group:${item.name}` : `check:${item.result.name}`;
+  }
+
+  isSelected(item) {
+    return this.active && this.keyOf(item) === this.selected;
+  }
+
+  selectedItem() {
+    return this.items.find(item => this.keyOf(item) === this.selected);
+  }
+
+  move(offset) {
+    const index = this.items.findIndex(item => this.keyOf(item) === this.selected);
+    const next = this.items[Math.min(this.items.length - 1, Math.max(0, index + offset))];
+    if (next) this.selected = this.keyOf(next);
+  }
+
+  cycle(values, current) {
+    return values[(values.indexOf(current) + 1) % values.length];
+  }
+
+  toggleGroup(name) {
+    if (this.collapsed.has(name)) this.collapsed.delete(name);
+    else this.collapsed.add(name);
+    this.selected = `group:${name}`;
+  }
+
+  recheck(item) {
+    const names = item.kind === 'group' ? item.results.map(result => result.name) : [item.result.name];
+    names.forEach(name => this.monitor.scheduler?.runNow(name));
+    this.message = `Re-checking ${item.kind === 'group' ? `group ${item.name}` : item.result.name}`;
+  }
+
+  /**
+   * Silence the selected server or group for the typed duration, or lift its silence
+   */
+  toggleSilence(item) {
+    const name = item.kind === 'group' ? item.name : item.result.name;
+    if (this.monitor.unsilence(name)) {
+      this.message = `Silence of ${name} removed`;
+      return;
+    }
+    this.silencing = { name, text: '30m' };
+  }
+
+  onKeypress(input, key = {}) {
+    if (key.ctrl && key.name === 'c') {
+      this.monitor.stop();
+      return;
+    }
+    this.message = null;
+
+    if (this.silencing) {
+      const { name, text } = this.silencing;
+      if (key.name === 'return' || key.name === 'enter') {
+        this.silencing = null;
+        try {
+          const silence = this.monitor.silence(name, text);
+          this.message = silence ? `${name} silenced until ${this.monitor.getLocaleTimeString(silence.until)}` : `No server or group named "${name}"`;
+        } catch (error) {
+          this.message = error.message;
+        }
+      } else if (key.name === 'escape') this.silencing = null;
+      else if (key.name === 'backspace') this.silencing.text = text.slice(0, -1);
+      else if (input && !key.ctrl && !key.meta && input >= ' ') this.silencing.text += input;
+      this.monitor.displayTable();
+      return;
+    }
+
+    if (this.typing) {
+      if (key.name === 'return' || key.name === 'enter') this.typing = false;
+      else if (key.name === 'escape') {
+        this.typing = false;
+        this.textFilter = '';
+      } else if (key.name === 'backspace') this.textFilter = this.textFilter.slice(0, -1);
+      else if (input && !key.ctrl && !key.meta && input >= ' ') this.textFilter += input;
+      this.monitor.displayTable();
+      return;
+    }
+
+    const item = this.selectedItem();
+    switch (key.name || input) {
+      case 'up':
+      case 'k':
+        this.move(-1);
+        break;
+      case 'down':
+      case 'j':
+        this.move(1);
+        break;
+      case 'pageup':
+        this.move(-10);
+        break;
+      case 'pagedown':
+        this.move(10);
+        break;
+      case 'return':
+      case 'enter':
+      case 'space':
+        if (item?.kind === 'group') this.toggleGroup(item.name);
+        else if (item) this.expanded = this.expanded === item.result.name ? null : item.result.name;
+        break;
+      case 'c':
+        if (item?.kind === 'group') this.toggleGroup(item.name);
+        else if (item?.result.groupName) this.toggleGroup(item.result.groupName);
+        break;
+      case '/':
+        this.typing = true;
+        this.textFilter = '';
+        break;
+      case 'f':
+        this.statusFilter = this.cycle(STATUS_FILTERS, this.statusFilter);
+        break;
+      case 'g': {
+        const groups = [null, ...this.monitor.groups.map(group => group.name)];
+        this.groupFilter = this.cycle(groups, this.groupFilter);
+        break;
+      }
+      case 's':
+        this.sort = this.cycle(SORTS, this.sort);
+        break;
+      case 'r':
+        if (item) this.recheck(item);
+        break;
+      case 'm':
+        if (item) this.toggleSilence(item);
+        break;
+      case 'p':
+        this.paused = !this.paused;
+        break;
+      case 'escape':
+        this.expanded = null;
+        this.textFilter = '';
+        this.statusFilter = 'all';
+        this.groupFilter = null;
+        break;
+      case 'q':
+        this.monitor.stop();
+        return;
+      default:
+        return;
+    }
+
+    this.monitor.displayTable();
+  }
+
+  /**
+   * Lines of the detail pane, like the drill-down of the web dashboard
+   */
+  renderDetails(result, lastError) {
+    const lines = [chalk.bold.cyan(`── ${result.name} ${'─'.repeat(Math.max(0, 40 - result.name.length))}`)];
+    const section = (title, body) => {
+      if (!body) return;
+      lines.push(chalk.bold(title));
+      String(body).split('\n').forEach(line => lines.push(`  ${line}`));
+    };
+
+    section('Details', this.monitor.formatDetails(result));
+    if (result.attempts > 1) section('Attempts', result.attempts);
+
+    const assertions = result.details?.responseCheckDetails;
+    if (assertions) {
+      section('Response check', assertions.map(assertion => `${assertion.match ? chalk.green('✓') : chalk.red('✗')} ${this.monitor.checkContext.formatAssertion(assertion)}`).join('\n'));
+    }
+    const timings = result.details?.timings;
+    if (timings) {
+      section('Request timing', ['dns', 'connect', 'tls', 'ttfb', 'total']
+        .map(phase => `${phase.toUpperCase()}: ${timings[phase] === null || timings[phase] === undefined ? '-' : `${timings[phase]} ms`}`)
+        .join('  '));
+    }
+    if (result.details?.redirects?.length) section('Redirects', result.details.redirects.map(redirect => `${redirect.statusCode} → ${redirect.location}`).join('\n'));
+    if (result.details?.banner) section('Banner', result.details.banner);
+
+    const dns = result.details?.dns;
+    if (dns) section(`DNS ${dns.recordType} records`, dns.success ? dns.records.join('\n') : dns.error);
+
+    const tls = result.details?.tls;
+    if (tls?.success) {
+      section('Certificate', [
+        `Subject: ${tls.subject}`,
+        `Issuer: ${tls.issuer}`,
+        `Valid: ${new Date(tls.validFrom).toLocaleDateString()} - ${new Date(tls.validTo).toLocaleDateString()} (${tls.daysRemaining} days left)`,
+        `SAN: ${tls.san.join(', ') || '-'}`,
+        `Chain: ${tls.chain.join(' <- ')} (${tls.chainValid ? 'valid' : tls.chainError})`,
+      ].join('\n'));
+    }
+
+    if (result.maintenance) {
+      const { status, until } = result.maintenance;
+      section(result.maintenance.kind === 'silence' ? 'Silenced' : 'Maintenance', [
+        this.monitor.formatMaintenance(result),
+        `Ends: ${new Date(until).toLocaleString(undefined, { hour12: false })}`,
+        `Status without it: ${status}`,
+      ].join('\n'));
+    }
+
+    if (result.dependency) {
+      const { name, status, rootCause, rootStatus } = result.dependency;
+      section('Unreachable', [
+        `Root cause: ${rootCause} is ${rootStatus}`,
+        ...(name !== rootCause ? [`Via: ${name} is ${status}`] : []),
+        'The check runs again once it is back',
+      ].join('\n'));
+    }
+
+    if (result.error) section('Error', result.error);
+    else if (lastError) section(`Last error (${this.monitor.getLocaleTimeString(lastError.time)})`, lastError.error);
+    if (result.sshInfo?.resources?.success) section('Resources', describeResources(result.sshInfo.resources).join('\n'));
+    const packages = result.sshInfo?.packages;
+    if (packages?.length) {
+      const shown = packages.slice(0, 20).map(item => `${item.name} ${item.version}${item.security ? ' (security)' : ''}`);
+      if (packages.length > shown.length) shown.push(`... ${packages.length - shown.length} more`);
+      section(`Updates (${result.sshInfo.detector}${result.sshInfo.distro ? `, ${result.sshInfo.distro}` : ''})`, shown.join('\n'));
+    }
+    if (result.sshInfo?.motd) section('SSH MOTD', result.sshInfo.motd.trim());
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Filters, sort order and key help below the table
+   */
+  renderFooter() {
+    const state = [
+      this.paused && chalk.bgYellow.black(' PAUSED '),
+      this.sort !== 'config' && `sort: ${this.sort}`,
+      this.statusFilter !== 'all' && `status: ${this.statusFilter}`,
+      this.groupFilter && `group: ${this.groupFilter}`,
+      (this.textFilter || this.typing) && `search: ${this.textFilter}${this.typing ? '█' : ''}`,
+      this.silencing && `silence ${this.silencing.name} for: ${this.silencing.text}█ (enter to confirm, plain numbers are minutes)`,
+    ].filter(Boolean);
+
+    return [
+      state.length ? state.join(chalk.dim(' | ')) : null,
+      this.message ? chalk.yellow(this.message) : null,
+      chalk.dim(HELP),
+    ].filter(Boolean).join('\n');
+  }
+}
+
+module.exports = { TerminalUi };
@@ -0,0 +1,33 @@
+/**
+ * YAML config files, read with the `yaml` package (YAML 1.2 core schema)
+ * Merge keys (<<) are resolved, multiple documents are rejected. Syntax errors
+ * become a YamlError naming the line, e.g. `key: value: more` or `e: - x`.
+ */
+
+const YAML = require('yaml');
+
+class YamlError extends Error {
+  constructor(message, line) {
+    super(line ? `line ${line}: ${message}` : message);
+    this.line = line;
+  }
+}
+
+/**
+ * Parse a YAML document, an empty document is null. Warnings such as unknown
+ * tags fail like syntax errors, a config should not silently change meaning
+ */
+function parseYaml(source) {
+  const document = YAML.parseDocument(source, { merge: true, prettyErrors: false });
+  const [problem] = [...document.errors, ...document.warnings];
+  if (problem) {
+    const line = source.slice(0, problem.pos[0]).split('\n').length;
+    const message = problem.code === 'MULTIPLE_DOCS'
+      ? 'multiple documents are not supported'
+      : problem.message.replace(/ at line \d+, column \d+[\s\S]*$/, '');
+    throw new YamlError(message, line);
+  }
+  return document.toJS() ?? null;
+}
+
+module.exports = { parseYaml, YamlError };
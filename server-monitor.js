@@ -2,685 +2,315 @@
 
 /**
  * Server Monitoring Dashboard
- * Monitors server availability via ping and API calls
- * Displays results in a refreshing table format
+ * Command line entry point on top of the monitor library (lib/monitor.js): the live
+ * dashboard, --once, --validate, --report, --incidents and silencing a running monitor
  */
 
-const { spawn, exec } = require('node:child_process');
-const https = require('node:https');
-const http = require('node:http');
-const { promisify } = require('node:util');
+const { parseArgs } = require('node:util');
 
 const Table = require('cli-table3');
 const { Chalk } = require('chalk');
 
-const config = require('./config');
+const { loadConfig, displayPath } = require('./config');
+const { ServerMonitor } = require('./lib/monitor');
+const { STATUSES } = require('./lib/status');
+const { parseSilenceDuration } = require('./lib/maintenance');
+const { formatPostmortem } = require('./lib/incidents');
+const { formatDuration } = require('./lib/time');
+const { FORMATS, summarize, formatJson, formatNdjsonLine, formatNdjsonGroup, formatJunit, formatMarkdown } = require('./lib/output');
 
-const execPromise = promisify(exec);
-const isLinux = require('node:os').type() === 'Linux';
 const chalk = new Chalk()
 
-const PING_IN_MILLISECONDS = isLinux ? 1000 : 1 // linux ping is in seconds
-
-class ServerMonitor {
-  constructor(config) {
-    this.config = config;
-    this.results = [];
-    this.startTime = new Date();
-    this.sshCache = {};  // Cache for SSH checks with timestamps
-  }
+/**
+ * Print config errors and warnings, returns false when the config has errors
+ */
+function printValidation(monitor, { errors, warnings }) {
+  errors.forEach(error => console.log(chalk.red(`✗ ${error}`)));
+  warnings.forEach(warning => console.log(chalk.yellow(`! ${warning}`)));
 
-  getLocaleTimeString(date) {
-    return (date !== undefined ? new Date(date) : new Date()).toLocaleTimeString(undefined, { hour12: false })
+  if (errors.length) {
+    console.log(chalk.red(`\nConfig has ${errors.length} error(s) and ${warnings.length} warning(s)`));
+    return false;
   }
+  const files = monitor.config.files?.length ? ` (${monitor.config.files.map(displayPath).join(', ')})` : '';
+  console.log(chalk.green(`${warnings.length ? '\n' : ''}Config OK${files}: ${monitor.getChecks().length} checks, ${warnings.length} warning(s)`));
+  return true;
+}
 
-  /**
-   * Perform a ping to check server availability
-   */
-  async ping(target, timeout) {
-    try {
-      const command = `ping -c 1 -W ${Math.floor(timeout / PING_IN_MILLISECONDS)} ${target}`;
-      const { stdout, stderr } = await execPromise(command, { timeout });
-
-      // Check if ping was successful
-      return !stderr && (stdout.includes('1 packets transmitted, 1 received, 0% packet loss') || stdout.includes('1 packets received'));
-    } catch {
-      return false;
-    }
+/**
+ * Print SLA figures per server and per group for a time window
+ */
+async function printReport(monitor, window) {
+  if (!monitor.history.enabled) {
+    console.log(chalk.red('History is disabled, no report available'));
+    process.exitCode = 1;
+    return;
   }
 
-  /**
-   * Get value from object using dot notation path
-   */
-  getValueByPath(obj, path) {
-    return path.split('.').reduce((current, prop) => current?.[prop], obj);
+  const report = await monitor.history.report(window);
+  const formatTime = ts => ts ? new Date(ts).toLocaleString(undefined, { hour12: false }) : '-';
+  const reportTable = (title, rows) => {
+    const table = new Table({
+      head: [title, 'Checks', 'Failed', 'Uptime', 'Avg Latency', 'SLA', 'First Check', 'Last Check'].map(head => chalk.cyan(head)),
+      style: { head: [], border: ['cyan'], compact: true },
+    });
+    rows.forEach(row => table.push([
+      chalk.white(row.group ? `${row.group} / ${row.name}` : row.name),
+      row.checks,
+      row.failed ? chalk.red(row.failed) : row.failed,
+      monitor.formatUptime(row.uptime),
+      row.avgLatency === null ? '-' : `${row.avgLatency} ms`,
+      row.slaMet === null ? chalk.gray('-') : row.slaMet ? chalk.green('✓') : chalk.red('✗'),
+      formatTime(row.firstCheck),
+      formatTime(row.lastCheck),
+    ]));
+    return table.toString();
+  };
+
+  console.log(chalk.bold(`SLA report for the last ${report.window} (target ${report.slaTarget}%)\n`));
+  if (!report.servers.length) {
+    console.log(chalk.gray('No checks recorded in this window'));
+    return;
   }
 
-  /**
-   * Calculate dynamic column widths based on terminal width
-   */
-  calculateColumnWidths() {
-    const terminalWidth = process.stdout.columns || 120;
-
-    // [Name, Type, Target, Status, Code, LastCheck, Details]
-    let widths
-    if (terminalWidth < 100) {
-      // Narrow: 80-99 cols
-      widths = [14, 7, 25, 10, 6, 12];
-    }
-    else if (terminalWidth < 140) {
-      // Standard: 100-139 cols (most common)
-      widths = [18, 8, 35, 17, 8, 12];
-    }
-    else if (terminalWidth < 180) {
-      // Wide: 140-179 cols
-      widths = [22, 8, 45, 17, 8, 12];
-    }
-    else {
-      // Very wide: 180+ cols
-      widths = [25, 8, 55, 17, 8, 12];
-    }
-
-    widths.push(terminalWidth - widths.reduce((a, b) => a + b, 9)); // the rest width is given to last column
-
-    return widths
+  console.log(reportTable('Server', report.servers));
+  if (report.groups.length) {
+    console.log('');
+    console.log(reportTable('Group', report.groups));
   }
+}
 
-  /**
-   * Check SSH using native ssh command and get MOTD for system updates info
-   */
-  async checkSSH(host, port, username) {
-    return new Promise((resolve) => {
-      const sshParams = [
-        '-o', 'BatchMode=yes',
-        '-o', 'ConnectTimeout=10',
-        '-o', 'StrictHostKeyChecking=accept-new',
-      ];
-      if (port) sshParams.push('-p', port)
-
-      sshParams.push(username ? `${username}@${host}` : host)
-      sshParams.push('run-parts /etc/update-motd.d/')
-
-      const ssh = spawn('ssh', sshParams);
-
-      let output = '';
-      const timeout = setTimeout(() => {
-        ssh.kill();
-        resolve({
-          success: false,
-          error: 'SSH timeout',
-          motd: null,
-          rebootRequired: false,
-          updates: null
-        });
-      }, 15000);
-
-      ssh.stdout.on('data', (data) => {
-        output += data.toString();
-      });
-
-      ssh.stderr.on('data', (data) => {
-        output += data.toString();
-      });
-
-      ssh.on('close', () => {
-        clearTimeout(timeout);
-        const updatesMatch = output.match(/(\d+)\s+updates?\s+can be applied immediately/i);
-        const securityMatch = output.match(/(\d+)\s+of these updates?\s+(?:is|are)\s+(?:a )?standard security updates?/i);
-        const rebootRequired = output.includes('System restart required');
-
-        let updatesInfo = '';
-        if (updatesMatch && 0 !== +String(updatesMatch[1])) {
-          updatesInfo = `${updatesMatch[1]} updates`;
-          if (securityMatch) {
-            updatesInfo += ` (${securityMatch[1]} security)`;
-          }
-        }
-
-        resolve({
-          success: true,
-          error: null,
-          motd: output,
-          rebootRequired: rebootRequired,
-          updates: updatesInfo || null,
-          lastCheck: this.getLocaleTimeString(),
-        });
-      });
-    });
+/**
+ * List the recorded incidents, newest first
+ */
+async function printIncidents(monitor) {
+  if (!monitor.incidents.enabled) {
+    console.log(chalk.red('Incidents are disabled, nothing recorded'));
+    process.exitCode = 1;
+    return;
   }
 
-  async checkApi(target, timeout, expectedStatus, expectedResponse) {
-    return new Promise((resolve) => {
-      const timeoutHandle = setTimeout(() => {
-        resolve({
-          success: false,
-          statusCode: null,
-          statusOk: false,
-          responseOk: null,
-          error: 'Timeout'
-        });
-      }, timeout);
-
-      const protocol = target.startsWith('https') ? https : http;
-      const request = protocol.get(target, (res) => {
-        clearTimeout(timeoutHandle);
-        let data = '';
-
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-
-        res.on('end', () => {
-          try {
-            const statusOk = res.statusCode === expectedStatus;
-            let responseOk = true;
-            let responseCheckDetails = null;
-
-            // Check response body if expectedResponse is defined
-            if (expectedResponse && statusOk) {
-              try {
-                const jsonData = JSON.parse(data);
-                const actual = this.getValueByPath(jsonData, expectedResponse.path);
-                responseOk = actual === expectedResponse.value;
-                responseCheckDetails = {
-                  path: expectedResponse.path,
-                  expected: expectedResponse.value,
-                  actual,
-                  match: responseOk,
-                };
-              } catch (e) {
-                responseOk = false;
-                responseCheckDetails = {
-                  path: expectedResponse.path,
-                  expected: expectedResponse.value,
-                  actual: null,
-                  match: false,
-                  parseError: true
-                };
-              }
-            }
-
-            resolve({
-              success: statusOk && responseOk,
-              statusCode: res.statusCode,
-              statusOk,
-              responseOk,
-              responseCheckDetails: responseCheckDetails,
-              error: null
-            });
-          } catch (e) {
-            resolve({
-              success: false,
-              statusCode: null,
-              statusOk: false,
-              responseOk: null,
-              error: e.message
-            });
-          }
-        });
-      });
-
-      request.on('error', (error) => {
-        clearTimeout(timeoutHandle);
-        resolve({
-          success: false,
-          statusCode: null,
-          statusOk: false,
-          responseOk: null,
-          error: error.message
-        });
-      });
-
-      request.on('timeout', () => {
-        clearTimeout(timeoutHandle);
-        request.destroy();
-        resolve({
-          success: false,
-          statusCode: null,
-          statusOk: false,
-          responseOk: null,
-          error: 'Timeout'
-        });
-      });
-    });
+  await monitor.incidents.load();
+  const incidents = monitor.incidents.list();
+  if (!incidents.length) {
+    console.log(chalk.gray('No incidents recorded'));
+    return;
   }
 
-  /**
-   * Check a single server based on its type
-   */
-  async checkServer(server) {
-    let result;
-
-    try {
-      if (server.type === 'ping') {
-        const isAlive = await this.ping(server.target, server.timeout);
-        result = {
-          name: server.name,
-          type: server.type,
-          target: server.target,
-          status: isAlive ? 'UP' : 'DOWN',
-          statusCode: isAlive ? '✓' : '✗',
-          lastCheck: this.getLocaleTimeString(),
-          error: null,
-          details: null,
-          sshInfo: null
-        };
-      } else if (server.type === 'ssh') {
-        // SSH check for updates and reboot status
-        const sshHost = server.host;
-        const sshPort = server.port || server.username && 22;
-        const sshUser = server.username;
-        const cacheKey = `${sshHost}:${sshPort}:${sshUser}`;
-        const checkInterval = server.sshCheckInterval || 3600000; // 1 hour default
-
-        let sshResult = null;
-
-        // Check if we have cached result and it's still valid
-        if (this.sshCache[cacheKey]) {
-          const timeSinceLastCheck = Date.now() - this.sshCache[cacheKey].timestamp;
-          if (timeSinceLastCheck < checkInterval) {
-            sshResult = this.sshCache[cacheKey].result;
-            sshResult.timestamp = this.sshCache[cacheKey].timestamp
-          }
-        }
-
-        // If no valid cache, perform SSH check
-        if (!sshResult) {
-          sshResult = await this.checkSSH(sshHost, sshPort, sshUser);
-          this.sshCache[cacheKey] = {
-            result: sshResult,
-            timestamp: Date.now()
-          };
-        }
-
-        let status = 'UP';
-        let statusCode = '✓';
-        let error = null;
-
-        if (!sshResult.success) {
-          status = 'DOWN';
-          statusCode = '✗';
-          error = sshResult.error;
-        } else if (sshResult.rebootRequired || sshResult.updates) {
-          status = 'MAINTENANCE';
-          statusCode = '⚠';
-        }
-
-        result = {
-          name: server.name,
-          type: server.type,
-          target: `${sshUser ? `${sshUser}@` : ''}${sshHost}${sshPort ? `:${sshPort}` : ''}`,
-          status: status,
-          statusCode: statusCode,
-          lastCheck: sshResult.lastCheck || this.getLocaleTimeString(),
-          error: error,
-          details: {
-            rebootRequired: sshResult.rebootRequired,
-            updates: sshResult.updates
-          },
-          sshInfo: sshResult
-        };
-      } else if (server.type === 'api') {
-        const apiResult = await this.checkApi(
-          server.target,
-          server.timeout,
-          server.expectedStatus,
-          server.expectedResponse
-        );
-
-        // Determine overall status
-        let status = 'UP';
-        let statusDetails = null;
-
-        if (!apiResult.statusOk && apiResult.responseOk === null) {
-          // Connection failed or status code wrong
-          status = 'DOWN';
-          statusDetails = `HTTP ${apiResult.statusCode || 'N/A'}`;
-        } else if (!apiResult.statusOk) {
-          // Status code mismatch
-          status = 'DOWN';
-          statusDetails = `HTTP ${apiResult.statusCode} (expected ${server.expectedStatus})`;
-        } else if (apiResult.responseOk === false) {
-          // Status ok but response validation failed
-          status = 'UNHEALTHY';
-          statusDetails = `Health check failed`;
-        }
-
-        result = {
-          name: server.name,
-          type: server.type,
-          target: server.target,
-          status: apiResult.success ? 'UP' : status,
-          statusCode: apiResult.statusCode || 'N/A',
-          lastCheck: server.lastCheck || this.getLocaleTimeString(),
-          error: apiResult.error,
-          details: {
-            statusOk: apiResult.statusOk,
-            responseOk: apiResult.responseOk,
-            responseCheckDetails: apiResult.responseCheckDetails,
-            statusDetails: statusDetails
-          },
-          sshInfo: null
-        };
-      } else if (server.type === 'all') {
-        // Unified check: ping + API + optional SSH
-        const pingResult = await this.ping(server.target, server.timeout);
-        const apiResult = await this.checkApi(
-          server.apiTarget,
-          server.timeout,
-          server.expectedStatus,
-          server.expectedResponse
-        );
-
-        // Optional SSH check
-        let sshResult = null;
-        if (server.ssh?.enabled) {
-          const sshHost = server.ssh.host || server.target;
-          const sshPort = server.ssh.port || server.ssh.username && 22;
-          const sshUser = server.ssh.username;
-          const cacheKey = `${sshHost}:${sshPort}:${sshUser}`;
-          const checkInterval = server.ssh.checkInterval || 3600000; // 1 hour default
-
-          // Check if we have cached result and it's still valid
-          if (this.sshCache[cacheKey]) {
-            const timeSinceLastCheck = Date.now() - this.sshCache[cacheKey].timestamp;
-            if (timeSinceLastCheck < checkInterval) {
-              sshResult = this.sshCache[cacheKey].result;
-            }
-          }
-
-          // If no valid cache, perform SSH check
-          if (!sshResult) {
-            sshResult = await this.checkSSH(sshHost, sshPort, sshUser);
-            this.sshCache[cacheKey] = {
-              result: sshResult,
-              timestamp: Date.now()
-            };
-          }
-        }
-
-        // Determine overall status based on checks
-        let status = 'UP';
-        let statusDetails = null;
-        let combinedError = null;
-
-        const pingOk = pingResult;
-
-        if (!pingOk && !apiResult.success) {
-          // Both failed
-          status = 'DOWN';
-          statusDetails = 'Ping failed + API unreachable';
-          combinedError = 'Both ping and API failed';
-        } else if (!pingOk) {
-          // Ping failed but API works
-          status = 'DEGRADED';
-          statusDetails = 'Ping failed but API responding';
-          combinedError = 'Network issue (ping failed)';
-        } else if (!apiResult.statusOk && apiResult.responseOk === null) {
-          // API unreachable but ping works
-          status = 'DEGRADED';
-          statusDetails = 'Ping OK but API unreachable';
-          combinedError = apiResult.error || `HTTP ${apiResult.statusCode || 'N/A'}`;
-        } else if (!apiResult.statusOk) {
-          // Status code wrong but ping works
-          status = 'DEGRADED';
-          statusDetails = `Ping OK, HTTP ${apiResult.statusCode} (expected ${server.expectedStatus})`;
-          combinedError = 'API returned wrong status';
-        } else if (apiResult.responseOk === false) {
-          // Status ok but response validation failed and ping works
-          status = 'UNHEALTHY';
-          statusDetails = 'Ping OK, health check failed';
-          combinedError = 'Health check failed';
-        }
-
-        // Check SSH status if available
-        if (sshResult && !sshResult.success) {
-          if (status === 'UP') {
-            status = 'DEGRADED';
-            statusDetails = 'SSH check failed';
-            combinedError = sshResult.error;
-          }
-        } else if (sshResult && (sshResult.rebootRequired || sshResult.updates)) {
-          if (status === 'UP') {
-            status = 'MAINTENANCE';
-            statusDetails = 'Updates/reboot pending';
-          }
-        }
-
-        result = {
-          name: server.name,
-          type: server.type,
-          target: `${server.target} / ${server.apiTarget}`,
-          status: pingOk && apiResult.success ? status : status,
-          statusCode: pingOk ? '✓' : '✗',
-          lastCheck: server.lastCheck || this.getLocaleTimeString(),
-          error: combinedError,
-          details: {
-            pingOk: pingOk,
-            apiStatusOk: apiResult.statusOk,
-            responseOk: apiResult.responseOk,
-            responseCheckDetails: apiResult.responseCheckDetails,
-            statusDetails: statusDetails,
-            sshRebootRequired: sshResult?.rebootRequired,
-            sshUpdates: sshResult?.updates
-          },
-          sshInfo: sshResult
-        };
-      }
-    } catch (error) {
-      result = {
-        name: server.name,
-        type: server.type,
-        target: server.target,
-        status: 'ERROR',
-        statusCode: 'N/A',
-        lastCheck: this.getLocaleTimeString(),
-        error: error.message,
-        details: null
-      };
-    }
-
-    if (server.groupName) result.groupName = server.groupName
+  const formatTime = ts => new Date(ts).toLocaleString(undefined, { hour12: false });
+  const table = new Table({
+    head: ['#', 'Server', 'Worst Status', 'Started', 'Duration', 'Changes', 'First Error'].map(head => chalk.cyan(head)),
+    style: { head: [], border: ['cyan'], compact: true },
+  });
+  incidents.forEach(incident => table.push([
+    incident.id,
+    chalk.white([...incident.groupPath, incident.name].join(' / ')),
+    monitor.formatStatusLabel(incident.worstStatus),
+    formatTime(incident.startedAt),
+    incident.endedAt ? formatDuration(incident.duration) : chalk.red(`open ${formatDuration(Date.now() - incident.startedAt)}`),
+    incident.timeline.length,
+    chalk.gray(incident.firstError || '-'),
+  ]));
+  console.log(table.toString());
+  console.log(chalk.dim('Export one as a Markdown timeline with --incident <#>'));
+}
 
-    return result;
+/**
+ * Print the Markdown postmortem timeline of an incident
+ */
+async function printPostmortem(monitor, id) {
+  await monitor.incidents.load();
+  const incident = monitor.incidents.get(id);
+  if (!incident) {
+    console.error(chalk.red(`✗ No incident #${id}, run with --incidents to list them`));
+    process.exitCode = 1;
+    return;
   }
+  console.log(formatPostmortem(incident));
+}
 
-  /**
-   * Check all servers
-   */
-  async checkAllServers(servers, group) {
-    // const checkPromises = servers.map(server => this.checkServer(server));
-    const checkPromises = []
-    for (let i = 0; i < servers.length; i++) {
-      if (servers[i].type === 'group') {
-        // this.results.concat(await this.checkAllServers(servers[i].servers, servers[i].name))
-        for (let j = 0; j < servers[i].servers.length; j++) {
-          servers[i].servers[j].groupName = servers[i].name
-          checkPromises.push(this.checkServer(servers[i].servers[j]))
-        }
-        continue
-      }
-
-      checkPromises.push(this.checkServer(servers[i]))
-    }
-
-    this.results = await Promise.all(checkPromises);
+/**
+ * Run every check once, print the results and return the exit code:
+ * 0 when no check is at `failOn` or worse, 1 when one is, 2 for config errors
+ */
+async function runOnce(monitor, { format = 'table', failOn = 'DEGRADED' } = {}) {
+  const { errors, warnings } = monitor.validateConfig();
+  errors.forEach(error => console.error(chalk.red(`✗ ${error}`)));
+  if (errors.length) return 2;
+  if (warnings.length) console.error(chalk.yellow(`${warnings.length} config warning(s), run with --validate for details`));
+
+  if (!monitor.getChecks().length) {
+    console.error(chalk.red('No checks match --only / --type'));
+    return 2;
   }
 
-  /**
-   * Format status with color
-   */
-  formatStatus(status) {
-    switch (status) {
-      case 'UP':
-        return chalk.green('✓ UP');
-      case 'DOWN':
-        return chalk.red('✗ DOWN');
-      case 'UNHEALTHY':
-        return chalk.yellow('⚠ UNHEALTHY');
-      case 'DEGRADED':
-        return chalk.yellow('⚠ DEGRADED');
-      case 'MAINTENANCE':
-        return chalk.blue('ℹ MAINTENANCE');
-      case 'ERROR':
-        return chalk.red('⚠ ERROR');
-      default:
-        return status;
-    }
+  // uptime columns from the history of the monitor, one-shot results are not recorded
+  await monitor.history.load();
+
+  const options = { failOn, duration: null, message: result => monitor.formatDetails(result) };
+  if (format === 'ndjson') monitor.on('check:result', result => console.log(formatNdjsonLine(result, options)));
+
+  const { results, groups, duration } = await monitor.runOnce();
+  const summary = summarize(results, failOn);
+  Object.assign(options, { duration, groups });
+
+  if (format === 'ndjson') groups.forEach(group => console.log(formatNdjsonGroup(group)));
+  if (format === 'json') console.log(formatJson(results, options));
+  if (format === 'junit') console.log(formatJunit(results, options));
+  if (format === 'markdown') console.log(formatMarkdown(results, options));
+  if (format === 'table') {
+    console.log(monitor.renderTable(results));
+    const time = duration < 1000 ? `${duration} ms` : `${(duration / 1000).toFixed(1)}s`;
+    const text = `${summary.up}/${summary.total} servers UP, worst status ${summary.worstStatus} in ${time}`;
+    console.log(summary.ok
+      ? chalk.green(text)
+      : chalk.red(`${text}, ${summary.failed.length} at ${failOn} or worse: ${summary.failed.join(', ')}`));
   }
 
-  /**
-   * Format details for display
-   */
-  formatDetails(result) {
-    if (!result.details) {
-      return result.error || '-';
-    }
-
-    const { statusOk, responseOk, responseCheckDetails, statusDetails, sshRebootRequired, sshUpdates } = result.details;
-
-    // If it's a ping check
-    if (result.type === 'ping') {
-      return result.error || '-';
-    }
-
-    // If it's an SSH check
-    if (result.type === 'ssh') {
-      let details = [];
-      if (result.error) {
-        details.push(result.error);
-      } else {
-        if (result.sshInfo?.rebootRequired) {
-          details.push('⚠ Reboot required');
-        }
-        if (result.sshInfo?.updates) {
-          details.push(result.sshInfo.updates);
-        }
-      }
-      return details.length > 0 ? details.join(' | ') : 'OK';
-    }
-
-    // If it's an API or all check
-    let details = [];
-
-    if (!statusOk) {
-      details.push(statusDetails || `HTTP ${result.statusCode}`);
-    }
-
-    if (responseOk === false && responseCheckDetails) {
-      const { path, expected, actual } = responseCheckDetails;
-      details.push(`${path}: "${actual}" (expected "${expected}")`);
-    }
+  return summary.ok ? 0 : 1;
+}
 
-    // Add SSH info if present
-    if (sshRebootRequired) {
-      details.push('⚠ Reboot required');
-    }
-    if (sshUpdates) {
-      details.push(sshUpdates);
-    }
+/**
+ * Silence a server or group of the monitor running with this config (or remove
+ * the silence) through its HTTP API, returns the exit code
+ */
+async function remoteSilence(monitor, { name, remove = false, duration, reason = null }) {
+  const { enabled, host, port, token } = monitor.httpServer.config;
+  if (!enabled) {
+    console.error(chalk.red('✗ Silencing a running monitor needs its HTTP API, set http.enabled'));
+    return 2;
+  }
 
-    if (result.error) {
-      details.push(result.error);
+  const address = ['0.0.0.0', '::'].includes(host) ? '127.0.0.1' : host;
+  const url = `http://${address.includes(':') ? `[${address}]` : address}:${port}/api/silences`;
+  const headers = { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) };
+  try {
+    const response = remove
+      ? await fetch(`${url}/${encodeURIComponent(name)}`, { method: 'DELETE', headers })
+      : await fetch(url, { method: 'POST', headers, body: JSON.stringify({ name, duration, reason }) });
+    const body = response.status === 204 ? null : await response.json();
+    if (!response.ok) {
+      console.error(chalk.red(`✗ ${body?.error || `HTTP ${response.status}`}`));
+      return 1;
     }
 
-    return details.length > 0 ? details.join(' | ') : '-';
+    console.log(chalk.green(remove
+      ? `Silence of ${name} removed`
+      : `${name} silenced until ${new Date(body.until).toLocaleString(undefined, { hour12: false })}`));
+    return 0;
+  } catch (error) {
+    console.error(chalk.red(`✗ No monitor reachable at ${url}: ${error.cause?.message || error.message}`));
+    return 1;
   }
+}
 
-  /**
-   * Display results in a table
-   */
-  displayTable() {
-    // Clear console
-    console.clear();
-
-    const upCount = this.results.filter(r => ['UP', 'MAINTENANCE'].includes(r.status)).length;
-    const totalCount = this.results.length;
-
-    const dashTable = new Table({
-      head: [{ hAlign: 'center', content: 'SERVER MONITORING DASHBOARD' }],
-      style: { head: ['bold'], border: ['white'], compact: true },
-    });
-    dashTable.push(
-      [chalk[upCount === totalCount ? 'green' : 'red'](`Uptime: ${upCount}/${totalCount} servers UP`)],
-      [`Refresh: every ${this.config.refreshInterval / 1000}s | Next check at ${this.getLocaleTimeString(Date.now() + this.config.refreshInterval)}`],
-    );
-
-    console.log(dashTable.toString());
-    console.log('\n');
-
-    const table = new Table({
-      head: [
-        chalk.cyan('Server Name'),
-        chalk.cyan('Type'),
-        chalk.cyan('Target'),
-        chalk.cyan('Status'),
-        chalk.cyan('Code'),
-        chalk.cyan('Last Check'),
-        chalk.cyan('Details')
-      ],
-      style: {
-        head: [],
-        border: ['cyan'],
-        compact: true,
-      },
-      wordWrap: true,
-      colWidths: this.calculateColumnWidths(),
-    });
+/**
+ * The live dashboard until Ctrl+C, q or SIGTERM, the config is reloaded on SIGHUP
+ */
+async function startDashboard(monitor) {
+  console.log(chalk.yellow('Starting server monitor...'));
+  try {
+    await monitor.start();
+  } catch (error) {
+    if (!error.errors) throw error;
+    printValidation(monitor, error);
+    console.log(chalk.red('Fix the config or run with --validate to check it without starting'));
+    process.exitCode = 1;
+    return;
+  }
 
-    let lastGroupName
-    this.results.forEach(result => {
-      if (result.groupName && lastGroupName !== result.groupName) {
-        table.push([{ colSpan: 7, content: '' }])
-        table.push([{ content: chalk.bold.white(result.groupName), colSpan: 7 }])
-        lastGroupName = result.groupName
-      }
-      else if (lastGroupName && !result.groupName) {
-        lastGroupName = undefined
-        table.push([{ colSpan: 7, content: '' }])
-      }
-
-      table.push([
-        chalk.white(result.name),
-        chalk.gray(result.type),
-        chalk.gray(result.target),
-        this.formatStatus(result.status),
-        chalk.gray(String(result.statusCode)),
-        chalk.gray(result.lastCheck),
-        chalk.gray(this.formatDetails(result))
-      ]);
-    });
+  monitor.on('stop', () => {
+    console.log(chalk.yellow('\n\nShutting down monitor...\n'));
+    process.exit(0);
+  });
+  process.on('SIGHUP', () => monitor.reload('SIGHUP'));
+  process.on('SIGINT', () => monitor.stop());
+  process.on('SIGTERM', () => monitor.stop());
+}
 
-    console.log(table.toString());
+/**
+ * Exit with the message of an unexpected error, e.g. an unreadable history file
+ */
+const exitWith = code => (error) => {
+  console.error(chalk.red(`✗ ${error.message}`));
+  process.exit(code);
+};
+
+const { values: args } = parseArgs({
+  options: {
+    report: { type: 'boolean', default: false },
+    incidents: { type: 'boolean', default: false },
+    incident: { type: 'string' },
+    window: { type: 'string', default: '24h' },
+    validate: { type: 'boolean', default: false },
+    config: { type: 'string', short: 'c', multiple: true, default: [] },
+    once: { type: 'boolean', default: false },
+    format: { type: 'string', default: 'table' },
+    'fail-on': { type: 'string', default: 'DEGRADED' },
+    only: { type: 'string', multiple: true, default: [] },
+    type: { type: 'string', multiple: true, default: [] },
+    silence: { type: 'string' },
+    unsilence: { type: 'string' },
+    for: { type: 'string', default: '30m' },
+    reason: { type: 'string' },
+  },
+});
+
+// --only and --type take repeated flags or comma-separated lists
+const splitList = values => values.flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+const failOn = args['fail-on'].toUpperCase();
+if (!FORMATS.includes(args.format)) {
+  console.error(chalk.red(`✗ --format must be one of ${FORMATS.join(', ')}`));
+  process.exit(2);
+}
+if (!STATUSES.includes(failOn)) {
+  console.error(chalk.red(`✗ --fail-on must be one of ${STATUSES.join(', ')}`));
+  process.exit(2);
+}
+try {
+  parseSilenceDuration(args.for);
+} catch (error) {
+  console.error(chalk.red(`✗ --for: ${error.message}`));
+  process.exit(2);
+}
 
-    console.log(chalk.dim(`\nLast updated: ${this.getLocaleTimeString()}`));
-    console.log(chalk.dim('Press Ctrl+C to exit\n'));
-  }
+// Config files from --config (merged in order) or MONITOR_CONFIG, config/env/local.js without both
+const configFiles = args.config.length
+  ? args.config
+  : (process.env.MONITOR_CONFIG || '').split(',').map(file => file.trim()).filter(Boolean);
+
+// Create and start monitor, the dashboard is only painted in live mode
+let monitor;
+try {
+  const live = !(args.silence || args.unsilence || args.once || args.validate || args.report || args.incidents || args.incident);
+  monitor = new ServerMonitor(loadConfig(configFiles), { only: splitList(args.only), types: splitList(args.type), display: live });
+} catch (error) {
+  console.error(chalk.red(`✗ ${error.message}`));
+  process.exit(args.once ? 2 : 1);
+}
 
-  /**
-   * Start monitoring loop
-   */
-  async start() {
-    console.log(chalk.yellow('Starting server monitor...'));
-
-    // Initial check
-    await this.checkAllServers(this.config.servers);
-    this.displayTable();
-
-    // Set interval for subsequent checks
-    setInterval(async () => {
-      await this.checkAllServers(this.config.servers);
-      this.displayTable();
-    }, this.config.refreshInterval);
-
-    // Handle graceful shutdown
-    process.on('SIGINT', () => {
-      console.log(chalk.yellow('\n\nShutting down monitor...\n'));
-      process.exit(0);
-    });
-  }
+const unknownNames = monitor.unknownFilterNames();
+if (unknownNames.length) {
+  console.error(chalk.red(`✗ --only: no server or group named ${unknownNames.map(name => `"${name}"`).join(', ')}`));
+  process.exit(2);
 }
 
-// Create and start monitor
-const monitor = new ServerMonitor(config);
-monitor.start();
+if (args.silence || args.unsilence) {
+  remoteSilence(monitor, { name: args.silence || args.unsilence, remove: !args.silence, duration: args.for, reason: args.reason }).then((code) => {
+    process.exitCode = code;
+  });
+} else if (args.once) {
+  runOnce(monitor, { format: args.format, failOn }).then((code) => {
+    process.exitCode = code;
+  }, exitWith(2));
+} else if (args.validate) {
+  process.exitCode = printValidation(monitor, monitor.validateConfig()) ? 0 : 1;
+} else if (args.report) {
+  printReport(monitor, args.window).catch(exitWith(1));
+} else if (args.incident) {
+  printPostmortem(monitor, args.incident).catch(exitWith(1));
+} else if (args.incidents) {
+  printIncidents(monitor).catch(exitWith(1));
+} else {
+  startDashboard(monitor).catch(exitWith(1));
+}
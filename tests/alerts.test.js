@@ -0,0 +1,77 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AlertManager, renderTemplate } = require('../lib/alerts');
+
+const result = (status, extra = {}) => ({ name: 'API', type: 'api', target: 'https://api.local', status, ...extra });
+
+describe('AlertManager.processResults', () => {
+  let alerts;
+  let sent;
+  beforeEach(() => {
+    alerts = new AlertManager({ channels: [{ type: 'webhook', url: 'http://127.0.0.1:1/' }] });
+    sent = [];
+    alerts.send = async (channel, event) => { sent.push(event); };
+  });
+
+  const observe = async (...statuses) => {
+    let previous = null;
+    for (const status of statuses) {
+      const current = typeof status === 'string' ? result(status) : status;
+      await alerts.processResults(previous ? [previous] : [], [current]);
+      previous = current;
+    }
+  };
+
+  it('alerts on a failing first result', async () => {
+    await observe('DOWN');
+    assert.deepEqual(sent.map(event => [event.event, event.status, event.previousStatus]), [['alert', 'DOWN', 'PENDING']]);
+  });
+
+  it('does not report an UP first result', async () => {
+    await observe('UP');
+    assert.equal(sent.length, 0);
+  });
+
+  it('resolves an alerted outage once', async () => {
+    await observe('UP', 'DOWN', 'DEGRADED', 'UP', 'UP');
+    assert.deepEqual(sent.map(event => `${event.event} ${event.status}`), ['alert DOWN', 'alert DEGRADED', 'resolved UP']);
+  });
+
+  it('reports entering MAINTENANCE and the recovery from it', async () => {
+    await observe('UP', 'MAINTENANCE', 'UP', 'DOWN', 'MAINTENANCE', 'UP');
+    assert.deepEqual(sent.map(event => `${event.event} ${event.status} ${event.previousStatus}`), [
+      'maintenance MAINTENANCE UP',
+      'resolved UP MAINTENANCE',
+      'alert DOWN UP',
+      'maintenance MAINTENANCE DOWN',
+      'resolved UP MAINTENANCE',
+    ]);
+  });
+
+  it('reports a MAINTENANCE first result, e.g. a certificate about to expire', async () => {
+    await observe(result('MAINTENANCE', { type: 'tls' }));
+    assert.deepEqual(sent.map(event => [event.event, event.previousStatus]), [['maintenance', 'PENDING']]);
+  });
+
+  it('renders the maintenance templates', () => {
+    const event = alerts.buildEvent(result('MAINTENANCE', { error: 'Certificate expires soon' }), 'UP');
+    const channel = { type: 'email' };
+    assert.equal(alerts.renderMessage(channel, event), 'API entered MAINTENANCE (was UP): Certificate expires soon');
+    assert.equal(alerts.renderMessage(channel, event, 'maintenanceSubject'), '[MAINTENANCE] API');
+  });
+
+  it('sends nothing during maintenance windows and compares with the status before', async () => {
+    const masked = result('MAINTENANCE', { maintenance: { status: 'DOWN', previousStatus: 'UP' } });
+    await observe('UP', masked);
+    assert.equal(sent.length, 0);
+    await alerts.processResults([masked], [result('UP')]);
+    assert.equal(sent.length, 0);
+  });
+});
+
+describe('renderTemplate', () => {
+  it('replaces nested placeholders and leaves missing ones empty', () => {
+    assert.equal(renderTemplate('{{name}} {{ details.code }}{{missing}}!', { name: 'API', details: { code: 503 } }), 'API 503!');
+  });
+});
@@ -0,0 +1,170 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeAssertions, evaluateAssertions, resolvePath, OPERATORS } = require('../lib/assertions');
+
+const BODY = JSON.stringify({
+  status: 'ok',
+  version: '2.4.1',
+  uptime: 3600,
+  ratio: '0.75',
+  ready: true,
+  maintenance: null,
+  tags: ['prod', 'eu'],
+  services: [
+    { name: 'db', status: 'up', latency: 12 },
+    { name: 'cache', status: 'down', latency: 250 },
+  ],
+  regions: { eu: { healthy: true }, us: { healthy: false } },
+});
+
+const evaluate = (assertions, response = {}) => evaluateAssertions(normalizeAssertions(assertions), {
+  body: BODY,
+  headers: { 'content-type': 'application/json', 'x-version': '2.4.1' },
+  ...response,
+});
+const matches = assertion => evaluate(assertion).results[0].match;
+
+describe('normalizeAssertions', () => {
+  it('accepts a single assertion or a list with the defaults', () => {
+    assert.deepEqual(normalizeAssertions({ path: 'status', value: 'ok' }), [
+      { source: 'json', operator: 'equals', match: 'all', path: 'status', value: 'ok' },
+    ]);
+    assert.equal(normalizeAssertions([{ path: 'a' }, { source: 'body', operator: 'contains' }]).length, 2);
+    assert.deepEqual(normalizeAssertions(undefined), []);
+  });
+});
+
+describe('resolvePath', () => {
+  const json = JSON.parse(BODY);
+
+  it('follows dot paths into objects and arrays', () => {
+    assert.deepEqual(resolvePath(json, 'services.1.name'), { values: ['cache'], wildcard: false });
+  });
+
+  it('expands "*" over arrays and objects', () => {
+    assert.deepEqual(resolvePath(json, 'services.*.status'), { values: ['up', 'down'], wildcard: true });
+    assert.deepEqual(resolvePath(json, 'regions.*.healthy').values, [true, false]);
+  });
+
+  it('resolves missing paths to undefined, "*" on scalars to nothing', () => {
+    assert.deepEqual(resolvePath(json, 'missing.deeper').values, [undefined]);
+    assert.deepEqual(resolvePath(json, 'status.*').values, []);
+    assert.deepEqual(resolvePath(null, 'a').values, [undefined]);
+  });
+});
+
+describe('OPERATORS', () => {
+  it('equals and notEquals compare strictly', () => {
+    assert.ok(matches({ path: 'status', value: 'ok' }));
+    assert.ok(!matches({ path: 'uptime', value: '3600' }));
+    assert.ok(matches({ path: 'status', operator: 'notEquals', value: 'down' }));
+    assert.ok(matches({ path: 'missing', operator: 'notEquals', value: 'ok' }));
+  });
+
+  it('contains searches strings and arrays', () => {
+    assert.ok(matches({ path: 'version', operator: 'contains', value: '2.4' }));
+    assert.ok(matches({ path: 'tags', operator: 'contains', value: 'eu' }));
+    assert.ok(!matches({ path: 'uptime', operator: 'contains', value: 36 }));
+    assert.ok(!matches({ path: 'missing', operator: 'contains', value: 'x' }));
+  });
+
+  it('regex tests the value as a string', () => {
+    assert.ok(matches({ path: 'version', operator: 'regex', value: '^2\\.\\d+' }));
+    assert.ok(matches({ path: 'uptime', operator: 'regex', value: '^36' }));
+    assert.ok(!matches({ path: 'missing', operator: 'regex', value: '.*' }));
+  });
+
+  it('gt, gte, lt and lte compare numbers and numeric strings', () => {
+    assert.ok(matches({ path: 'uptime', operator: 'gt', value: 60 }));
+    assert.ok(matches({ path: 'uptime', operator: 'gte', value: '3600' }));
+    assert.ok(matches({ path: 'ratio', operator: 'lt', value: 1 }));
+    assert.ok(matches({ path: 'ratio', operator: 'lte', value: 0.75 }));
+    assert.ok(!matches({ path: 'uptime', operator: 'lt', value: 60 }));
+  });
+
+  it('never compares null, booleans, empty or non-numeric values as numbers', () => {
+    assert.ok(!matches({ path: 'maintenance', operator: 'gte', value: 0 }));
+    assert.ok(!matches({ path: 'ready', operator: 'gte', value: 1 }));
+    assert.ok(!matches({ path: 'status', operator: 'lt', value: 10 }));
+    assert.ok(!matches({ path: 'missing', operator: 'lte', value: 0 }));
+    assert.ok(!OPERATORS.gte('', 0));
+    assert.ok(!OPERATORS.gt([5], 1));
+  });
+
+  it('exists checks for a value, with false for its absence', () => {
+    assert.ok(matches({ path: 'ready', operator: 'exists' }));
+    assert.ok(!matches({ path: 'maintenance', operator: 'exists' }));
+    assert.ok(matches({ path: 'missing', operator: 'exists', value: false }));
+  });
+
+  it('type names JSON types, arrays and null', () => {
+    assert.ok(matches({ path: 'uptime', operator: 'type', value: 'number' }));
+    assert.ok(matches({ path: 'tags', operator: 'type', value: 'array' }));
+    assert.ok(matches({ path: 'maintenance', operator: 'type', value: 'null' }));
+    assert.ok(matches({ path: 'regions', operator: 'type', value: 'object' }));
+    assert.ok(!matches({ path: 'ratio', operator: 'type', value: 'number' }));
+  });
+
+  it('length compares the length of arrays and strings', () => {
+    assert.ok(matches({ path: 'tags', operator: 'length', value: 2 }));
+    assert.ok(matches({ path: 'status', operator: 'length', value: 2 }));
+    assert.ok(!matches({ path: 'uptime', operator: 'length', value: 4 }));
+    assert.ok(!matches({ path: 'missing', operator: 'length', value: 0 }));
+  });
+
+  it('oneOf needs a list of allowed values', () => {
+    assert.ok(matches({ path: 'status', operator: 'oneOf', value: ['ok', 'degraded'] }));
+    assert.ok(!matches({ path: 'status', operator: 'oneOf', value: 'ok' }));
+  });
+});
+
+describe('evaluateAssertions', () => {
+  it('matches all wildcard values by default, any with match: "any"', () => {
+    const { results } = evaluate([
+      { path: 'services.*.status', value: 'up' },
+      { path: 'services.*.status', value: 'up', match: 'any' },
+      { path: 'services.*.latency', operator: 'lt', value: 500 },
+    ]);
+    assert.deepEqual(results.map(result => result.match), [false, true, true]);
+    assert.deepEqual(results[0].actual, ['up', 'down']);
+  });
+
+  it('fails a wildcard without values', () => {
+    assert.ok(!matches({ path: 'status.*', operator: 'exists', value: false }));
+  });
+
+  it('reads headers, the body and the HTML title', () => {
+    const { ok, results } = evaluate([
+      { source: 'header', path: 'X-Version', operator: 'regex', value: '^2\\.' },
+      { source: 'body', operator: 'contains', value: 'Welcome' },
+      { source: 'title', value: 'Shop & Co' },
+    ], { body: '<html><head><title>\n  Shop &amp; Co </title></head><body>Welcome</body></html>' });
+    assert.equal(ok, true);
+    assert.equal(results[0].actual, '2.4.1');
+    assert.equal(results[2].actual, 'Shop & Co');
+  });
+
+  it('shortens long bodies in the result', () => {
+    const { results } = evaluate({ source: 'body', operator: 'contains', value: 'x' }, { body: 'x'.repeat(500) });
+    assert.equal(results[0].actual.length, 203);
+  });
+
+  it('reports invalid JSON, sources, operators, paths and patterns without throwing', () => {
+    assert.equal(evaluate({ path: 'status', value: 'ok' }, { body: '<html>' }).results[0].parseError, true);
+
+    const { ok, results } = evaluate([
+      { source: 'cookie', path: 'a' },
+      { path: 'status', operator: 'startsWith', value: 'o' },
+      { operator: 'exists' },
+      { path: 'status', operator: 'regex', value: '(' },
+    ]);
+    assert.equal(ok, false);
+    assert.deepEqual(results.map(result => result.error.split(':')[0]), [
+      'Unknown source "cookie"',
+      'Unknown operator "startsWith"',
+      'A json assertion needs a path',
+      'Invalid regular expression',
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { CheckRegistry, createRegistry } = require('../lib/checks');
+
+const PLUGIN = `module.exports = {
+  name: 'redis-info',
+  schema: { port: { type: 'number', default: 6379 } },
+  async run(server) {
+    return { name: server.name, type: 'redis-info', target: server.target, status: 'UP' };
+  },
+  target: server => server.target + ':' + (server.port || 6379),
+};
+`;
+
+describe('CheckRegistry', () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-plugins-'));
+    fs.writeFileSync(path.join(dir, 'redis-info.js'), PLUGIN);
+    fs.writeFileSync(path.join(dir, 'pair.js'), `module.exports = [
+      { name: 'one', run: async () => ({}) },
+      { name: 'two', run: async () => ({}) },
+    ];\n`);
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('registers the built-in check types', () => {
+    assert.deepEqual(createRegistry().names(), ['ping', 'ssh', 'api', 'tcp', 'dns', 'tls', 'all']);
+  });
+
+  it('loads plugins from paths relative to the working directory', (t) => {
+    const cwd = process.cwd();
+    process.chdir(dir);
+    t.after(() => process.chdir(cwd));
+    const registry = createRegistry(['./redis-info.js']);
+
+    assert.equal(typeof registry.get('redis-info').run, 'function');
+    assert.deepEqual(registry.defaults('redis-info'), { port: 6379 });
+    assert.equal(registry.target({ type: 'redis-info', target: 'cache.internal' }), 'cache.internal:6379');
+    assert.deepEqual(registry.validate({ name: 'Cache', type: 'redis-info', target: 'cache', port: 6380 }).errors, []);
+  });
+
+  it('loads every plugin of a module exporting an array, from an absolute path', () => {
+    const registry = createRegistry([path.join(dir, 'pair.js')]);
+    assert.deepEqual(registry.names().slice(-2), ['one', 'two']);
+  });
+
+  it('rejects plugins without a name or run function, the group type and duplicates', () => {
+    const registry = new CheckRegistry();
+    assert.throws(() => registry.register({ run() {} }, './nameless.js'), /Check plugin \.\/nameless\.js has no name/);
+    assert.throws(() => registry.register({ name: 'idle' }), /"idle" has no run function/);
+    assert.throws(() => registry.register({ name: 'group', run() {} }), /reserved for server groups/);
+    assert.throws(() => createRegistry([path.join(dir, 'redis-info.js'), path.join(dir, 'redis-info.js')]), /"redis-info" is already registered/);
+  });
+
+  it('reports unknown check types and the options of a type', () => {
+    const registry = createRegistry();
+    assert.match(registry.validate({ name: 'X', type: 'smtp' }).errors[0].message, /"smtp" is not a known check type/);
+    assert.equal(registry.validate({ name: 'X' }).errors[0].message, 'is required');
+    assert.equal(registry.target({ type: 'tcp', target: 'db.internal', port: 5432 }), 'db.internal:5432');
+  });
+});
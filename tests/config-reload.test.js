@@ -0,0 +1,121 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { ServerMonitor } = require('../lib/monitor');
+const { ConfigWatcher, diffChecks } = require('../lib/config-watcher');
+const { loadConfig } = require('../config');
+
+const SERVERS = [
+  { name: 'Gateway', type: 'ping', target: '10.0.0.1', timeout: 1000 },
+  { name: 'API', type: 'api', target: 'http://api.internal/health', timeout: 1000, expectedStatus: 200 },
+  { name: 'Old', type: 'tcp', target: '10.0.0.2', port: 22, timeout: 1000 },
+];
+
+describe('diffChecks', () => {
+  it('lists added, removed and changed checks by name', () => {
+    const next = [
+      SERVERS[0],
+      { ...SERVERS[1], expectedStatus: 204 },
+      { name: 'New', type: 'ping', target: '10.0.0.3', timeout: 1000 },
+    ];
+    assert.deepEqual(diffChecks(SERVERS, next), { added: ['New'], removed: ['Old'], changed: ['API'] });
+  });
+
+  it('compares RegExps by their source', () => {
+    const check = { name: 'API', expectedResponse: /ok/ };
+    assert.deepEqual(diffChecks([check], [{ name: 'API', expectedResponse: /ok/ }]).changed, []);
+    assert.deepEqual(diffChecks([check], [{ name: 'API', expectedResponse: /ok/i }]).changed, ['API']);
+  });
+});
+
+describe('ServerMonitor.reload', () => {
+  let directory;
+  let file;
+  const write = config => fs.writeFileSync(file, JSON.stringify({
+    history: { enabled: false },
+    incidents: { enabled: false },
+    ...config,
+  }));
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-reload-'));
+    file = path.join(directory, 'monitor.json');
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const start = () => {
+    write({ servers: SERVERS });
+    const monitor = new ServerMonitor(loadConfig([file]));
+    monitor.checks = monitor.getChecks();
+    monitor.results = monitor.checks.map(check => ({ name: check.name, status: 'UP' }));
+    return monitor;
+  };
+
+  it('adds, removes and changes checks and keeps the results of the others', () => {
+    const monitor = start();
+    const reloads = [];
+    monitor.on('config:reload', status => reloads.push(status));
+
+    write({
+      servers: [
+        SERVERS[0],
+        { ...SERVERS[1], expectedStatus: 204 },
+        { name: 'New', type: 'ping', target: '10.0.0.3', timeout: 1000 },
+      ],
+    });
+    assert.equal(monitor.reload('test'), true);
+
+    assert.deepEqual(monitor.checks.map(check => check.name), ['Gateway', 'API', 'New']);
+    assert.equal(monitor.checks[1].expectedStatus, 204);
+    assert.deepEqual(monitor.results.map(result => result.name), ['Gateway', 'API']);
+    assert.equal(reloads.length, 1);
+    assert.deepEqual(reloads[0].changes, { added: ['New'], removed: ['Old'], changed: ['API'], restartNeeded: [] });
+    assert.equal(reloads[0].reason, 'test');
+  });
+
+  it('lists settings that only take effect after a restart', () => {
+    const monitor = start();
+    write({ servers: SERVERS, http: { enabled: true, port: 9200 } });
+    assert.equal(monitor.reload(), true);
+    assert.deepEqual(monitor.reloadStatus.changes.restartNeeded, ['http']);
+  });
+
+  it('rejects an invalid config and keeps running the previous one', () => {
+    const monitor = start();
+    const checks = monitor.checks;
+
+    write({ servers: [...SERVERS, { name: 'Broken', type: 'nope' }] });
+    assert.equal(monitor.reload('file changed'), false);
+    assert.equal(monitor.checks, checks);
+    assert.ok(monitor.reloadStatus.errors.length > 0);
+    assert.equal(monitor.reloadStatus.changes, undefined);
+
+    fs.writeFileSync(file, '{ "servers": [');
+    assert.equal(monitor.reload(), false);
+    assert.equal(monitor.reloadStatus.errors.length, 1);
+    assert.deepEqual(monitor.config.servers, SERVERS);
+  });
+});
+
+describe('ConfigWatcher', () => {
+  it('calls onChange once after a burst of writes to a watched file', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-watch-'));
+    const file = path.join(directory, 'monitor.json');
+    fs.writeFileSync(file, '{}');
+    let calls = 0;
+    const watcher = new ConfigWatcher([file], () => { calls++; }, { debounce: 50 });
+    t.after(() => {
+      watcher.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+    watcher.start();
+
+    fs.writeFileSync(path.join(directory, 'other.json'), '{}');
+    for (let i = 0; i < 3; i++) fs.writeFileSync(file, `{"refreshInterval": ${i}}`);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(calls, 1);
+  });
+});
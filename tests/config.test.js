@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { defaultConfig, deepMerge } = require('../config');
+
+const mergeFiles = (...files) => {
+  const config = structuredClone(defaultConfig);
+  const merge = { notices: [], origins: new Map(), file: null };
+  for (const [file, source] of files) {
+    merge.file = file;
+    deepMerge(config, source, merge);
+  }
+  return { config, notices: merge.notices };
+};
+
+describe('deepMerge', () => {
+  it('merges objects key by key', () => {
+    const { config } = mergeFiles(['base.yaml', { history: { retention: '7d' } }]);
+    assert.equal(config.history.retention, '7d');
+    assert.equal(config.history.file, defaultConfig.history.file);
+  });
+
+  it('replaces the example servers of the defaults without a notice', () => {
+    const servers = [{ name: 'API', type: 'api', target: 'https://api.local' }];
+    const { config, notices } = mergeFiles(['base.yaml', { servers }]);
+    assert.deepEqual(config.servers, servers);
+    assert.deepEqual(notices, []);
+  });
+
+  it('reports arrays replacing the ones of an earlier file', () => {
+    const { notices } = mergeFiles(
+      ['base.yaml', { servers: [{ name: 'A' }, { name: 'B' }] }],
+      ['production.yaml', { servers: [{ name: 'C' }] }],
+    );
+    assert.deepEqual(notices, ['servers in production.yaml replaces the 2 entries of base.yaml instead of adding to them']);
+  });
+
+  it('replaces RegExps and empty arrays silently', () => {
+    const { config, notices } = mergeFiles(['a.js', { alerts: { channels: [{ type: 'webhook' }] }, expect: /a/ }], ['b.js', { expect: /b/ }]);
+    assert.deepEqual(config.expect, /b/);
+    assert.equal(config.alerts.channels.length, 1);
+    assert.deepEqual(notices, []);
+  });
+});
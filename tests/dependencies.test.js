@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+
+const {
+  dependencyGraph,
+  findCycles,
+  dependencyLevels,
+  blockingDependency,
+} = require('../lib/dependencies');
+const { resolveGroups } = require('../lib/groups');
+const { ServerMonitor } = require('../lib/monitor');
+const { defaultConfig } = require('../config');
+
+const SERVERS = [
+  { name: 'Gateway', type: 'ping', target: '10.0.0.1' },
+  { name: 'Core Switch', type: 'ping', target: '10.0.0.2', dependsOn: ['Gateway'] },
+  {
+    name: 'Internal',
+    type: 'group',
+    dependsOn: ['Core Switch'],
+    servers: [
+      { name: 'DB', type: 'tcp', target: '10.0.1.5', port: 5432 },
+      { name: 'Wiki', type: 'api', target: 'https://wiki.internal/health' },
+    ],
+  },
+  { name: 'Reports', type: 'api', target: 'https://reports.internal/', dependsOn: ['Internal'] },
+  { name: 'Standalone', type: 'ping', target: '10.0.0.9' },
+];
+const names = checks => checks.map(check => check.name);
+
+describe('dependencyGraph and findCycles', () => {
+  it('points checks to their dependencies and groups to their members', () => {
+    const { checks, groups } = resolveGroups(SERVERS);
+    const graph = dependencyGraph(checks, groups);
+    assert.deepEqual(graph.get('DB'), ['Core Switch']);
+    assert.deepEqual(graph.get('Internal'), ['DB', 'Wiki']);
+    assert.deepEqual(graph.get('Gateway'), []);
+    assert.deepEqual(findCycles(graph), []);
+  });
+
+  it('finds cycles through servers and groups', () => {
+    const servers = structuredClone(SERVERS);
+    servers[1].dependsOn = ['Gateway', 'Reports'];
+    const { checks, groups } = resolveGroups(servers);
+    assert.deepEqual(findCycles(dependencyGraph(checks, groups)), [
+      ['Core Switch', 'Reports', 'Internal', 'DB', 'Core Switch'],
+      ['Core Switch', 'Reports', 'Internal', 'Wiki', 'Core Switch'],
+    ]);
+  });
+
+  it('finds a check depending on itself and ignores unknown names', () => {
+    const graph = new Map([['A', ['A', 'Unknown']], ['B', ['C']], ['C', ['B']]]);
+    assert.deepEqual(findCycles(graph), [['A', 'A'], ['B', 'C', 'B']]);
+  });
+});
+
+describe('dependencyLevels', () => {
+  it('orders checks after their dependencies, also through groups', () => {
+    const { checks, groups } = resolveGroups(SERVERS);
+    assert.deepEqual(dependencyLevels(checks, groups).map(names), [
+      ['Gateway', 'Standalone'],
+      ['Core Switch'],
+      ['DB', 'Wiki'],
+      ['Reports'],
+    ]);
+  });
+
+  it('keeps checks with unknown or cyclic dependencies in the first level', () => {
+    const checks = [{ name: 'A', dependsOn: ['B'] }, { name: 'B', dependsOn: ['A'] }, { name: 'C', dependsOn: ['Unknown'] }];
+    assert.deepEqual(dependencyLevels(checks, []).map(names).flat().sort(), ['A', 'B', 'C']);
+  });
+});
+
+describe('blockingDependency', () => {
+  const statuses = {
+    Gateway: { status: 'DOWN' },
+    'Core Switch': { status: 'UNREACHABLE', rootCause: 'Gateway', rootStatus: 'DOWN' },
+    Wiki: { status: 'UNHEALTHY' },
+    Maintained: { status: 'MAINTENANCE' },
+  };
+  const lookup = name => statuses[name] || null;
+
+  it('is null while all dependencies are available or unknown', () => {
+    assert.equal(blockingDependency(['Wiki', 'Maintained', 'Pending'], lookup), null);
+    assert.equal(blockingDependency(undefined, lookup), null);
+  });
+
+  it('names the dependency that is down as its own root cause', () => {
+    assert.deepEqual(blockingDependency(['Wiki', 'Gateway'], lookup), {
+      name: 'Gateway', status: 'DOWN', rootCause: 'Gateway', rootStatus: 'DOWN',
+    });
+  });
+
+  it('passes on the root cause of an unreachable dependency', () => {
+    assert.deepEqual(blockingDependency(['Core Switch'], lookup), {
+      name: 'Core Switch', status: 'UNREACHABLE', rootCause: 'Gateway', rootStatus: 'DOWN',
+    });
+  });
+});
+
+describe('UNREACHABLE propagation', () => {
+  it('reports the dependents of a DOWN check as UNREACHABLE with its target and root cause', async () => {
+    // a port that was just free refuses connections right away
+    const server = net.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+
+    const config = structuredClone(defaultConfig);
+    config.servers = [
+      { name: 'Gateway', type: 'tcp', target: '127.0.0.1', port, timeout: 1000 },
+      { name: 'Switch', type: 'tcp', target: '127.0.0.1', port: port + 1, timeout: 1000, dependsOn: ['Gateway'] },
+      {
+        name: 'Internal',
+        type: 'group',
+        dependsOn: ['Switch'],
+        servers: [
+          { name: 'DB', type: 'tls', target: 'db.internal', timeout: 1000 },
+          { name: 'Cache', type: 'dns', target: 'cache.internal', recordType: 'aaaa', timeout: 1000 },
+        ],
+      },
+    ];
+    const monitor = new ServerMonitor(config);
+    const started = [];
+    monitor.on('check:start', check => started.push(check.name));
+
+    const { results, groups } = await monitor.runOnce();
+    const byName = Object.fromEntries(results.map(result => [result.name, result]));
+
+    assert.deepEqual(started, ['Gateway']);
+    assert.equal(byName.Gateway.status, 'DOWN');
+    assert.equal(byName.Switch.status, 'UNREACHABLE');
+    assert.equal(byName.Switch.target, `127.0.0.1:${port + 1}`);
+    assert.deepEqual(byName.Switch.dependency, {
+      name: 'Gateway', status: 'DOWN', rootCause: 'Gateway', rootStatus: 'DOWN', previousStatus: null,
+    });
+    assert.deepEqual([byName.DB.target, byName.Cache.target], ['db.internal:443', 'cache.internal AAAA']);
+    assert.deepEqual([byName.DB.dependency.name, byName.DB.dependency.rootCause], ['Switch', 'Gateway']);
+    assert.equal(groups.find(group => group.name === 'Internal').status, 'UNREACHABLE');
+  });
+});
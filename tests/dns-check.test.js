@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('node:dgram');
+
+const { checkDns } = require('../lib/dns-check');
+const dns = require('../lib/checks/dns');
+const all = require('../lib/checks/all');
+
+const TYPES = { A: 1, NS: 2, CNAME: 5, MX: 15, TXT: 16, AAAA: 28 };
+
+const encodeName = name => Buffer.concat([
+  ...name.split('.').map(label => Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])),
+  Buffer.from([0]),
+]);
+const uint16 = value => Buffer.from([value >> 8, value & 0xff]);
+const rdata = {
+  A: ip => Buffer.from(ip.split('.').map(Number)),
+  TXT: text => Buffer.concat([Buffer.from([text.length]), Buffer.from(text)]),
+  MX: ([priority, exchange]) => Buffer.concat([uint16(priority), encodeName(exchange)]),
+};
+
+/**
+ * UDP resolver answering from `zone` ({ name: { TYPE: [values] } }), unknown names are NXDOMAIN
+ */
+function fakeResolver(zone) {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (query, client) => {
+    let offset = 12;
+    const labels = [];
+    while (query[offset]) {
+      labels.push(query.toString('ascii', offset + 1, offset + 1 + query[offset]));
+      offset += query[offset] + 1;
+    }
+    const name = labels.join('.').toLowerCase();
+    const type = Object.keys(TYPES).find(key => TYPES[key] === query.readUInt16BE(offset + 1));
+    const values = zone[name]?.[type] || [];
+
+    const answers = values.map((value) => {
+      const data = rdata[type](value);
+      // the owner name points to the question at offset 12
+      return Buffer.concat([uint16(0xc00c), uint16(TYPES[type]), uint16(1), Buffer.from([0, 0, 0, 60]), uint16(data.length), data]);
+    });
+    const header = Buffer.concat([
+      query.subarray(0, 2),
+      uint16(0x8180 | (zone[name] ? 0 : 3)),
+      uint16(1), uint16(answers.length), uint16(0), uint16(0),
+    ]);
+    socket.send(Buffer.concat([header, query.subarray(12, offset + 5), ...answers]), client.port, client.address);
+  });
+  return socket;
+}
+
+const ZONE = {
+  'api.internal': { A: ['10.0.1.100', '10.0.1.101'] },
+  'example.com': {
+    TXT: ['v=spf1 -all', 'site-verification=abc123'],
+    MX: [[10, 'mx1.example.com'], [20, 'mx2.example.com']],
+  },
+};
+
+describe('checkDns', () => {
+  const socket = fakeResolver(ZONE);
+  let resolver;
+  before(() => new Promise(resolve => socket.bind(0, '127.0.0.1', () => {
+    resolver = `127.0.0.1:${socket.address().port}`;
+    resolve();
+  })));
+  after(() => socket.close());
+
+  const lookup = (name, options) => checkDns(name, { resolver, timeout: 1000, ...options });
+
+  it('resolves records against the given resolver and times the lookup', async () => {
+    const result = await lookup('api.internal');
+    assert.equal(result.success, true);
+    assert.deepEqual(result.records, ['10.0.1.100', '10.0.1.101']);
+    assert.equal(result.recordsOk, null);
+    assert.equal(typeof result.duration, 'number');
+  });
+
+  it('needs one matching record by default, every record with match: "all"', async () => {
+    assert.equal((await lookup('api.internal', { expectedRecords: '10.0.1.100' })).recordsOk, true);
+    assert.equal((await lookup('api.internal', { expectedRecords: ['10.0.1.100', '10.0.1.9'] })).recordsOk, false);
+    assert.equal((await lookup('api.internal', { expectedRecords: /^10\.0\.1\./ })).recordsOk, true);
+    assert.equal((await lookup('api.internal', { expectedRecords: { operator: 'regex', value: '\\.100$', match: 'all' } })).recordsOk, false);
+  });
+
+  it('joins TXT records and writes MX records as "priority exchange"', async () => {
+    const txt = await lookup('example.com', { recordType: 'txt', expectedRecords: { operator: 'contains', value: 'site-verification=abc123' } });
+    assert.equal(txt.recordType, 'TXT');
+    assert.equal(txt.recordsOk, true);
+    assert.deepEqual((await lookup('example.com', { recordType: 'MX' })).records, ['10 mx1.example.com', '20 mx2.example.com']);
+  });
+
+  it('reports unknown names, missing records and unsupported types', async () => {
+    assert.equal((await lookup('missing.internal')).error, 'NXDOMAIN missing.internal');
+    assert.equal((await lookup('example.com', { recordType: 'A' })).error, 'no A records for example.com');
+    assert.equal((await lookup('example.com', { recordType: 'SRV' })).error, 'Unsupported record type "SRV"');
+  });
+
+  it('is DOWN when the lookup fails and UNHEALTHY with unexpected records', async () => {
+    const server = { name: 'DNS', type: 'dns', resolver, timeout: 1000 };
+    const down = await dns.run({ ...server, target: 'missing.internal' });
+    assert.deepEqual([down.status, down.target, down.details.statusDetails], ['DOWN', 'missing.internal A', 'DNS: NXDOMAIN missing.internal']);
+
+    const unhealthy = await dns.run({ ...server, target: 'api.internal', expectedRecords: '10.0.9.9' });
+    assert.equal(unhealthy.status, 'UNHEALTHY');
+    assert.equal(dns.formatDetails(unhealthy), 'DNS: A records: ["10.0.1.100","10.0.1.101"] (expected "10.0.9.9")');
+
+    const up = await dns.run({ ...server, target: 'api.internal', expectedRecords: '10.0.1.101' });
+    assert.equal(dns.formatDetails(up), '10.0.1.100, 10.0.1.101');
+  });
+
+  it('validates the record type', () => {
+    assert.deepEqual(dns.validate({ recordType: 'aaaa' }), []);
+    assert.deepEqual(dns.validate({ recordType: 'PTR' }), ['recordType must be one of A, AAAA, CNAME, MX, TXT, NS']);
+  });
+});
+
+describe('all check DNS leg', () => {
+  const legs = {
+    ping: { status: 'UP', details: { pingLatency: 1 } },
+    api: { status: 'DOWN', statusCode: 'N/A', error: 'getaddrinfo ENOTFOUND web.internal', details: { statusOk: false, responseOk: null } },
+    dns: { status: 'DOWN', error: 'NXDOMAIN web.internal', details: { statusDetails: 'DNS: NXDOMAIN web.internal' } },
+  };
+
+  it('reports a DNS failure as its own reason and looks up the apiTarget host by default', async () => {
+    let dnsOptions;
+    const ctx = { run: async (type, options) => { if (type === 'dns') dnsOptions = options; return legs[type]; } };
+    const result = await all.run({
+      name: 'Web', type: 'all', target: '10.0.0.1', apiTarget: 'https://web.internal/health', timeout: 1000, dns: { enabled: true },
+    }, ctx);
+
+    assert.equal(dnsOptions.target, 'web.internal');
+    assert.equal(result.status, 'DOWN');
+    assert.equal(result.details.statusDetails, 'DNS: NXDOMAIN web.internal + Ping OK but API unreachable');
+  });
+});
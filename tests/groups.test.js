@@ -0,0 +1,129 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeDefaults, resolveGroups, pruneGroups, groupStatuses } = require('../lib/groups');
+
+const SERVERS = [
+  { name: 'Gateway', type: 'ping', target: '10.0.0.1' },
+  {
+    name: 'Prod',
+    type: 'group',
+    defaults: { timeout: 2000, ssh: { enabled: true, username: 'ops' } },
+    dependsOn: ['Gateway'],
+    servers: [
+      { name: 'API', type: 'api', target: 'https://api.internal' },
+      {
+        name: 'Web',
+        type: 'group',
+        status: { rule: 'quorum' },
+        defaults: { ssh: { port: 2222 } },
+        servers: [
+          { name: 'Web 1', type: 'all', target: '10.0.1.1', ssh: { username: 'web' } },
+          { name: 'Web 2', type: 'all', target: '10.0.1.2', timeout: 500, dependsOn: ['API'] },
+          { name: 'Web 3', type: 'all', target: '10.0.1.3' },
+        ],
+      },
+    ],
+  },
+];
+
+const byName = (checks, name) => checks.find(check => check.name === name);
+
+describe('mergeDefaults', () => {
+  it('merges plain objects one level deep and replaces everything else', () => {
+    assert.deepEqual(
+      mergeDefaults({ ssh: { port: 22, username: 'root' }, headers: { a: '1' }, tags: ['a'] }, { ssh: { port: 2222 }, tags: ['b'] }, null),
+      { ssh: { port: 2222, username: 'root' }, headers: { a: '1' }, tags: ['b'] },
+    );
+  });
+});
+
+describe('resolveGroups', () => {
+  const { checks, groups } = resolveGroups(SERVERS, () => ({ timeout: 1000, retries: 0 }));
+
+  it('flattens nested groups into checks with their group path', () => {
+    assert.deepEqual(checks.map(check => check.name), ['Gateway', 'API', 'Web 1', 'Web 2', 'Web 3']);
+    assert.equal(byName(checks, 'Gateway').groupName, undefined);
+    assert.equal(byName(checks, 'Web 1').groupName, 'Web');
+    assert.deepEqual(byName(checks, 'Web 1').groupPath, ['Prod', 'Web']);
+    assert.deepEqual(groups.map(group => [group.name, group.parent, group.depth, group.checks, group.subgroups]), [
+      ['Prod', null, 0, ['API'], ['Web']],
+      ['Web', 'Prod', 1, ['Web 1', 'Web 2', 'Web 3'], []],
+    ]);
+  });
+
+  it('inherits the defaults of every enclosing group, the server itself wins', () => {
+    assert.equal(byName(checks, 'Gateway').timeout, 1000);
+    assert.equal(byName(checks, 'API').timeout, 2000);
+    assert.equal(byName(checks, 'Web 2').timeout, 500);
+    assert.deepEqual(byName(checks, 'Web 1').ssh, { enabled: true, username: 'web', port: 2222 });
+    assert.deepEqual(byName(checks, 'Web 3').ssh, { enabled: true, username: 'ops', port: 2222 });
+  });
+
+  it('adds the dependencies of a group to its members', () => {
+    assert.deepEqual(byName(checks, 'API').dependsOn, ['Gateway']);
+    assert.deepEqual(byName(checks, 'Web 2').dependsOn, ['Gateway', 'API']);
+    assert.equal(byName(checks, 'Gateway').dependsOn, undefined);
+  });
+
+  it('leaves the server list unchanged', () => {
+    assert.equal(SERVERS[1].servers[1].servers[0].ssh.port, undefined);
+    assert.deepEqual(SERVERS[1].servers[1].status, { rule: 'quorum' });
+  });
+});
+
+describe('pruneGroups', () => {
+  it('keeps the groups of the given checks', () => {
+    const { groups } = resolveGroups(SERVERS);
+    assert.deepEqual(pruneGroups(groups, ['API']).map(group => [group.name, group.subgroups]), [['Prod', []]]);
+    assert.deepEqual(pruneGroups(groups, ['Web 3']).map(group => [group.name, group.checks]), [['Prod', []], ['Web', ['Web 3']]]);
+    assert.deepEqual(pruneGroups(groups, ['Gateway']), []);
+  });
+});
+
+describe('groupStatuses', () => {
+  const group = (status, checks) => ({ name: 'Pool', path: ['Pool'], parent: null, depth: 0, status, checks, subgroups: [] });
+  const statusOf = (rule, statuses) => groupStatuses(
+    [group(rule, statuses.map((status, index) => `S${index}`))],
+    statuses.map((status, index) => ({ name: `S${index}`, status })).filter(result => result.status !== 'PENDING'),
+  ).get('Pool');
+
+  it('takes the worst member status by default, MAINTENANCE counts as up', () => {
+    assert.equal(statusOf({ rule: 'worst' }, ['UP', 'MAINTENANCE']).status, 'MAINTENANCE');
+    const down = statusOf({ rule: 'worst' }, ['UP', 'DOWN', 'DEGRADED']);
+    assert.deepEqual([down.status, down.up, down.total, down.summary], ['DOWN', 1, 3, '1/3 UP']);
+  });
+
+  it('is DEGRADED while a quorum is up and the worst status without one', () => {
+    assert.equal(statusOf({ rule: 'quorum' }, ['UP', 'UP', 'DOWN']).status, 'DEGRADED');
+    assert.equal(statusOf({ rule: 'quorum' }, ['UP', 'DOWN', 'DOWN']).status, 'DOWN');
+    assert.equal(statusOf({ rule: 'quorum', min: 1 }, ['UP', 'DOWN', 'DOWN']).summary, '1/3 UP (quorum 1)');
+    assert.equal(statusOf({ rule: 'quorum' }, ['UP', 'UP']).status, 'UP');
+  });
+
+  it('rounds percentages up to whole members', () => {
+    const failed = statusOf({ rule: 'percentage', min: 60 }, ['UP', 'UP', 'DOWN', 'ERROR']);
+    assert.deepEqual([failed.status, failed.required, failed.summary], ['ERROR', 3, '2/4 UP (min 60%)']);
+    assert.equal(statusOf({ rule: 'percentage', min: 60 }, ['UP', 'UP', 'UP', 'DOWN', 'ERROR']).status, 'DEGRADED');
+    assert.equal(statusOf({ rule: 'percentage' }, ['UP', 'DEGRADED']).status, 'DEGRADED');
+  });
+
+  it('is PENDING without results and ignores pending members', () => {
+    assert.equal(statusOf({ rule: 'worst' }, ['PENDING', 'PENDING']).status, 'PENDING');
+    const partial = statusOf({ rule: 'quorum' }, ['UP', 'PENDING', 'PENDING']);
+    assert.deepEqual([partial.status, partial.pending], ['UP', 2]);
+  });
+
+  it('counts subgroups as members with their aggregate status', () => {
+    const { groups } = resolveGroups(SERVERS);
+    const statuses = groupStatuses(groups, [
+      { name: 'API', status: 'UP' },
+      { name: 'Web 1', status: 'UP' },
+      { name: 'Web 2', status: 'UP' },
+      { name: 'Web 3', status: 'DOWN' },
+    ]);
+    assert.deepEqual([...statuses.keys()], ['Prod', 'Web']);
+    assert.equal(statuses.get('Web').summary, '2/3 UP (quorum 2)');
+    assert.deepEqual([statuses.get('Prod').status, statuses.get('Prod').summary], ['DEGRADED', '1/2 UP']);
+  });
+});
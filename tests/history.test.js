@@ -0,0 +1,61 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { HistoryStore } = require('../lib/history');
+
+const DAY = 86400000;
+const lines = file => fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+describe('HistoryStore', () => {
+  let dir;
+  let file;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-history-'));
+    file = path.join(dir, 'history.jsonl');
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const write = records => fs.writeFileSync(file, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+
+  it('does not rewrite the file on the first record after loading it', async () => {
+    write([
+      { ts: Date.now() - 40 * DAY, name: 'API', status: 'UP' },
+      { ts: Date.now() - 60000, name: 'API', status: 'DOWN' },
+    ]);
+    const history = new HistoryStore({ file, retention: '30d' });
+    await history.load();
+    await history.record([{ name: 'API', type: 'api', status: 'UP', latency: 20 }]);
+
+    assert.equal(history.lastError, null);
+    assert.deepEqual(lines(file).map(record => record.status), ['UP', 'DOWN', 'UP']);
+    assert.equal(history.uptime('API', '24h'), 50);
+  });
+
+  it('drops expired records once the compaction interval passed', async () => {
+    write([{ ts: Date.now() - 40 * DAY, name: 'API', status: 'UP' }]);
+    const history = new HistoryStore({ file, retention: '30d', compactInterval: '1h' });
+    await history.load();
+    history.lastCompaction -= 3600000;
+    await history.record([{ name: 'API', type: 'api', status: 'DOWN' }]);
+
+    assert.deepEqual(lines(file).map(record => record.status), ['DOWN']);
+  });
+
+  it('reports no SLA result for servers without counted checks', async () => {
+    write([
+      { ts: Date.now() - 60000, name: 'API', status: 'UP', latency: 10 },
+      { ts: Date.now() - 60000, name: 'DB', status: 'MAINTENANCE', maintenance: true },
+      { ts: Date.now() - 60000, name: 'Cache', status: 'UNREACHABLE' },
+    ]);
+    const report = await new HistoryStore({ file }).report('24h');
+
+    assert.deepEqual(report.servers.map(server => [server.name, server.uptime, server.slaMet]), [
+      ['API', 100, true],
+      ['DB', null, null],
+      ['Cache', null, null],
+    ]);
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { httpRequest } = require('../lib/http-client');
+const api = require('../lib/checks/api');
+
+/**
+ * Server answering every request with its method, url, headers and body,
+ * /redirect/<code>?to=<url> answers with a redirect and /large with 10 KB
+ */
+function echoServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const redirect = req.url.match(/^\/redirect\/(\d+)\?to=(.+)$/);
+      if (redirect) {
+        res.writeHead(Number(redirect[1]), { Location: decodeURIComponent(redirect[2]) });
+        return res.end();
+      }
+      if (req.url === '/large') return res.end('x'.repeat(10240));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(request));
+    });
+  });
+  return { server, requests };
+}
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+
+describe('httpRequest', () => {
+  const echo = echoServer();
+  const other = echoServer();
+  let base;
+  let otherBase;
+  before(async () => {
+    base = await listen(echo.server);
+    otherBase = await listen(other.server);
+  });
+  after(() => {
+    echo.server.close();
+    other.server.close();
+  });
+
+  const request = async (path, options) => {
+    const response = await httpRequest(`${base}${path}`, { timeout: 2000, ...options });
+    return { ...response, echo: response.body.startsWith('{') ? JSON.parse(response.body) : null };
+  };
+
+  it('sends the method, headers, query and a JSON body', async () => {
+    const { statusCode, echo: sent } = await request('/health?a=1', {
+      method: 'put',
+      headers: { 'X-Request-Id': 'abc' },
+      query: { b: '2 3' },
+      json: { ping: true },
+    });
+    assert.equal(statusCode, 200);
+    assert.equal(sent.method, 'PUT');
+    assert.equal(sent.url, '/health?a=1&b=2+3');
+    assert.equal(sent.headers['x-request-id'], 'abc');
+    assert.equal(sent.headers['content-type'], 'application/json');
+    assert.equal(sent.headers['user-agent'], 'ac-ecosys-monitor');
+    assert.equal(sent.body, '{"ping":true}');
+  });
+
+  it('posts forms and sends basic and bearer credentials', async () => {
+    const form = (await request('/login', { form: { user: 'ops', note: 'a&b' }, auth: { username: 'ops', password: 's3cret' } })).echo;
+    assert.equal(form.method, 'POST');
+    assert.equal(form.body, 'user=ops&note=a%26b');
+    assert.equal(form.headers['content-type'], 'application/x-www-form-urlencoded');
+    assert.equal(form.headers.authorization, `Basic ${Buffer.from('ops:s3cret').toString('base64')}`);
+
+    const bearer = (await request('/', { auth: { type: 'bearer', token: 'tok' } })).echo;
+    assert.equal(bearer.headers.authorization, 'Bearer tok');
+  });
+
+  it('does not follow redirects by default', async () => {
+    const response = await request(`/redirect/302?to=${encodeURIComponent('/target')}`);
+    assert.equal(response.statusCode, 302);
+    assert.deepEqual(response.redirects, []);
+  });
+
+  it('follows up to followRedirects redirects, 303 continues as GET without body', async () => {
+    const response = await request(`/redirect/303?to=${encodeURIComponent('/target')}`, { json: { a: 1 }, followRedirects: 1 });
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.url, `${base}/target`);
+    assert.deepEqual(response.redirects, [{ statusCode: 303, location: `${base}/target` }]);
+    assert.equal(response.echo.method, 'GET');
+    assert.equal(response.echo.body, '');
+    assert.equal(response.echo.headers['content-type'], undefined);
+
+    const limited = await request(`/redirect/301?to=${encodeURIComponent(`/redirect/301?to=${encodeURIComponent('/end')}`)}`, { followRedirects: 1 });
+    assert.equal(limited.statusCode, 301);
+    assert.equal(limited.redirects.length, 1);
+  });
+
+  it('never sends credentials to another host', async () => {
+    const response = await request(`/redirect/307?to=${encodeURIComponent(`${otherBase}/moved`)}`, {
+      auth: { type: 'bearer', token: 'tok' },
+      followRedirects: 2,
+    });
+    assert.equal(response.url, `${otherBase}/moved`);
+    assert.equal(response.echo.headers.authorization, undefined);
+    assert.equal(echo.requests.at(-1).headers.authorization, 'Bearer tok');
+  });
+
+  it('stops reading at maxBodySize', async () => {
+    const response = await request('/large', { maxBodySize: 1024 });
+    assert.equal(response.truncated, true);
+    assert.equal(response.body.length, 1024);
+  });
+
+  it('sends plain HTTP requests through a proxy with its credentials', async () => {
+    const response = await httpRequest('http://service.internal:8080/health', {
+      proxy: base.replace('//', '//monitor:p%40ss@'),
+      timeout: 2000,
+    });
+    const sent = JSON.parse(response.body);
+    assert.equal(sent.url, 'http://service.internal:8080/health');
+    assert.equal(sent.headers.host, 'service.internal:8080');
+    assert.equal(sent.headers['proxy-authorization'], `Basic ${Buffer.from('monitor:p@ss').toString('base64')}`);
+  });
+
+  it('reports a timeout with the timings', async () => {
+    const slow = http.createServer(() => {});
+    const slowBase = await listen(slow);
+    try {
+      await assert.rejects(httpRequest(slowBase, { timeout: 100 }), (error) => {
+        assert.equal(error.message, 'Timeout');
+        assert.equal(typeof error.timings.connect, 'number');
+        return true;
+      });
+    } finally {
+      slow.closeAllConnections();
+      slow.close();
+    }
+  });
+
+  it('fails api checks with a truncated body that has assertions', async () => {
+    const result = await api.run({
+      name: 'API', type: 'api', target: `${base}/large`, timeout: 2000, expectedStatus: 200,
+      maxBodySize: 1024, expectedResponse: { source: 'body', operator: 'contains', value: 'x' },
+    });
+    assert.equal(result.status, 'UNHEALTHY');
+    assert.equal(result.details.responseCheckDetails[0].error, 'larger than 1024 bytes');
+  });
+});
@@ -0,0 +1,200 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+
+const { StatusServer } = require('../lib/http-server');
+const { MaintenanceSchedule } = require('../lib/maintenance');
+
+describe('StatusServer silences', () => {
+  const maintenance = new MaintenanceSchedule();
+  const monitor = {
+    maintenance,
+    silence: (name, duration, reason) => (name === 'API' ? maintenance.silence(name, 60000, reason) : null),
+    unsilence: name => maintenance.unsilence(name),
+  };
+  const server = new StatusServer(monitor, { enabled: true, port: 0, dashboard: false, token: 'secret' });
+  let url;
+  before(async () => {
+    await server.listen();
+    url = `http://127.0.0.1:${server.server.address().port}/api/silences`;
+  });
+  after(() => server.close());
+
+  const post = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { Authorization: 'Bearer secret', 'Content-Type': 'application/json', ...headers },
+    body,
+  });
+
+  it('creates and lifts a silence with the token and a JSON body', async () => {
+    const created = await post(JSON.stringify({ name: 'API', reason: 'deploy' }));
+    assert.equal(created.status, 201);
+    assert.equal((await created.json()).reason, 'deploy');
+
+    const deleted = await fetch(`${url}/API`, { method: 'DELETE', headers: { Authorization: 'Bearer secret' } });
+    assert.equal(deleted.status, 204);
+    assert.deepEqual(maintenance.list(), []);
+  });
+
+  it('rejects writes without the token', async () => {
+    assert.equal((await post('{"name":"API"}', { Authorization: 'Bearer wrong' })).status, 401);
+    assert.equal((await fetch(`${url}/API`, { method: 'DELETE' })).status, 401);
+  });
+
+  it('rejects bodies that are not declared as JSON, e.g. cross-site form posts', async () => {
+    for (const type of ['text/plain', 'application/x-www-form-urlencoded', 'application/jsonp']) {
+      const response = await post('{"name":"API"}', { 'Content-Type': type });
+      assert.equal(response.status, 415);
+    }
+    assert.equal((await post('{"name":"API"}', { 'Content-Type': 'application/json; charset=utf-8' })).status, 201);
+  });
+
+  it('reports invalid bodies and unknown names', async () => {
+    assert.equal((await post('{')).status, 400);
+    assert.equal((await post('{}')).status, 400);
+    assert.equal((await post('{"name":"Unknown"}')).status, 404);
+  });
+});
+
+describe('StatusServer requests', () => {
+  const monitor = {
+    results: [{ name: 'API', type: 'api', status: 'UP', details: { statusDetails: 'OK' }, sshInfo: null }],
+    config: { refreshInterval: 60000 },
+    startTime: new Date(),
+    lastCycleAt: new Date(),
+    history: { enabled: false, config: {}, recent: name => (name === 'API' ? [{ ts: 1, status: 'UP' }] : []) },
+    getGroupStatuses: () => [],
+  };
+  const server = new StatusServer(monitor, { enabled: true, port: 0, dashboard: false });
+  let port;
+  before(async () => {
+    await server.listen();
+    ({ port } = server.server.address());
+  });
+  after(() => server.close());
+
+  // fetch() refuses malformed URLs, so send the request line by hand
+  const raw = target => new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1', () => socket.end(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`));
+    let response = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => { response += chunk; });
+    socket.on('end', () => resolve(response.split('\r\n')[0]));
+    socket.on('error', reject);
+  });
+
+  it('answers malformed request targets with 400 and keeps running', async () => {
+    assert.equal(await raw('http://['), 'HTTP/1.1 400 Bad Request');
+    assert.equal(await raw('/api/servers/%E0%A4%A'), 'HTTP/1.1 400 Bad Request');
+
+    const response = await fetch(`http://127.0.0.1:${port}/api/servers/API`);
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'UP');
+  });
+
+  it('decodes route captures and reports unknown paths and methods', async () => {
+    assert.equal(await raw('/api/servers/%41PI'), 'HTTP/1.1 200 OK');
+    assert.equal((await fetch(`http://127.0.0.1:${port}/api/servers/Web`)).status, 404);
+    assert.equal((await fetch(`http://127.0.0.1:${port}/nothing`)).status, 404);
+    assert.equal((await fetch(`http://127.0.0.1:${port}/api/status`, { method: 'PUT' })).status, 405);
+  });
+
+  it('serves the results, the history of a server and the metrics', async () => {
+    const status = await fetch(`http://127.0.0.1:${port}/api/status`);
+    assert.equal(status.headers.get('content-type'), 'application/json; charset=utf-8');
+    assert.deepEqual(await status.json(), monitor.results);
+    assert.deepEqual(await (await fetch(`http://127.0.0.1:${port}/api/servers/API/history`)).json(), [{ ts: 1, status: 'UP' }]);
+
+    const metrics = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.equal(metrics.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+    assert.match(await metrics.text(), /^monitor_server_up\{name="API",type="api",groupName=""\} 1$/m);
+  });
+
+  it('reports the monitor healthy until check cycles stop completing', async () => {
+    const healthy = await fetch(`http://127.0.0.1:${port}/healthz`);
+    assert.equal(healthy.status, 200);
+    assert.equal((await healthy.json()).status, 'ok');
+
+    monitor.lastCycleAt = new Date(Date.now() - 4 * 60000);
+    const stale = await fetch(`http://127.0.0.1:${port}/healthz`);
+    assert.equal(stale.status, 503);
+    assert.deepEqual(await stale.json(), {
+      status: 'stale',
+      startTime: monitor.startTime.toISOString(),
+      lastCycle: monitor.lastCycleAt.toISOString(),
+      servers: 1,
+    });
+  });
+});
+
+describe('StatusServer dashboard', () => {
+  const monitor = {
+    results: [{ name: 'API', type: 'api', groupName: 'Prod', status: 'DOWN', error: 'ECONNREFUSED' }],
+    checks: [{ name: 'API' }, { name: 'Web' }],
+    config: { refreshInterval: '1m' },
+    lastCycleAt: null,
+    history: { enabled: true, config: { uptimeWindows: ['24h'], slaTarget: 99.9 }, uptime: () => 75 },
+    nextCheckAt: () => 1700000000000,
+    formatDetails: result => result.error,
+    getGroupStatuses: () => [{ name: 'Prod', status: 'DOWN', summary: '0/1 UP' }],
+  };
+  const server = new StatusServer(monitor, { enabled: true, port: 0 });
+  let base;
+  before(async () => {
+    await server.listen();
+    base = `http://127.0.0.1:${server.server.address().port}`;
+  });
+  after(() => server.close());
+
+  // the data of the next `count` Server-Sent Events
+  const readEvents = async (reader, count) => {
+    const decoder = new TextDecoder();
+    let text = '';
+    for (;;) {
+      const events = text.split('\n\n').filter(block => block.startsWith('event: '));
+      if (events.length >= count) return events.map(block => JSON.parse(block.split('\ndata: ')[1]));
+      const { value, done } = await reader.read();
+      if (done) throw new Error('event stream closed');
+      text += decoder.decode(value);
+    }
+  };
+
+  it('serves the dashboard page', async () => {
+    const response = await fetch(`${base}/`);
+    assert.equal(response.headers.get('content-type'), 'text/html; charset=utf-8');
+    assert.match(await response.text(), /new EventSource\('events'\)/);
+  });
+
+  it('pushes a snapshot to subscribers after every cycle', async () => {
+    const response = await fetch(`${base}/events`);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+    const reader = response.body.getReader();
+
+    // nothing is sent before the first cycle completed
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(server.clients.size, 1);
+    monitor.lastCycleAt = new Date();
+    const publishedAt = Date.now();
+    server.publish();
+
+    const [snapshot] = await readEvents(reader, 1);
+    assert.ok(snapshot.generatedAt >= publishedAt);
+    assert.equal(snapshot.refreshInterval, 60000);
+    assert.deepEqual([snapshot.upCount, snapshot.totalCount, snapshot.slaTarget], [0, 2, 99.9]);
+    assert.deepEqual(snapshot.results[0], {
+      ...monitor.results[0],
+      detailsText: 'ECONNREFUSED',
+      uptime: { '24h': 75 },
+    });
+    assert.deepEqual(snapshot.groups, [{ name: 'Prod', status: 'DOWN', summary: '0/1 UP' }]);
+    await reader.cancel();
+  });
+
+  it('sends the current snapshot to a new subscriber right away', async () => {
+    monitor.lastCycleAt = new Date();
+    const reader = (await fetch(`${base}/events`)).body.getReader();
+    const [snapshot] = await readEvents(reader, 1);
+    assert.equal(snapshot.results.length, 1);
+    await reader.cancel();
+  });
+});
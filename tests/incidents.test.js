@@ -0,0 +1,132 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { IncidentStore, formatPostmortem } = require('../lib/incidents');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-incidents-'));
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const START = Date.UTC(2026, 9, 18, 22, 16, 0);
+const result = (status, extra = {}) => ({
+  name: 'Payment API',
+  type: 'api',
+  target: 'https://pay.example.com/health',
+  groupName: 'Backend',
+  groupPath: ['Backend'],
+  status,
+  error: null,
+  details: null,
+  ...extra,
+});
+
+describe('IncidentStore.track', () => {
+  let store;
+  beforeEach(() => {
+    store = new IncidentStore({ file: path.join(directory, `${Date.now()}-${Math.random()}.json`) });
+  });
+
+  it('opens an incident at DOWN with the first error', () => {
+    const change = store.track(result('DOWN', { error: 'connect ECONNREFUSED' }), START);
+    assert.equal(change.type, 'open');
+    assert.equal(change.incident.id, 1);
+    assert.equal(change.incident.group, 'Backend');
+    assert.equal(change.incident.firstError, 'connect ECONNREFUSED');
+    assert.equal(store.open.size, 1);
+  });
+
+  it('opens nothing below openOn, during maintenance or for unreachable checks', () => {
+    assert.equal(store.track(result('UNHEALTHY'), START), null);
+    assert.equal(store.track(result('MAINTENANCE', { maintenance: { status: 'DOWN' } }), START), null);
+    assert.equal(store.track(result('UNREACHABLE', { dependency: { rootCause: 'Gateway', rootStatus: 'DOWN' } }), START), null);
+    assert.equal(store.incidents.length, 0);
+  });
+
+  it('adds changes to the timeline and skips repeated results', () => {
+    store.track(result('DOWN', { error: 'HTTP 503' }), START);
+    assert.equal(store.track(result('DOWN', { error: 'HTTP 503' }), START + 1000), null);
+
+    const change = store.track(result('UNHEALTHY', {
+      details: {
+        statusDetails: 'Health check failed',
+        responseCheckDetails: [{ source: 'json', path: 'status', operator: 'equals', expected: 'ok', actual: 'degraded', match: false }],
+      },
+    }), START + 2000);
+    assert.equal(change.type, 'update');
+    assert.equal(change.incident.timeline.length, 2);
+    assert.equal(change.incident.timeline[1].statusDetails, 'Health check failed');
+    assert.equal(change.incident.timeline[1].responseChecks.length, 1);
+    assert.equal(change.incident.worstStatus, 'DOWN');
+  });
+
+  it('closes on UP with the duration', () => {
+    store.track(result('DOWN'), START);
+    const change = store.track(result('UP'), START + 65000);
+    assert.equal(change.type, 'close');
+    assert.equal(change.incident.duration, 65000);
+    assert.equal(store.open.size, 0);
+  });
+
+  it('closes on MAINTENANCE, a healthy status', () => {
+    store.track(result('DOWN'), START);
+    assert.equal(store.track(result('MAINTENANCE'), START + 1000).type, 'close');
+    assert.equal(store.open.size, 0);
+  });
+
+  it('closes the incident of a removed check', () => {
+    store.track(result('DOWN'), START);
+    const incident = store.close('Payment API', 'Removed from the config', START + 5000);
+    assert.equal(incident.endedAt, START + 5000);
+    assert.equal(incident.timeline.at(-1).note, 'Removed from the config');
+    assert.equal(store.close('Payment API', 'Removed from the config'), null);
+  });
+
+  it('persists incidents, open ones continue after loading', async () => {
+    store.track(result('DOWN'), START);
+    await store.queue;
+
+    const loaded = new IncidentStore({ file: store.file });
+    await loaded.load();
+    assert.equal(loaded.open.size, 1);
+    assert.equal(loaded.track(result('DOWN'), START + 1000), null);
+    assert.equal(loaded.track(result('DOWN', { error: 'timeout' }), START + 2000).incident.id, 1);
+    assert.equal(loaded.track(result('ERROR'), START + 3000).incident.worstStatus, 'ERROR');
+    assert.equal(loaded.nextId, 2);
+  });
+});
+
+describe('formatPostmortem', () => {
+  const store = new IncidentStore({ file: path.join(directory, 'postmortem.json') });
+  store.track(result('DOWN', { details: { statusDetails: 'HTTP 503 (expected 200)' } }), START);
+  store.track(result('UNREACHABLE', { dependency: { rootCause: 'Gateway', rootStatus: 'DOWN' } }), START + 30000);
+  store.track(result('UP'), START + 125000);
+  const markdown = formatPostmortem(store.get(1));
+
+  it('has a title and a summary', () => {
+    assert.match(markdown, /^# Incident #1: Backend \/ Payment API DOWN$/m);
+    assert.match(markdown, /^- \*\*First error:\*\* HTTP 503 \(expected 200\)$/m);
+    assert.match(markdown, /^- \*\*Resolved:\*\* .+ \(after 2m 5s\)$/m);
+  });
+
+  it('lists the timeline with the elapsed time', () => {
+    const rows = markdown.split('\n').filter(line => /^\| .+ \| \+/.test(line));
+    assert.equal(rows.length, 3);
+    assert.match(rows[0], /\| \+0s \| ✗ DOWN \| HTTP 503 \(expected 200\) \|$/);
+    assert.match(rows[1], /\| \+30s \| ⊘ UNREACHABLE \| Unreachable: Gateway DOWN \|$/);
+    assert.match(rows[2], /\| \+2m 5s \| ✓ UP \| Recovered after 2m 5s \|$/);
+  });
+
+  it('ends with the timeline, without placeholder sections', () => {
+    assert.ok(markdown.trimEnd().endsWith('Recovered after 2m 5s |'));
+    assert.doesNotMatch(markdown, /To be completed|- \[ \]/);
+  });
+
+  it('escapes pipes in the details and shows ongoing incidents', () => {
+    const incident = { ...store.get(1), endedAt: null, duration: null, timeline: [{ ...store.get(1).timeline[0], error: 'a | b' }] };
+    const text = formatPostmortem(incident);
+    assert.match(text, /a \\\| b/);
+    assert.match(text, /\*\*Resolved:\*\* ongoing/);
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { applyLatencyThresholds } = require('../lib/checks/common');
+const ping = require('../lib/checks/ping');
+const api = require('../lib/checks/api');
+const all = require('../lib/checks/all');
+
+const LINUX_PING = `PING 10.0.0.1 (10.0.0.1) 56(84) bytes of data.
+64 bytes from 10.0.0.1: icmp_seq=1 ttl=64 time=12.4 ms
+
+--- 10.0.0.1 ping statistics ---
+1 packets transmitted, 1 received, 0% packet loss, time 0ms
+`;
+const MACOS_PING = `PING 10.0.0.1 (10.0.0.1): 56 data bytes
+64 bytes from 10.0.0.1: icmp_seq=0 ttl=64 time=0.873 ms
+
+--- 10.0.0.1 ping statistics ---
+1 packets transmitted, 1 packets received, 0.0% packet loss
+`;
+
+const fakeExec = (stdout, error = null) => (command, options, callback) => callback(error, stdout, '');
+
+describe('ping latency', () => {
+  it('parses the round trip time of Linux and macOS ping', async () => {
+    assert.deepEqual(await ping.ping('10.0.0.1', 1000, fakeExec(LINUX_PING)), { alive: true, rtt: 12.4 });
+    assert.deepEqual(await ping.ping('10.0.0.1', 1000, fakeExec(MACOS_PING)), { alive: true, rtt: 0.873 });
+  });
+
+  it('has no round trip time for a failed ping', async () => {
+    assert.deepEqual(await ping.ping('10.0.0.1', 1000, fakeExec('', new Error('exit 1'))), { alive: false, rtt: null });
+  });
+
+  it('moves a slow ping to DEGRADED', async () => {
+    const result = await ping.run({ name: 'Gateway', type: 'ping', target: '10.0.0.1', timeout: 1000, warnLatency: 10 }, { exec: fakeExec(LINUX_PING) });
+    assert.equal(result.status, 'DEGRADED');
+    assert.equal(result.latency, 12.4);
+    assert.equal(ping.formatDetails(result), 'Slow: ping 12 ms > 10 ms');
+  });
+});
+
+describe('applyLatencyThresholds', () => {
+  const apply = (status, server, legs) => {
+    const result = { status, details: {} };
+    applyLatencyThresholds(result, server, legs);
+    return result;
+  };
+
+  it('moves a check to DEGRADED above warnLatency and DOWN above critLatency', () => {
+    const server = { warnLatency: 500, critLatency: 2000 };
+    assert.equal(apply('UP', server, [['API', 400]]).status, 'UP');
+    assert.equal(apply('UP', server, [['API', 501]]).status, 'DEGRADED');
+    assert.deepEqual(apply('UP', server, [['ping', 600], ['API', 2500]]).details, {
+      latencyThresholds: { warn: 500, crit: 2000 },
+      latencyDetails: 'Slow: ping 600 ms > 500 ms, API 2500 ms > 2000 ms',
+    });
+    assert.equal(apply('UP', server, [['ping', 600], ['API', 2500]]).status, 'DOWN');
+  });
+
+  it('never improves a status and ignores missing latencies', () => {
+    assert.equal(apply('UNHEALTHY', { warnLatency: 100 }, [['API', 200]]).status, 'UNHEALTHY');
+    assert.deepEqual(apply('DOWN', { critLatency: 100 }, [['API', null]]), { status: 'DOWN', details: { latencyThresholds: { warn: null, crit: 100 } } });
+    assert.deepEqual(apply('UP', {}, [['API', 5000]]), { status: 'UP', details: {} });
+  });
+});
+
+describe('api check latency', () => {
+  const server = http.createServer((req, res) => setTimeout(() => res.end('ok'), 60));
+  let target;
+  before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    target = `http://127.0.0.1:${server.address().port}/`;
+    resolve();
+  })));
+  after(() => server.close());
+
+  it('times the request phases and applies the thresholds to the total', async () => {
+    const result = await api.run({ name: 'API', type: 'api', target, timeout: 2000, expectedStatus: 200, warnLatency: 30, critLatency: 5000 });
+    const { timings } = result.details;
+
+    assert.equal(result.status, 'DEGRADED');
+    assert.equal(result.latency, timings.total);
+    assert.ok(timings.total >= 55);
+    assert.ok(timings.ttfb >= 55);
+    assert.equal(typeof timings.connect, 'number');
+    assert.equal(timings.tls, null);
+    assert.match(api.formatDetails(result), /Slow: API \d+ ms > 30 ms/);
+  });
+});
+
+describe('all check latency', () => {
+  const legs = {
+    ping: { status: 'UP', details: { pingLatency: 250 } },
+    api: { status: 'UP', statusCode: 200, details: { statusOk: true, responseOk: null, timings: { dns: 1, connect: 2, tls: 3, ttfb: 40, total: 50 } } },
+  };
+  const ctx = { run: async (type, options) => ({ ...legs[type], options }) };
+  const server = { name: 'Web', type: 'all', target: '10.0.0.1', apiTarget: 'https://web.local/', timeout: 1000 };
+
+  it('applies the thresholds to the ping and the API leg, not to the legs themselves', async () => {
+    const runs = [];
+    const result = await all.run({ ...server, warnLatency: 100 }, { run: async (type, options) => { runs.push(options); return ctx.run(type, options); } });
+
+    assert.equal(result.status, 'DEGRADED');
+    assert.equal(result.details.latencyDetails, 'Slow: ping 250 ms > 100 ms');
+    assert.equal(result.latency, 50);
+    assert.ok(runs.every(options => options.warnLatency === undefined));
+  });
+
+  it('is DOWN when the API leg exceeds critLatency', async () => {
+    const result = await all.run({ ...server, warnLatency: 300, critLatency: 45 }, ctx);
+    assert.equal(result.status, 'DOWN');
+    assert.equal(result.details.latencyDetails, 'Slow: ping 250 ms > 45 ms, API 50 ms > 45 ms');
+  });
+});
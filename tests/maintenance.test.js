@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MaintenanceSchedule, parseCron, cronMatches, parseSilenceDuration } = require('../lib/maintenance');
+
+// local times, cron expressions are matched in the local timezone
+const at = (month, day, hour, minute) => new Date(2026, month - 1, day, hour, minute);
+const sorted = values => [...values].sort((a, b) => a - b);
+
+describe('parseCron', () => {
+  it('expands lists, ranges and steps', () => {
+    const cron = parseCron('0,30 9-17 */10 1-12/3 1-5');
+    assert.deepEqual(sorted(cron.minutes), [0, 30]);
+    assert.deepEqual(sorted(cron.hours), [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual(sorted(cron.days), [1, 11, 21, 31]);
+    assert.deepEqual(sorted(cron.months), [1, 4, 7, 10]);
+    assert.deepEqual(sorted(cron.weekdays), [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, false);
+    assert.equal(cron.anyWeekday, false);
+  });
+
+  it('runs a step from a start value to the end of the range', () => {
+    assert.deepEqual(sorted(parseCron('5/20 * * * *').minutes), [5, 25, 45]);
+  });
+
+  it('reads month and day names, 7 is also Sunday', () => {
+    const cron = parseCron('0 3 * JAN,dec sat,sun');
+    assert.deepEqual(sorted(cron.months), [1, 12]);
+    assert.deepEqual(sorted(cron.weekdays), [0, 6]);
+    assert.ok(parseCron('0 3 * * 7').weekdays.has(0));
+  });
+
+  it('rejects invalid expressions', () => {
+    assert.throws(() => parseCron('0 3 * *'), /needs 5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute "60" must be 0-59/);
+    assert.throws(() => parseCron('* 24 * * *'), /hour "24" must be 0-23/);
+    assert.throws(() => parseCron('* * 0 * *'), /day of month "0" must be 1-31/);
+    assert.throws(() => parseCron('* * * foo *'), /month "foo"/);
+    assert.throws(() => parseCron('*/0 * * * *'), /minute step must be at least 1/);
+    assert.throws(() => parseCron('1;2 * * * *'), /invalid minute "1;2"/);
+    assert.throws(() => parseCron('0 3 * * fri-mon'), /day of week range "fri-mon" is reversed/);
+  });
+});
+
+describe('cronMatches', () => {
+  it('matches the minute, hour and month', () => {
+    const cron = parseCron('30 2 * * *');
+    assert.ok(cronMatches(cron, at(10, 18, 2, 30)));
+    assert.ok(!cronMatches(cron, at(10, 18, 2, 31)));
+    assert.ok(!cronMatches(cron, at(10, 18, 3, 30)));
+    assert.ok(!cronMatches(parseCron('30 2 * 11 *'), at(10, 18, 2, 30)));
+  });
+
+  it('needs both day fields when one of them is *', () => {
+    // 2026-10-18 is a Sunday
+    assert.ok(cronMatches(parseCron('0 4 * * sun'), at(10, 18, 4, 0)));
+    assert.ok(!cronMatches(parseCron('0 4 * * mon'), at(10, 18, 4, 0)));
+    assert.ok(!cronMatches(parseCron('0 4 1 * *'), at(10, 18, 4, 0)));
+  });
+
+  it('matches either restricted day field like cron', () => {
+    const cron = parseCron('0 4 1 * mon');
+    assert.ok(cronMatches(cron, at(10, 1, 4, 0)));  // Thursday the 1st
+    assert.ok(cronMatches(cron, at(10, 19, 4, 0)));  // Monday
+    assert.ok(!cronMatches(cron, at(10, 18, 4, 0)));
+  });
+});
+
+describe('MaintenanceSchedule', () => {
+  const check = { name: 'Payment API', groupPath: ['Backend', 'Payments'] };
+
+  it('is active during the duration of a cron occurrence', () => {
+    const schedule = new MaintenanceSchedule([{ name: 'Patch night', cron: '0 2 * * sun', duration: '2h', groups: ['Backend'] }]);
+    const start = at(10, 18, 2, 0).getTime();
+    assert.equal(schedule.active(check, start - 1), null);
+    assert.deepEqual(schedule.active(check, start + 90 * 60000), {
+      kind: 'window', name: 'Patch night', reason: null, until: start + 2 * 3600000,
+    });
+    assert.equal(schedule.active(check, start + 2 * 3600000), null);
+    assert.equal(schedule.active({ name: 'Other', groupPath: ['Frontend'] }, start), null);
+  });
+
+  it('covers all checks without servers and groups, skips invalid windows', () => {
+    const schedule = new MaintenanceSchedule([
+      { cron: 'not a cron', duration: '1h' },
+      { start: '2026-10-18T00:00:00Z', end: '2026-10-19T00:00:00Z', reason: 'migration' },
+    ]);
+    assert.equal(schedule.windows.length, 1);
+    const active = schedule.active({ name: 'Any' }, Date.parse('2026-10-18T12:00:00Z'));
+    assert.deepEqual([active.name, active.reason], ['maintenance[1]', 'migration']);
+  });
+
+  it('silences a server or group until it expires, the longest one wins', () => {
+    const schedule = new MaintenanceSchedule([{ start: 0, end: 10 * 60000, servers: ['Payment API'] }]);
+    schedule.silence('Payments', 30 * 60000, 'deploy', 0);
+    assert.deepEqual(schedule.active(check, 60000), { kind: 'silence', name: 'Payments', reason: 'deploy', until: 30 * 60000 });
+    assert.equal(schedule.active(check, 30 * 60000), null);
+    assert.deepEqual(schedule.list(30 * 60000), []);
+    assert.equal(schedule.unsilence('Payments'), false);
+  });
+});
+
+describe('parseSilenceDuration', () => {
+  it('reads plain numbers as minutes', () => {
+    assert.equal(parseSilenceDuration('45'), 45 * 60000);
+    assert.equal(parseSilenceDuration('2h'), 2 * 3600000);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderMetrics } = require('../lib/metrics');
+
+const monitor = {
+  startTime: new Date(1700000000000),
+  lastCycleAt: new Date(1700000060000),
+  history: { enabled: true, config: { uptimeWindows: ['24h'] }, uptime: name => (name === 'API' ? 99.5 : null) },
+  results: [
+    {
+      name: 'API',
+      type: 'api',
+      groupName: 'Prod "EU"',
+      status: 'DEGRADED',
+      statusCode: 200,
+      latency: 1250,
+      consecutiveFailures: 2,
+      details: { timings: { dns: 5, connect: 10, tls: null, ttfb: 1200, total: 1250 } },
+    },
+    {
+      name: 'Web',
+      type: 'all',
+      status: 'MAINTENANCE',
+      maintenance: { kind: 'silence' },
+      details: { pingLatency: 12 },
+      sshInfo: { success: true, updateCount: 7, securityUpdateCount: 2, rebootRequired: true },
+    },
+  ],
+  getGroupStatuses: () => [{ name: 'Prod "EU"', parent: null, rule: 'quorum', status: 'UP', up: 1 }],
+};
+
+describe('renderMetrics', () => {
+  const text = renderMetrics(monitor);
+  const lines = text.split('\n');
+  const sample = prefix => lines.find(line => line.startsWith(prefix));
+
+  it('writes HELP and TYPE once per family', () => {
+    assert.equal(lines.filter(line => line === '# TYPE monitor_server_up gauge').length, 1);
+    assert.ok(text.endsWith('\n'));
+  });
+
+  it('labels every series with name, type and the escaped groupName', () => {
+    assert.equal(sample('monitor_server_up{name="API"'), 'monitor_server_up{name="API",type="api",groupName="Prod \\"EU\\""} 0');
+    assert.equal(sample('monitor_server_up{name="Web"'), 'monitor_server_up{name="Web",type="all",groupName=""} 1');
+  });
+
+  it('has one status series per status with the current one set', () => {
+    const statuses = lines.filter(line => line.startsWith('monitor_server_status{name="API"'));
+    assert.equal(statuses.length, 8);
+    assert.deepEqual(statuses.filter(line => line.endsWith(' 1')), [
+      'monitor_server_status{name="API",type="api",groupName="Prod \\"EU\\"",status="DEGRADED"} 1',
+    ]);
+  });
+
+  it('reports status codes, latencies in seconds and skips missing phases', () => {
+    assert.match(sample('monitor_http_status_code{name="API"'), / 200$/);
+    assert.match(sample('monitor_check_latency_seconds{name="API"'), / 1\.25$/);
+    assert.match(sample('monitor_ping_rtt_seconds{name="Web"'), / 0\.012$/);
+    assert.match(sample('monitor_http_phase_seconds{name="API",type="api",groupName="Prod \\"EU\\"",phase="ttfb"}'), / 1\.2$/);
+    assert.equal(sample('monitor_http_phase_seconds{name="API",type="api",groupName="Prod \\"EU\\"",phase="tls"}'), undefined);
+    assert.equal(sample('monitor_http_status_code{name="Web"'), undefined);
+  });
+
+  it('reports pending updates, maintenance, uptime, groups and totals', () => {
+    assert.match(sample('monitor_pending_updates{name="Web"'), / 7$/);
+    assert.match(sample('monitor_pending_security_updates{name="Web"'), / 2$/);
+    assert.match(sample('monitor_reboot_required{name="Web"'), / 1$/);
+    assert.match(sample('monitor_maintenance{name="Web"'), / 1$/);
+    assert.match(sample('monitor_consecutive_failures{name="API"'), / 2$/);
+    assert.match(sample('monitor_uptime_percent{name="API"'), /window="24h"} 99\.5$/);
+    assert.equal(sample('monitor_uptime_percent{name="Web"'), undefined);
+    assert.equal(sample('monitor_group_up{'), 'monitor_group_up{name="Prod \\"EU\\"",parent="",rule="quorum"} 1');
+    assert.equal(sample('monitor_servers_total '), 'monitor_servers_total 2');
+    assert.equal(sample('monitor_servers_up '), 'monitor_servers_up 1');
+    assert.equal(sample('monitor_last_cycle_timestamp_seconds '), 'monitor_last_cycle_timestamp_seconds 1700000060');
+  });
+});
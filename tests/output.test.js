@@ -0,0 +1,138 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { summarize, formatJson, formatNdjsonLine, formatJunit, formatMarkdown } = require('../lib/output');
+
+const RESULTS = [
+  { name: 'Gateway', type: 'ping', target: '10.0.0.1', status: 'UP', latency: 4.6 },
+  {
+    name: 'API', type: 'api', target: 'https://api.internal/health', status: 'DOWN', statusCode: 503, latency: 120,
+    attempts: 3, groupName: 'Prod', groupPath: ['Prod'], error: 'HTTP 503 <Service Unavailable>',
+  },
+  {
+    name: 'Web', type: 'all', target: '10.0.0.2', status: 'UNREACHABLE', groupName: 'Prod', groupPath: ['Prod'],
+    details: { timings: { total: 80 } }, dependency: { name: 'Gateway', status: 'DOWN', rootCause: 'Gateway', rootStatus: 'DOWN' },
+  },
+  { name: 'Backup', type: 'tcp', target: '10.0.0.3:22', status: 'MAINTENANCE', latency: null },
+];
+const GROUPS = [{ name: 'Prod', parent: null, path: ['Prod'], status: 'DOWN', rule: 'worst', required: null, up: 0, total: 2, summary: '0/2 UP' }];
+const options = { message: result => `${result.name} | ${result.status}`, failOn: 'DEGRADED', duration: 1500, groups: GROUPS };
+
+describe('summarize', () => {
+  it('counts statuses and fails the checks at failOn or worse', () => {
+    const summary = summarize(RESULTS, 'DEGRADED');
+    assert.deepEqual([summary.total, summary.up, summary.worstStatus, summary.ok], [4, 2, 'DOWN', false]);
+    assert.deepEqual(summary.failed, ['API', 'Web']);
+    assert.equal(summary.counts.UNREACHABLE, 1);
+  });
+
+  it('fails MAINTENANCE only when asked to', () => {
+    assert.deepEqual(summarize([RESULTS[3]], 'DEGRADED').failed, []);
+    assert.deepEqual(summarize([RESULTS[3]], 'MAINTENANCE').failed, ['Backup']);
+    assert.deepEqual(summarize(RESULTS, 'ERROR').failed, []);
+  });
+});
+
+describe('formatJson and formatNdjsonLine', () => {
+  it('writes records with the failed flag, latency and root cause', () => {
+    const output = JSON.parse(formatJson(RESULTS, options));
+    assert.equal(output.duration, 1500);
+    assert.equal(output.ok, false);
+    const web = output.results.find(result => result.name === 'Web');
+    assert.deepEqual([web.failed, web.latency, web.rootCause, web.attempts], [true, 80, 'Gateway', 1]);
+    assert.deepEqual(output.groups[0], { ...GROUPS[0], type: 'group' });
+  });
+
+  it('writes one line per result', () => {
+    const line = formatNdjsonLine(RESULTS[1], options);
+    assert.ok(!line.includes('\n'));
+    assert.deepEqual(JSON.parse(line).groupPath, ['Prod']);
+  });
+});
+
+describe('formatJunit', () => {
+  const xml = formatJunit(RESULTS, options);
+
+  it('has one suite per group with the group status', () => {
+    assert.match(xml, /<testsuites name="server-monitor" tests="4" failures="2" errors="0" time="1.500">/);
+    assert.match(xml, /<testsuite name="servers" tests="2" failures="0" errors="0">/);
+    assert.match(xml, /<testsuite name="Prod" tests="2" failures="2" errors="0">\n {4}<properties>\n {6}<property name="groupStatus" value="DOWN"\/>/);
+  });
+
+  it('writes DOWN and UNREACHABLE results as escaped failures', () => {
+    assert.match(xml, /<failure type="DOWN" message="API \| DOWN">DOWN https:\/\/api.internal\/health: API \| DOWN<\/failure>/);
+    assert.match(xml, /<testcase name="Web" classname="all" time="0.080">\n {6}<failure type="UNREACHABLE"/);
+    assert.match(xml, /<testcase name="Backup" classname="tcp" time="0">\n {6}<system-out>MAINTENANCE/);
+  });
+
+  it('writes ERROR as an error with the check error', () => {
+    const error = formatJunit([{ ...RESULTS[1], status: 'ERROR' }], options);
+    assert.match(error, /errors="1"/);
+    assert.match(error, /<error type="ERROR" message="API \| ERROR">HTTP 503 &lt;Service Unavailable&gt;<\/error>/);
+  });
+});
+
+describe('formatMarkdown', () => {
+  const lines = formatMarkdown(RESULTS, options).split('\n');
+
+  it('starts with the summary and escapes pipes in cells', () => {
+    assert.equal(lines[0], '**2/4 servers UP**, worst status: DOWN (2 failed)');
+    assert.equal(lines[5], '| ✗ DOWN | Prod / API | api | https://api.internal/health | 503 | 120 ms | API \\| DOWN |');
+    assert.equal(lines[6], '| ⊘ UNREACHABLE | Prod / Web | all | 10.0.0.2 | - | 80 ms | Web \\| UNREACHABLE |');
+  });
+
+  it('lists the groups', () => {
+    assert.equal(lines.at(-1), '| Prod | ✗ DOWN | 0/2 UP |');
+  });
+});
+
+describe('--once exit codes', () => {
+  const script = path.join(__dirname, '..', 'server-monitor.js');
+  let directory;
+  let config;
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-once-'));
+    fs.writeFileSync(path.join(directory, 'fixed.js'), `module.exports = {
+      name: 'fixed',
+      schema: { status: { type: 'string' } },
+      run: async server => ({ name: server.name, type: 'fixed', target: server.target, status: server.status }),
+    };\n`);
+    config = path.join(directory, 'monitor.json');
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const runOnce = (statuses, ...args) => {
+    fs.writeFileSync(config, JSON.stringify({
+      plugins: [path.join(directory, 'fixed.js')],
+      history: { enabled: false },
+      incidents: { enabled: false },
+      servers: statuses.map((status, index) => ({ name: `Check ${index}`, type: 'fixed', target: 'local', timeout: 1000, status })),
+    }));
+    return new Promise((resolve) => {
+      execFile(process.execPath, [script, '--once', '-c', config, '--format', 'json', ...args], { timeout: 20000 }, (error, stdout) => {
+        resolve({ code: error ? error.code : 0, stdout });
+      });
+    });
+  };
+
+  it('exits 0 when no check is DEGRADED or worse and 1 otherwise', async () => {
+    assert.equal((await runOnce(['UP', 'MAINTENANCE'])).code, 0);
+    const { code, stdout } = await runOnce(['UP', 'DEGRADED']);
+    assert.equal(code, 1);
+    assert.deepEqual(JSON.parse(stdout).failed, ['Check 1']);
+  });
+
+  it('fails on the --fail-on status or worse', async () => {
+    assert.equal((await runOnce(['UP', 'MAINTENANCE'], '--fail-on', 'maintenance')).code, 1);
+    assert.equal((await runOnce(['UP', 'DEGRADED'], '--fail-on', 'DOWN')).code, 0);
+  });
+
+  it('exits 2 for an unknown --fail-on status or --only name', async () => {
+    assert.equal((await runOnce(['UP'], '--fail-on', 'BROKEN')).code, 2);
+    assert.equal((await runOnce(['UP'], '--only', 'Missing')).code, 2);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Scheduler } = require('../lib/scheduler');
+
+describe('Scheduler', () => {
+  it('limits concurrent runs and runs every check', async () => {
+    let running = 0;
+    let peak = 0;
+    const ran = [];
+    await new Promise((resolve) => {
+      const scheduler = new Scheduler({ interval: '1h', maxConcurrency: 2 }, async (check) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(done => setTimeout(done, 5));
+        running--;
+        ran.push(check.name);
+        if (ran.length === 4) {
+          scheduler.stop();
+          resolve();
+        }
+      });
+      scheduler.setChecks(['a', 'b', 'c', 'd'].map(name => ({ name })));
+      scheduler.start();
+    });
+    assert.equal(peak, 2);
+    assert.deepEqual([...ran].sort(), ['a', 'b', 'c', 'd']);
+  });
+
+  it('reports failed runs and schedules the check again', async () => {
+    const errors = [];
+    const scheduler = new Scheduler({ interval: '1h' }, async () => {
+      throw new Error('history write failed');
+    }, (error, check) => errors.push([error.message, check.name]));
+    scheduler.setChecks([{ name: 'API' }]);
+    scheduler.start();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    scheduler.stop();
+
+    assert.deepEqual(errors, [['history write failed', 'API']]);
+    assert.equal(scheduler.running, 0);
+    assert.ok(scheduler.nextRunAt() > Date.now() + 59 * 60000);
+  });
+
+  it('runs a check again when runNow is called during its run', async () => {
+    const runs = [];
+    let release;
+    const scheduler = new Scheduler({ interval: '1h' }, async (check) => {
+      runs.push(check.name);
+      if (runs.length === 1) await new Promise((resolve) => { release = resolve; });
+    });
+    scheduler.setChecks([{ name: 'API' }]);
+    scheduler.start();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(scheduler.runNow('API'), true);
+    assert.equal(runs.length, 1);
+    release();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    scheduler.stop();
+
+    assert.deepEqual(runs, ['API', 'API']);
+    assert.ok(scheduler.nextRunAt() > Date.now() + 59 * 60000);
+    assert.equal(scheduler.runNow('Unknown'), false);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateObject, validateValue, schemaDefaults } = require('../lib/schema');
+
+const SCHEMA = {
+  name: { type: 'string', required: true },
+  type: { type: 'string', values: ['ping', 'api'], default: 'ping' },
+  timeout: { type: ['number', 'duration'], min: 0, default: 5000 },
+  expect: { type: ['string', 'regexp'] },
+  tags: { type: 'array', items: { type: 'string' } },
+  ssh: {
+    type: 'object',
+    schema: {
+      port: { type: 'number', min: 1, default: 22 },
+      enabled: { type: 'boolean' },
+    },
+  },
+};
+
+const validate = object => validateObject(object, SCHEMA);
+
+describe('validateObject', () => {
+  it('accepts a valid object', () => {
+    assert.deepEqual(validate({ name: 'API', type: 'api', timeout: '5s', expect: /^OK/, tags: ['prod'], ssh: { port: 2222 } }), {
+      errors: [],
+      warnings: [],
+    });
+  });
+
+  it('reports missing required keys, null counts as missing', () => {
+    assert.deepEqual(validate({}).errors, [{ path: 'name', message: 'is required' }]);
+    assert.deepEqual(validate({ name: null }).errors, [{ path: 'name', message: 'is required' }]);
+  });
+
+  it('reports unknown keys as warnings with their path', () => {
+    assert.deepEqual(validate({ name: 'API', timout: 100, ssh: { user: 'root' } }).warnings, [
+      { path: 'ssh.user', message: 'is not a known option' },
+      { path: 'timout', message: 'is not a known option' },
+    ]);
+  });
+
+  it('reports nested errors with the path of the object and the array index', () => {
+    assert.deepEqual(validate({ name: 'API', tags: ['prod', 7], ssh: { port: 0, enabled: 'yes' } }).errors, [
+      { path: 'tags[1]', message: 'must be a string' },
+      { path: 'ssh.port', message: 'must be at least 1' },
+      { path: 'ssh.enabled', message: 'must be true or false' },
+    ]);
+  });
+
+  it('prefixes the paths and adds to an existing report', () => {
+    const report = { errors: [{ path: 'earlier', message: 'x' }], warnings: [] };
+    validateObject({}, SCHEMA, 'servers[2]', report);
+    assert.deepEqual(report.errors.map(error => error.path), ['earlier', 'servers[2].name']);
+  });
+});
+
+describe('validateValue', () => {
+  const check = (value, field) => {
+    const report = { errors: [], warnings: [] };
+    validateValue(value, field, 'field', report);
+    return report.errors.map(error => error.message);
+  };
+
+  it('checks each type', () => {
+    assert.deepEqual(check('a', { type: 'number' }), ['must be a number']);
+    assert.deepEqual(check(NaN, { type: 'number' }), ['must be a number']);
+    assert.deepEqual(check(1, { type: 'boolean' }), ['must be true or false']);
+    assert.deepEqual(check([], { type: 'object' }), ['must be an object']);
+    assert.deepEqual(check(/x/, { type: 'object' }), ['must be an object']);
+    assert.deepEqual(check({}, { type: 'array' }), ['must be an array']);
+    assert.deepEqual(check('x', { type: 'regexp' }), ['must be a RegExp']);
+    assert.deepEqual(check(null, { type: 'any' }), []);
+    assert.deepEqual(check(undefined, {}), []);
+  });
+
+  it('accepts durations as milliseconds or with a unit', () => {
+    assert.deepEqual(check(500, { type: 'duration' }), []);
+    assert.deepEqual(check('1d', { type: 'duration' }), []);
+    assert.deepEqual(check('soon', { type: 'duration' }), ['must be a duration like 500, "30s" or "1d"']);
+    assert.deepEqual(check(-1, { type: 'duration' }), ['must be a duration like 500, "30s" or "1d"']);
+  });
+
+  it('lists every allowed type', () => {
+    assert.deepEqual(check(true, { type: ['string', 'regexp'] }), ['must be a string or a RegExp']);
+  });
+
+  it('checks allowed values and the minimum', () => {
+    assert.deepEqual(check('tcp', { type: 'string', values: ['ping', 'api'] }), ['must be one of "ping", "api"']);
+    assert.deepEqual(check(-5, { type: 'number', min: 0 }), ['must be at least 0']);
+    assert.deepEqual(check('-5', { type: ['number', 'string'], min: 0 }), []);
+  });
+});
+
+describe('schemaDefaults', () => {
+  it('collects the documented defaults of the top level', () => {
+    assert.deepEqual(schemaDefaults(SCHEMA), { type: 'ping', timeout: 5000 });
+    assert.deepEqual(schemaDefaults(SCHEMA.ssh.schema), { port: 22 });
+  });
+});
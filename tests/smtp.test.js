@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+
+const { sendMail } = require('../lib/smtp');
+
+/**
+ * Fake SMTP server recording the commands and the message of each session
+ */
+function fakeServer({ authCode = 235 } = {}) {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const session = { commands: [], message: null };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+
+    socket.setEncoding('utf8');
+    socket.write('220 fake.local ESMTP\r\n');
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      for (;;) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          session.message = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 queued\r\n');
+          continue;
+        }
+
+        const index = buffer.indexOf('\r\n');
+        if (index === -1) return;
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-fake.local\r\n250 AUTH PLAIN\r\n');
+        else if (verb === 'AUTH') socket.write(`${authCode} auth\r\n`);
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') socket.end('221 bye\r\n');
+        else if (['MAIL', 'RCPT'].includes(verb)) socket.write('250 ok\r\n');
+        else socket.write('500 unknown command\r\n');
+      }
+    });
+  });
+  return { server, sessions };
+}
+
+describe('sendMail', () => {
+  const { server, sessions } = fakeServer();
+  let port;
+  before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    port = server.address().port;
+    resolve();
+  })));
+  after(() => server.close());
+
+  const send = (mail, options) => sendMail({ host: '127.0.0.1', port, timeout: 2000, ...options }, {
+    from: 'Monitor <monitor@example.com>',
+    to: ['ops@example.com'],
+    subject: 'API is DOWN',
+    text: 'Status: DOWN',
+    ...mail,
+  });
+
+  it('delivers the message with the envelope addresses', async () => {
+    await send({ to: ['ops@example.com', 'Jo <jo@example.com>'], text: 'line 1\n.hidden\nline 3' });
+    const { commands, message } = sessions.at(-1);
+    assert.deepEqual(commands.filter(line => /^(MAIL|RCPT|DATA|QUIT)/.test(line)), [
+      'MAIL FROM:<monitor@example.com>',
+      'RCPT TO:<ops@example.com>',
+      'RCPT TO:<jo@example.com>',
+      'DATA',
+      'QUIT',
+    ]);
+    assert.match(message, /^Subject: API is DOWN$/m);
+    assert.match(message, /^To: ops@example.com, Jo <jo@example.com>$/m);
+    assert.ok(message.endsWith('\r\n\r\nline 1\r\n..hidden\r\nline 3'));
+  });
+
+  it('encodes non-ASCII subjects', async () => {
+    await send({ subject: 'Zähler ✗ DOWN' });
+    const subject = sessions.at(-1).message.match(/^Subject: =\?UTF-8\?B\?(.+)\?=$/m)[1];
+    assert.equal(Buffer.from(subject, 'base64').toString(), 'Zähler ✗ DOWN');
+  });
+
+  it('removes line breaks from headers and addresses', async () => {
+    await send({
+      subject: 'API DOWN\r\nBcc: victim@example.com',
+      to: ['ops@example.com\r\nRCPT TO:<victim@example.com>'],
+    });
+    const { commands, message } = sessions.at(-1);
+    const headers = message.split('\r\n\r\n')[0].split('\r\n');
+    assert.ok(headers.includes('Subject: API DOWN Bcc: victim@example.com'));
+    assert.ok(!headers.some(header => header.startsWith('Bcc:')));
+    assert.equal(commands.filter(line => line.startsWith('RCPT')).length, 1);
+  });
+
+  it('does not send credentials over an unencrypted connection', async () => {
+    await assert.rejects(send({}, { auth: { user: 'monitor', pass: 'secret' } }), /SMTP AUTH refused: the connection is not encrypted/);
+    const { commands, message } = sessions.at(-1);
+    assert.ok(!commands.some(line => line.startsWith('AUTH')));
+    assert.equal(message, null);
+  });
+
+  it('authenticates without encryption with allowInsecureAuth', async () => {
+    await send({}, { auth: { user: 'monitor', pass: 'secret' }, allowInsecureAuth: true });
+    const auth = sessions.at(-1).commands.find(line => line.startsWith('AUTH PLAIN '));
+    assert.equal(Buffer.from(auth.slice(11), 'base64').toString(), '\0monitor\0secret');
+  });
+
+  it('rejects with the server response of a failed command', async () => {
+    const failing = fakeServer({ authCode: 535 });
+    await new Promise(resolve => failing.server.listen(0, '127.0.0.1', resolve));
+    try {
+      await assert.rejects(
+        sendMail({ host: '127.0.0.1', port: failing.server.address().port, auth: { user: 'u', pass: 'p' }, allowInsecureAuth: true }, {
+          from: 'monitor@example.com', to: 'ops@example.com', subject: 'x', text: 'y',
+        }),
+        /SMTP AUTH failed: 535 auth/,
+      );
+    } finally {
+      failing.server.close();
+    }
+  });
+});
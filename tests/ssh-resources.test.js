@@ -0,0 +1,138 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  parseDf,
+  parseMeminfo,
+  parseLoad,
+  parseFailedUnits,
+  evaluateResources,
+} = require('../lib/checks/ssh-resources');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'resources', `${name}.txt`), 'utf8');
+
+describe('parseDf', () => {
+  const entries = parseDf(fixture('df'));
+
+  it('reads every filesystem below the header', () => {
+    assert.equal(entries.length, 7);
+    assert.deepEqual(entries[2], {
+      filesystem: '/dev/sda1',
+      mount: '/',
+      size: 20511312,
+      used: 18870400,
+      available: 1640912,
+      usedPercent: 92,
+    });
+  });
+
+  it('keeps spaces in mount points', () => {
+    assert.equal(entries[4].mount, '/mnt/backup volume');
+  });
+
+  it('is empty for unexpected output', () => {
+    assert.deepEqual(parseDf('df: command not found\n'), []);
+  });
+});
+
+describe('parseMeminfo', () => {
+  it('computes memory and swap usage', () => {
+    assert.deepEqual(parseMeminfo(fixture('meminfo')), {
+      total: 8048116,
+      available: 643849,
+      usedPercent: 92,
+      swapTotal: 2097148,
+      swapUsed: 1677718,
+      swapPercent: 80,
+    });
+  });
+
+  it('estimates the available memory on kernels without MemAvailable', () => {
+    const memory = parseMeminfo(fixture('meminfo-old-kernel'));
+    assert.equal(memory.available, 300000);
+    assert.equal(memory.usedPercent, 70);
+    assert.equal(memory.swapPercent, 0);
+  });
+
+  it('is null without MemTotal', () => {
+    assert.equal(parseMeminfo(''), null);
+  });
+});
+
+describe('parseLoad', () => {
+  it('reads the three averages and the CPU count', () => {
+    assert.deepEqual(parseLoad(fixture('loadavg')), { load1: 3.52, load5: 2.1, load15: 1.75, cpus: 2 });
+  });
+
+  it('assumes one CPU when the count is missing', () => {
+    assert.equal(parseLoad('0.50 0.40 0.30 1/100 42\n').cpus, 1);
+  });
+
+  it('is null for unexpected output', () => {
+    assert.equal(parseLoad('cat: /proc/loadavg: No such file or directory\n'), null);
+  });
+});
+
+describe('parseFailedUnits', () => {
+  it('lists the unit names without the bullets', () => {
+    assert.deepEqual(parseFailedUnits(fixture('failed-units')), ['nginx.service', 'certbot-renew.service']);
+  });
+
+  it('is empty without failed units', () => {
+    assert.deepEqual(parseFailedUnits('\n'), []);
+  });
+});
+
+describe('evaluateResources', () => {
+  const sections = {
+    disk: fixture('df'),
+    memory: fixture('meminfo'),
+    load: fixture('loadavg'),
+    failedUnits: fixture('failed-units'),
+  };
+
+  it('applies the default thresholds, ignoring pseudo filesystems', () => {
+    const evaluation = evaluateResources(sections, { disk: true, memory: true, swap: true, load: true, failedUnits: true });
+    assert.equal(evaluation.status, 'UNHEALTHY');
+    assert.deepEqual(evaluation.disk.map(entry => [entry.mount, entry.level]), [
+      ['/', 'crit'],
+      ['/var/lib/docker', 'warn'],
+      ['/mnt/backup volume', null],
+    ]);
+    assert.deepEqual(evaluation.issues, [
+      '/ 92%',
+      '/var/lib/docker 82%',
+      'mem 92%',
+      'swap 80%',
+      '2 failed units (nginx.service, certbot-renew.service)',
+    ]);
+  });
+
+  it('reports DEGRADED for values at warn only', () => {
+    const evaluation = evaluateResources(sections, { disk: { warn: 80, crit: 95, mounts: ['/', '/var/lib/docker'] } });
+    assert.equal(evaluation.status, 'DEGRADED');
+    assert.deepEqual(evaluation.issues, ['/ 92%', '/var/lib/docker 82%']);
+  });
+
+  it('compares the load per CPU of the configured average', () => {
+    assert.equal(evaluateResources(sections, { load: true }).status, 'UP');
+    const evaluation = evaluateResources(sections, { load: { average: 1, warn: 1.5, crit: 2 } });
+    assert.equal(evaluation.load.perCpu, 1.76);
+    assert.equal(evaluation.status, 'DEGRADED');
+    assert.deepEqual(evaluation.issues, ['load 3.52 on 2 CPUs']);
+  });
+
+  it('is UNHEALTHY for a listed mount that is missing', () => {
+    const evaluation = evaluateResources(sections, { disk: { mounts: ['/data'] } });
+    assert.equal(evaluation.status, 'UNHEALTHY');
+    assert.deepEqual(evaluation.issues, ['/data not mounted']);
+  });
+
+  it('is DEGRADED when a section has no data', () => {
+    const evaluation = evaluateResources({}, { memory: true, load: true });
+    assert.equal(evaluation.status, 'DEGRADED');
+    assert.deepEqual(evaluation.issues, ['no memory data', 'no load data']);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  DETECTORS,
+  findDetector,
+  parseOsRelease,
+  parseAptUpgradable,
+  parseDnfCheckUpdate,
+  parseDnfSecurity,
+  parseNeedsRestarting,
+  parseApkVersion,
+  parseMotd,
+} = require('../lib/checks/ssh-updates');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'updates', `${name}.txt`), 'utf8');
+const detector = name => DETECTORS.find(item => item.name === name);
+
+describe('parseOsRelease', () => {
+  it('reads the id, the id_like list and the pretty name', () => {
+    assert.deepEqual(parseOsRelease(fixture('os-release-rocky')), {
+      id: 'rocky',
+      idLike: ['rhel', 'centos', 'fedora'],
+      versionId: '9.3',
+      prettyName: 'Rocky Linux 9.3 (Blue Onyx)',
+    });
+  });
+
+  it('accepts unquoted values', () => {
+    assert.equal(parseOsRelease(fixture('os-release-alpine')).versionId, '3.19.1');
+  });
+
+  it('is null without an ID', () => {
+    assert.equal(parseOsRelease('cat: /etc/os-release: No such file or directory\n'), null);
+  });
+});
+
+describe('findDetector', () => {
+  const detectorFor = name => findDetector(parseOsRelease(fixture(`os-release-${name}`))).name;
+
+  it('picks the detector of the distro family', () => {
+    assert.equal(detectorFor('debian'), 'apt');
+    assert.equal(detectorFor('ubuntu'), 'apt');
+    assert.equal(detectorFor('rocky'), 'dnf');
+    assert.equal(detectorFor('amzn'), 'dnf');
+    assert.equal(detectorFor('alpine'), 'apk');
+  });
+
+  it('falls back to the MOTD for other or unknown distros', () => {
+    assert.equal(detectorFor('arch'), 'motd');
+    assert.equal(findDetector(null).name, 'motd');
+  });
+
+  it('returns the named detector regardless of the distro', () => {
+    assert.equal(findDetector(parseOsRelease(fixture('os-release-debian')), 'motd').name, 'motd');
+  });
+});
+
+describe('apt', () => {
+  it('counts upgradable packages and those of -security suites', () => {
+    const { updates, security, packages } = parseAptUpgradable(fixture('apt-upgradable'));
+    assert.equal(updates, 4);
+    assert.equal(security, 2);
+    assert.deepEqual(packages[1], { name: 'libssl3', version: '3.0.13-1~deb12u1', from: '3.0.11-1~deb12u2', security: true });
+  });
+
+  it('finds security updates published to several suites', () => {
+    const { updates, security } = parseAptUpgradable(fixture('apt-upgradable-ubuntu'));
+    assert.equal(updates, 3);
+    assert.equal(security, 2);
+  });
+
+  it('reports nothing when no package is upgradable', () => {
+    assert.deepEqual(parseAptUpgradable(fixture('apt-upgradable-none')), { updates: 0, security: 0, packages: [] });
+  });
+
+  it('reads the reboot-required flag', () => {
+    const sections = { packages: fixture('apt-upgradable'), reboot: 'required\n' };
+    assert.equal(detector('apt').parse(sections).rebootRequired, true);
+    assert.equal(detector('apt').parse({ ...sections, reboot: '' }).rebootRequired, false);
+  });
+});
+
+describe('dnf', () => {
+  it('lists the updates before the obsoleted packages, joining wrapped lines', () => {
+    const { updates, packages } = parseDnfCheckUpdate(fixture('dnf-check-update'));
+    assert.equal(updates, 4);
+    assert.deepEqual(packages[3], {
+      name: 'python3-dnf-plugin-versionlock-extra-long-name',
+      arch: 'noarch',
+      version: '4.3.0-11.el9_3',
+      repo: 'appstream',
+    });
+  });
+
+  it('counts the packages of security advisories once', () => {
+    assert.equal(parseDnfSecurity(fixture('dnf-updateinfo-security')), 3);
+    assert.equal(parseDnfSecurity(fixture('yum-updateinfo-security')), 2);
+  });
+
+  it('reads the needs-restarting verdict', () => {
+    assert.equal(parseNeedsRestarting(fixture('needs-restarting-required')), true);
+    assert.equal(parseNeedsRestarting(fixture('needs-restarting-none')), false);
+  });
+
+  it('combines the queries into one result', () => {
+    const result = detector('dnf').parse({
+      packages: fixture('dnf-check-update'),
+      security: fixture('dnf-updateinfo-security'),
+      reboot: fixture('needs-restarting-required'),
+    });
+    assert.equal(result.updates, 4);
+    assert.equal(result.security, 3);
+    assert.equal(result.rebootRequired, true);
+  });
+});
+
+describe('apk', () => {
+  it('lists the packages with a newer version available', () => {
+    const { updates, packages } = parseApkVersion(fixture('apk-version'));
+    assert.equal(updates, 3);
+    assert.deepEqual(packages[1], { name: 'libcrypto3', version: '3.1.5-r0', from: '3.1.4-r5' });
+  });
+
+  it('does not know about security updates', () => {
+    const result = detector('apk').parse({ packages: fixture('apk-version'), reboot: '' });
+    assert.equal(result.security, null);
+    assert.equal(result.rebootRequired, false);
+  });
+});
+
+describe('motd', () => {
+  it('reads the update-notifier summary', () => {
+    assert.deepEqual(parseMotd(fixture('motd-ubuntu')), { updates: 12, security: 5, rebootRequired: true });
+  });
+
+  it('reports nothing for a MOTD without update lines', () => {
+    assert.deepEqual(parseMotd('Welcome to Arch Linux\n'), { updates: 0, security: 0, rebootRequired: false });
+  });
+});
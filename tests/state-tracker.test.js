@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { StateTracker } = require('../lib/state-tracker');
+const { ServerMonitor } = require('../lib/monitor');
+const { defaultConfig } = require('../config');
+
+/**
+ * Reported statuses of a check observed with the given statuses in a row
+ */
+const track = (server, statuses, tracker = new StateTracker()) => statuses.map(status => tracker.apply(server, { name: 'API', status }));
+
+describe('StateTracker', () => {
+  it('reports every observed status without thresholds', () => {
+    assert.deepEqual(track({}, ['UP', 'DOWN', 'UP']).map(result => result.status), ['UP', 'DOWN', 'UP']);
+  });
+
+  it('holds UP until failuresBeforeDown consecutive failures', () => {
+    const results = track({ failuresBeforeDown: 3 }, ['UP', 'DOWN', 'DEGRADED', 'UP', 'DOWN', 'DOWN', 'DOWN']);
+    assert.deepEqual(results.map(result => result.status), ['UP', 'UP', 'UP', 'UP', 'UP', 'UP', 'DOWN']);
+    assert.equal(results[2].stateDetails, '2/3 failures before DEGRADED');
+    assert.deepEqual(results.map(result => result.consecutiveFailures), [0, 1, 2, 0, 1, 2, 3]);
+    assert.equal(results[6].observedStatus, 'DOWN');
+    assert.equal(results[6].stateDetails, null);
+  });
+
+  it('holds a failing status until successesBeforeUp consecutive successes', () => {
+    const results = track({ successesBeforeUp: 2 }, ['DOWN', 'UP', 'DOWN', 'UP', 'MAINTENANCE']);
+    assert.deepEqual(results.map(result => result.status), ['DOWN', 'DOWN', 'DOWN', 'DOWN', 'MAINTENANCE']);
+    assert.equal(results[3].stateDetails, '1/2 successes before UP');
+  });
+
+  it('reports the first result as observed', () => {
+    assert.equal(track({ failuresBeforeDown: 3 }, ['DOWN'])[0].status, 'DOWN');
+  });
+
+  it('marks a check FLAPPING after more than flapThreshold changes within flapWindow', () => {
+    const results = track({ flapThreshold: 2, flapWindow: '10m' }, ['UP', 'DOWN', 'UP', 'DOWN', 'DOWN']);
+    assert.deepEqual(results.map(result => result.status), ['UP', 'DOWN', 'UP', 'FLAPPING', 'FLAPPING']);
+    assert.equal(results[3].stateDetails, 'Flapping: 3 state changes in 10m');
+  });
+
+  it('forgets changes outside of flapWindow and the state of removed checks', (t) => {
+    const tracker = new StateTracker();
+    const server = { flapThreshold: 1, flapWindow: 60000 };
+    t.mock.timers.enable({ apis: ['Date'], now: 0 });
+    track(server, ['UP', 'DOWN'], tracker);
+    t.mock.timers.tick(120000);
+    assert.equal(track(server, ['UP'], tracker)[0].status, 'UP');
+    assert.equal(track(server, ['DOWN'], tracker)[0].status, 'FLAPPING');
+
+    tracker.forget('API');
+    assert.equal(track({ failuresBeforeDown: 2 }, ['DOWN'], tracker)[0].status, 'DOWN');
+  });
+});
+
+describe('ServerMonitor retries', () => {
+  const scripted = (statuses) => {
+    const monitor = new ServerMonitor({ ...structuredClone(defaultConfig), servers: [] });
+    const calls = [];
+    monitor.registry.register({
+      name: 'scripted',
+      run: async () => {
+        calls.push(Date.now());
+        return { status: statuses.shift() };
+      },
+    });
+    return { monitor, calls };
+  };
+
+  it('retries a failing check up to `retries` times', async () => {
+    const { monitor, calls } = scripted(['DOWN', 'DOWN', 'UP', 'DOWN']);
+    const result = await monitor.runCheck({ name: 'API', type: 'scripted', retries: 3, retryDelay: 10 });
+
+    assert.equal(result.status, 'UP');
+    assert.equal(result.attempts, 3);
+    assert.equal(calls.length, 3);
+    assert.ok(calls[1] - calls[0] >= 9);
+  });
+
+  it('reports the last failure and counts consecutive failures across checks', async () => {
+    const { monitor } = scripted(['DOWN', 'ERROR', 'DOWN', 'DOWN']);
+    const first = await monitor.runCheck({ name: 'API', type: 'scripted', retries: 1, retryDelay: 0 });
+    assert.deepEqual([first.status, first.attempts, first.consecutiveFailures], ['ERROR', 2, 1]);
+
+    const second = await monitor.runCheck({ name: 'API', type: 'scripted', retries: 1, retryDelay: 0 });
+    assert.equal(second.consecutiveFailures, 2);
+    assert.match(monitor.formatStatus(second.status, second.consecutiveFailures), /×2/);
+  });
+});
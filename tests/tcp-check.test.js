@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+
+const { checkTcp, parseRegExp } = require('../lib/tcp-check');
+const { createRegistry } = require('../lib/checks');
+
+describe('parseRegExp', () => {
+  it('reads "/pattern/flags" strings', () => {
+    assert.deepEqual(parseRegExp('/^220 /i'), /^220 /i);
+    assert.deepEqual(parseRegExp('/a/b/'), /a\/b/);
+  });
+
+  it('is null for other strings and values', () => {
+    assert.equal(parseRegExp('+PONG'), null);
+    assert.equal(parseRegExp('//'), null);
+    assert.equal(parseRegExp(undefined), null);
+  });
+
+  it('throws for invalid patterns and flags', () => {
+    assert.throws(() => parseRegExp('/[a/'), SyntaxError);
+    assert.throws(() => parseRegExp('/a/q'), SyntaxError);
+  });
+});
+
+describe('checkTcp banner', () => {
+  const server = net.createServer((socket) => {
+    // clients without expect close right after connecting
+    socket.on('error', () => {});
+    socket.end('220 mail.example.com ESMTP\r\n');
+  });
+  let port;
+  before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    port = server.address().port;
+    resolve();
+  })));
+  after(() => server.close());
+
+  const banner = expect => checkTcp('127.0.0.1', port, { timeout: 1000, expect });
+
+  it('matches strings, RegExps and "/pattern/flags" strings', async () => {
+    assert.equal((await banner('ESMTP')).bannerOk, true);
+    assert.equal((await banner(/^220 /)).bannerOk, true);
+    assert.equal((await banner('/^220 MAIL/i')).bannerOk, true);
+    assert.equal((await banner('/^554/')).bannerOk, false);
+  });
+
+  it('matches a global RegExp on every run', async () => {
+    const expect = /ESMTP/g;
+    for (let run = 0; run < 3; run++) assert.equal((await banner(expect)).bannerOk, true);
+    assert.equal(expect.lastIndex, 0);
+  });
+
+  it('does not wait for a banner without expect', async () => {
+    const result = await banner(undefined);
+    assert.equal(result.success, true);
+    assert.equal(result.bannerOk, null);
+  });
+});
+
+describe('tcp check validation', () => {
+  const registry = createRegistry();
+
+  it('reports an invalid "/pattern/flags" expect', () => {
+    const { errors } = registry.validate({ name: 'Mail', type: 'tcp', target: 'mail', port: 25, expect: '/(220/' });
+    assert.equal(errors.length, 1);
+    assert.match(errors[0].message, /^expect: Invalid regular expression/);
+  });
+
+  it('accepts strings and RegExps', () => {
+    assert.deepEqual(registry.validate({ name: 'Mail', type: 'tcp', target: 'mail', port: 25, expect: '/^220/' }).errors, []);
+    assert.deepEqual(registry.validate({ name: 'Mail', type: 'tcp', target: 'mail', port: 25, expect: /^220/g }).errors, []);
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+const { checkTls } = require('../lib/tls-check');
+const { httpRequest } = require('../lib/http-client');
+
+const MISSING_CA = path.join(__dirname, 'fixtures', 'missing-ca.pem');
+
+describe('checkTls', () => {
+  it('resolves with an error for a CA file that does not exist', async () => {
+    const result = await checkTls('127.0.0.1', 443, { ca: MISSING_CA, timeout: 1000 });
+    assert.equal(result.success, false);
+    assert.equal(result.error, `Certificate file ${MISSING_CA} cannot be read (ENOENT)`);
+  });
+
+  it('resolves with an error when nothing listens', async () => {
+    const result = await checkTls('127.0.0.1', 1, { timeout: 1000 });
+    assert.equal(result.success, false);
+    assert.match(result.error, /ECONNREFUSED/);
+  });
+});
+
+describe('httpRequest', () => {
+  it('rejects with the timings for a CA file that does not exist', async () => {
+    await assert.rejects(httpRequest('https://127.0.0.1:1/', { ca: MISSING_CA, timeout: 1000 }), (error) => {
+      assert.equal(error.message, `Certificate file ${MISSING_CA} cannot be read (ENOENT)`);
+      assert.equal(error.timings.connect, null);
+      return true;
+    });
+  });
+});
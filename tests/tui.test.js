@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TerminalUi } = require('../lib/tui');
+
+const RESULTS = [
+  { name: 'Gateway', type: 'ping', target: '10.0.0.1', status: 'UP', latency: 5 },
+  { name: 'API', type: 'api', target: 'https://api.internal', status: 'DOWN', latency: 900, groupName: 'Prod', groupPath: ['Prod'] },
+  { name: 'Web', type: 'all', target: '10.0.0.2', status: 'DEGRADED', details: { pingLatency: 20, timings: { total: 1500 } }, groupName: 'Prod', groupPath: ['Prod'] },
+  { name: 'Backup', type: 'tcp', target: '10.0.0.3', status: 'MAINTENANCE', latency: null },
+];
+
+/**
+ * Terminal UI of a fake monitor recording repaints, re-checks, silences and stops
+ */
+function createUi() {
+  const calls = { repaints: 0, runNow: [], silence: [], stopped: false };
+  const monitor = {
+    groups: [{ name: 'Prod' }],
+    scheduler: { runNow: name => calls.runNow.push(name) },
+    displayTable: () => { calls.repaints++; },
+    stop: () => { calls.stopped = true; },
+    silence: (name, duration) => {
+      calls.silence.push([name, duration]);
+      return { until: 0 };
+    },
+    unsilence: name => name === 'Backup',
+    getLocaleTimeString: () => '12:00:00',
+  };
+  const ui = new TerminalUi(monitor);
+  ui.active = true;
+  ui.layout(RESULTS);
+  const press = (...keys) => keys.forEach((key) => {
+    ui.onKeypress(key.length === 1 ? key : undefined, key.length === 1 ? {} : { name: key });
+    ui.layout(RESULTS);
+  });
+  const rows = () => ui.layout(RESULTS).map(item => (item.kind === 'group' ? `[${item.name}]` : item.result.name));
+  return { ui, calls, press, rows };
+}
+
+describe('TerminalUi', () => {
+  it('keeps groups together in config order and selects the first row', () => {
+    const { ui, rows } = createUi();
+    assert.deepEqual(rows(), ['Gateway', '[Prod]', 'API', 'Web', 'Backup']);
+    assert.equal(ui.selected, 'check:Gateway');
+  });
+
+  it('moves the selection without leaving the rows and collapses groups', () => {
+    const { ui, press, rows } = createUi();
+    press('up');
+    assert.equal(ui.selected, 'check:Gateway');
+    press('down', 'j', 'pagedown');
+    assert.equal(ui.selected, 'check:Backup');
+
+    press('k', 'k', 'c');
+    assert.deepEqual(rows(), ['Gateway', '[Prod]', 'Backup']);
+    assert.equal(ui.selected, 'group:Prod');
+    press('return');
+    assert.deepEqual(rows(), ['Gateway', '[Prod]', 'API', 'Web', 'Backup']);
+  });
+
+  it('sorts by status, by the slower leg of unified checks and by name', () => {
+    const { press, rows } = createUi();
+    press('s');
+    assert.deepEqual(rows(), ['[Prod]', 'API', 'Web', 'Backup', 'Gateway']);
+    press('s');
+    assert.deepEqual(rows(), ['[Prod]', 'Web', 'API', 'Gateway', 'Backup']);
+    press('s');
+    assert.deepEqual(rows(), ['[Prod]', 'API', 'Web', 'Backup', 'Gateway']);
+  });
+
+  it('filters by status, group and text and resets the filters on escape', () => {
+    const { ui, press, rows } = createUi();
+    press('f');
+    assert.deepEqual(rows(), ['[Prod]', 'API', 'Web']);
+    press('f');
+    assert.deepEqual(rows(), ['Gateway', 'Backup']);
+    press('f', 'g');
+    assert.deepEqual(rows(), ['[Prod]', 'API', 'Web']);
+    assert.match(ui.renderFooter(), /group: Prod/);
+
+    press('escape', '/', 'a', 'p', 'i', 'return');
+    assert.equal(ui.typing, false);
+    assert.deepEqual(rows(), ['[Prod]', 'API']);
+    press('escape');
+    assert.equal(rows().length, 5);
+  });
+
+  it('re-checks the selected check or every check of a group', () => {
+    const { ui, calls, press } = createUi();
+    press('r');
+    assert.deepEqual(calls.runNow, ['Gateway']);
+    press('down', 'r');
+    assert.deepEqual(calls.runNow, ['Gateway', 'API', 'Web']);
+    assert.equal(ui.message, 'Re-checking group Prod');
+  });
+
+  it('silences for the typed duration or lifts an existing silence', () => {
+    const { ui, calls, press } = createUi();
+    press('m', 'backspace', 'backspace', 'backspace', '2', 'h', 'return');
+    assert.deepEqual(calls.silence, [['Gateway', '2h']]);
+    assert.equal(ui.message, 'Gateway silenced until 12:00:00');
+
+    press('pagedown', 'm');
+    assert.equal(ui.silencing, null);
+    assert.equal(ui.message, 'Silence of Backup removed');
+  });
+
+  it('pauses, quits and repaints after each handled key only', () => {
+    const { ui, calls, press } = createUi();
+    press('p');
+    assert.equal(ui.paused, true);
+    assert.match(ui.renderFooter(), /PAUSED/);
+    press('x');
+    assert.equal(calls.repaints, 1);
+    press('q');
+    assert.equal(calls.stopped, true);
+  });
+});
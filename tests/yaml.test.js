@@ -0,0 +1,125 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseYaml, YamlError } = require('../lib/yaml');
+
+const yaml = lines => parseYaml(lines.join('\n'));
+
+describe('parseYaml', () => {
+  it('reads block mappings and sequences, also at the indentation of their key', () => {
+    assert.deepEqual(yaml([
+      'refreshInterval: 30s',
+      'servers:',
+      '- name: API',
+      '  target: https://api.example.com/health',
+      '  tags:',
+      '    - prod',
+      '    - eu',
+      'dashboard:',
+      '  port: 8080',
+    ]), {
+      refreshInterval: '30s',
+      servers: [{ name: 'API', target: 'https://api.example.com/health', tags: ['prod', 'eu'] }],
+      dashboard: { port: 8080 },
+    });
+  });
+
+  it('reads nested sequences', () => {
+    assert.deepEqual(yaml(['- - a', '  - b', '- c', '- -', '  - d']), [['a', 'b'], 'c', [null, 'd']]);
+    assert.deepEqual(yaml(['x:', '  - - 1', '    - - 2']), { x: [[1, [2]]] });
+  });
+
+  it('converts plain scalars', () => {
+    assert.deepEqual(yaml(['a: 1', 'b: -2.5', 'c: 1e3', 'd: true', 'e: false', 'f: ~', 'g: null', 'h:', 'i: 0x10', 'j: yes', 'k: 30s']), {
+      a: 1, b: -2.5, c: 1000, d: true, e: false, f: null, g: null, h: null, i: 16, j: 'yes', k: '30s',
+    });
+  });
+
+  it('reads quoted strings and keys', () => {
+    assert.deepEqual(yaml([`'single': 'it''s # no comment'`, 'double: "tab\\there"', 'number: "42"']), {
+      single: "it's # no comment",
+      double: 'tab\there',
+      number: '42',
+    });
+  });
+
+  it('strips comments and a leading document marker', () => {
+    assert.deepEqual(yaml(['# config', '---', 'a: 1 # one', 'url: http://x/#anchor', '', '# end']), {
+      a: 1,
+      url: 'http://x/#anchor',
+    });
+  });
+
+  it('reads flow collections', () => {
+    assert.deepEqual(yaml(['auth: { type: bearer, token: "file:/run/token" }', 'ports: [80, 443, ]', 'empty: [{}, []]']), {
+      auth: { type: 'bearer', token: 'file:/run/token' },
+      ports: [80, 443],
+      empty: [{}, []],
+    });
+  });
+
+  it('reads single pairs in flow sequences, keeping colons in URLs', () => {
+    assert.deepEqual(parseYaml('[a, b: c, "d": [1], http://x:80/]'), ['a', { b: 'c' }, { d: [1] }, 'http://x:80/']);
+  });
+
+  it('reads literal and folded block scalars with chomping', () => {
+    assert.deepEqual(yaml([
+      'literal: |',
+      '  line 1',
+      '    indented',
+      'folded: >-',
+      '  one',
+      '  two',
+      '',
+      '  three',
+      'kept: |+',
+      '  x',
+      '',
+      'end: 1',
+    ]), {
+      literal: 'line 1\n  indented\n',
+      folded: 'one two\nthree',
+      kept: 'x\n\n',
+      end: 1,
+    });
+  });
+
+  it('reads a document holding a single scalar or flow collection', () => {
+    assert.equal(parseYaml('hello'), 'hello');
+    assert.deepEqual(parseYaml('[1, 2]'), [1, 2]);
+    assert.equal(parseYaml('# nothing\n'), null);
+  });
+
+  const rejects = (source, message) => {
+    assert.throws(() => parseYaml(source), error => error instanceof YamlError && message.test(error.message));
+  };
+
+  it('resolves anchors, aliases and merge keys', () => {
+    assert.deepEqual(yaml([
+      'defaults: &defaults { timeout: 3000, retries: 2 }',
+      'servers:',
+      '  - <<: *defaults',
+      '    name: API',
+      '    timeout: 5000',
+    ]).servers, [{ timeout: 5000, retries: 2, name: 'API' }]);
+  });
+
+  it('rejects values that are not valid YAML instead of reading them as strings', () => {
+    rejects('e: - x', /^line 1: /);
+    rejects('key: value: more', /^line 1: Nested mappings are not allowed/);
+    rejects('a: 1\njust text', /^line 2: /);
+    rejects('cron: */5 * * * *', /^line 1: /);
+  });
+
+  it('rejects unknown tags and multiple documents', () => {
+    rejects('a: !secret 1', /^line 1: Unresolved tag: !secret/);
+    rejects('a: 1\n---\nb: 2', /^line 2: multiple documents are not supported/);
+  });
+
+  it('rejects invalid structure with the line number', () => {
+    rejects('a: 1\na: 2', /^line 2: Map keys must be unique/);
+    rejects('\ta: 1', /^line 1: Tabs are not allowed/);
+    rejects('a: [1, 2', /^line 1: Flow sequence/);
+    rejects("a: 'open", /^line 1: Missing closing 'quote/);
+  });
+});